@@ -1,6 +1,9 @@
 "use strict";
 
 const matter = require('gray-matter');
+const { mapTools, toolCategory, unmapTools } = require('./tool-map');
+const { mapModel, unmapModel } = require('./model-map');
+const { extraFrontmatterLines, claudeKeys, emitMarkdown } = require('./frontmatter');
 // no extra YAML deps; we build minimal frontmatter manually
 
 function toArray(val) {
@@ -10,7 +13,11 @@ function toArray(val) {
   return parts.length ? [...new Set(parts)] : null;
 }
 
-function convertAgentMarkdownToDroid(mdText, { fallbackName } = {}) {
+// `name` replaces the agent's own name (a droid renamed after a collision).
+// Tools are translated through `toolMap` (see tool-map.js) and the model per
+// `modelPolicy`/`modelMap` (see model-map.js); anything lost on the way is
+// pushed onto `notes`. Other keys follow the `frontmatter` policy (see frontmatter.js).
+function convertAgentMarkdownToDroid(mdText, { fallbackName, name: rename, toolMap, modelPolicy, modelMap, frontmatter, notes = [] } = {}) {
   let parsed;
   let src = {};
   let body = '';
@@ -37,7 +44,9 @@ function convertAgentMarkdownToDroid(mdText, { fallbackName } = {}) {
         if (key === 'name' && !src.name) src.name = val;
         else if (key === 'description' && !src.description) src.description = val;
         else if (key === 'tools' && !src.tools) src.tools = val;
-        // ignore model and others in fallback
+        else if (key === 'model' && !src.model) src.model = val;
+        // Other top-level keys (color, version, ...) follow the frontmatter policy
+        else if (!['name', 'description', 'tools', 'model'].includes(key) && /^[A-Za-z0-9_\-]+:/.test(line) && !(m[1] in src)) src[m[1]] = val;
       }
       // Preserve meaningful lines (example-like keys allowed), drop other yaml-ish keys (color, etc.)
       const filtered = fmBlock.filter((line) => {
@@ -83,8 +92,16 @@ function convertAgentMarkdownToDroid(mdText, { fallbackName } = {}) {
 
   let description = sanitizeDescription(src.description);
 
-  const name = src.name || fallbackName || '';
-  const tools = Array.isArray(toolsList) && toolsList.length ? toolsList : null;
+  const name = rename || src.name || fallbackName || '';
+  const model = mapModel(src.model, { policy: modelPolicy, modelMap });
+  if (model.note) notes.push(model.note);
+  // A list that maps to nothing stays empty rather than granting every tool
+  let tools = null;
+  if (Array.isArray(toolsList) && toolsList.length) {
+    const mapped = mapTools(toolsList, toolMap);
+    notes.push(...mapped.notes);
+    tools = toolCategory(mapped.tools) || mapped.tools;
+  }
   const esc = (s) => String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
   function isPlainYamlSafe(s) {
     if (typeof s !== 'string') return false;
@@ -106,13 +123,39 @@ function convertAgentMarkdownToDroid(mdText, { fallbackName } = {}) {
     if (isPlainYamlSafe(plainCandidate)) lines.push(`description: ${plainCandidate}`);
     else lines.push(`description: "${esc(description)}"`);
   }
-  lines.push('model: inherit');
-  if (tools) {
+  lines.push(isPlainYamlSafe(model.model) ? `model: ${model.model}` : `model: "${esc(model.model)}"`);
+  if (typeof tools === 'string') lines.push(`tools: ${tools}`);
+  else if (tools && !tools.length) lines.push('tools: []');
+  else if (tools) {
     lines.push('tools:');
     for (const t of tools) lines.push(`  - ${t}`);
   }
+  const originals = {};
+  if (src.model !== undefined && src.model !== null && String(src.model) !== model.model) originals.model = src.model;
+  if (toolsList && (typeof tools === 'string' || tools.join(',') !== toolsList.join(','))) originals.tools = src.tools;
+  lines.push(...extraFrontmatterLines(src, ['name', 'description', 'model', 'tools'], frontmatter, originals));
   lines.push('---');
   return lines.join('\n') + '\n\n' + (body || '');
 }
 
-module.exports = { convertAgentMarkdownToDroid };
+// Reverse conversion for export: a droid back to a Claude Code agent. Values
+// kept under x-claude win; otherwise tools and the model are mapped back.
+// Tools without a Claude equivalent are pushed onto `notes`.
+function convertDroidToAgentMarkdown(mdText, { fallbackName, notes = [] } = {}) {
+  const parsed = matter(mdText || '', { language: 'yaml' });
+  const src = parsed.data || {};
+  const { claude, extra } = claudeKeys(src, ['name', 'description', 'model', 'tools']);
+  const out = { name: src.name || fallbackName };
+  if (src.description !== undefined) out.description = src.description;
+  if (claude.tools !== undefined) out.tools = claude.tools;
+  else if (src.tools !== undefined && src.tools !== null) {
+    const unmapped = unmapTools(src.tools);
+    notes.push(...unmapped.notes);
+    out.tools = unmapped.tools.join(', ');
+  }
+  const model = claude.model !== undefined ? claude.model : unmapModel(src.model);
+  if (model) out.model = model;
+  return emitMarkdown({ ...out, ...extra }, parsed.content);
+}
+
+module.exports = { convertAgentMarkdownToDroid, convertDroidToAgentMarkdown };
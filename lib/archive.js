@@ -0,0 +1,121 @@
+"use strict";
+
+const { httpGetBuffer } = require('./http');
+const { repoLabel, parseRawUrl, fileRequest, archiveRequest } = require('./hosts');
+const { readTarGz } = require('./tarball');
+
+// How remote plugin files are fetched:
+//   api      host APIs list directories and every file is its own raw download (default)
+//   tarball  one archive per repo@ref (codeload.github.com or the host's
+//            archive endpoint), read in memory; discovery, file reads and
+//            skill directories are all served from it
+const TRANSPORTS = ['api', 'tarball'];
+const settings = { transport: 'api' };
+
+function configureTransport(opts = {}) {
+  if (opts.transport !== undefined) settings.transport = opts.transport;
+}
+
+function usingArchives() { return settings.transport === 'tarball'; }
+
+// `debug` is true for console output, or a function (the Node API's logger).
+function debugLog(debug, ...args) {
+  if (typeof debug === 'function') debug(...args);
+  else if (debug) console.log('[debug]', ...args);
+}
+
+function archiveLabel(repo, ref) {
+  return `${repoLabel(repo)}@${ref}`;
+}
+
+// Archives by repo@ref, downloaded once per run. Failures are kept too, so
+// callers fall back to the API transport without downloading again.
+const archives = new Map();
+
+// { files: Map(path → { body, mode }), tree: [{ path, type: 'blob' | 'tree' }] }
+// with paths relative to the repository root (the archive's top directory
+// is dropped). The tree has the shape of GitHub's git/trees response.
+// `kind` is 'github' (GitHub and Gitea) or 'gitlab', as in hosts.js.
+function repoArchive(kind, repo, ref, opts = {}) {
+  const key = `${repo.host}:${archiveLabel(repo, ref)}`;
+  if (!archives.has(key)) {
+    const { url, headers } = archiveRequest(kind, repo, ref);
+    const pending = httpGetBuffer(url, headers, undefined, { debug: opts.debug }).then((body) => {
+      const files = new Map();
+      const tree = [];
+      for (const entry of readTarGz(body)) {
+        const rel = entry.path.split('/').slice(1).join('/');
+        if (!rel) continue;
+        if (entry.type === 'file') files.set(rel, { body: entry.body, mode: entry.mode });
+        tree.push({ path: rel, type: entry.type === 'file' ? 'blob' : 'tree' });
+      }
+      debugLog(opts.debug, `Loaded archive of ${archiveLabel(repo, ref)}`, { files: files.size });
+      return { files, tree };
+    });
+    pending.catch(() => {});
+    archives.set(key, pending);
+  }
+  return archives.get(key);
+}
+
+// The archive serving a raw URL, or null when the URL is not a repository
+// file, the api transport is on, or the archive could not be downloaded.
+async function archiveOf(parsed, opts) {
+  if (!parsed || !usingArchives()) return null;
+  try {
+    return await repoArchive(parsed.kind, parsed.repo, parsed.ref, opts);
+  } catch (e) {
+    if (e?.code === 'EOFFLINE') throw e;
+    debugLog(opts.debug, `Archive of ${archiveLabel(parsed.repo, parsed.ref)} unavailable, using the API`, e?.message || e);
+    return null;
+  }
+}
+
+// A raw file URL as { body, mode }, from the repository archive when the
+// tarball transport is on and through the host otherwise (see
+// hosts.fileRequest). Only archives carry a file mode; it is null otherwise.
+// Files missing from the archive fail like a 404.
+async function fetchRawFile(url, opts = {}) {
+  const parsed = parseRawUrl(url);
+  const archive = await archiveOf(parsed, opts);
+  if (!archive) {
+    const request = fileRequest(url);
+    return { body: await httpGetBuffer(request.url, request.headers, undefined, { debug: opts.debug }), mode: null };
+  }
+  const file = archive.files.get(parsed.path);
+  if (!file) {
+    const err = new Error(`Not found in the ${archiveLabel(parsed.repo, parsed.ref)} archive: ${parsed.path}`);
+    err.statusCode = 404;
+    throw err;
+  }
+  return file;
+}
+
+async function fetchRaw(url, opts = {}) {
+  return (await fetchRawFile(url, opts)).body;
+}
+
+async function fetchRawText(url, opts = {}) {
+  return (await fetchRaw(url, opts)).toString('utf8');
+}
+
+// The files under a raw directory URL as [{ rel, body, mode }], or null when
+// the archive cannot serve it.
+async function archiveDirectory(url, opts = {}) {
+  const parsed = parseRawUrl(url);
+  const archive = await archiveOf(parsed, opts);
+  if (!archive) return null;
+  const prefix = parsed.path ? `${parsed.path}/` : '';
+  const out = [];
+  for (const [file, { body, mode }] of archive.files) {
+    if (file.startsWith(prefix)) out.push({ rel: file.slice(prefix.length), body, mode });
+  }
+  return out;
+}
+
+// The repository tree at ref from its archive (see repoArchive).
+async function archiveTree(kind, repo, ref, opts = {}) {
+  return (await repoArchive(kind, repo, ref, opts)).tree;
+}
+
+module.exports = { TRANSPORTS, configureTransport, usingArchives, fetchRaw, fetchRawFile, fetchRawText, archiveDirectory, archiveTree };
@@ -2,8 +2,12 @@
 
 const path = require('path');
 
+const SUBCOMMANDS = ['install', 'uninstall', 'update', 'sync', 'export', 'lint'];
+const FAIL_ON = ['any', 'none', 'unresolved'];
+
 function parseArgs(argv) {
   const args = {
+    command: 'install',
     scope: 'personal',
     path: '',
     force: false,
@@ -15,24 +19,51 @@ function parseArgs(argv) {
     noDroids: false,
     noHooks: false,
     noSkills: false,
+    noMcp: false,
     onlyCommands: false,
     onlyDroids: false,
     onlyHooks: false,
     onlySkills: false,
+    onlyMcp: false,
     commands: undefined,
     droids: undefined,
     hooks: undefined,
     skills: undefined,
+    mcp: undefined,
     list: false,
     // Marketplace-related
     marketplace: undefined,
     plugins: undefined,
     import: undefined,
     ref: undefined,
-    debug: false
+    offline: false,
+    concurrency: undefined,
+    transport: undefined,
+    json: false,
+    failOn: 'any',
+    flatten: undefined,
+    modelPolicy: undefined,
+    frontmatter: undefined,
+    onCollision: undefined,
+    enableCustomDroids: false,
+    debug: false,
+    // Uninstall
+    all: false,
+    // Sync
+    prune: false,
+    // Export
+    out: undefined,
+    name: undefined,
+    // Lint (positional path; --lint on install)
+    target: undefined,
+    lint: false,
+    diff: false
   };
 
-  for (let i = 2; i < argv.length; i++) {
+  let start = 2;
+  if (argv.length > 2 && SUBCOMMANDS.includes(argv[2])) { args.command = argv[2]; start = 3; }
+
+  for (let i = start; i < argv.length; i++) {
     const a = argv[i];
     if (a === '--scope' && i + 1 < argv.length) { args.scope = argv[++i]; }
     else if (a === '--path' && i + 1 < argv.length) { args.path = argv[++i]; }
@@ -43,23 +74,43 @@ function parseArgs(argv) {
     else if (a === '--no-droids') { args.noDroids = true; }
     else if (a === '--no-hooks') { args.noHooks = true; }
     else if (a === '--no-skills') { args.noSkills = true; }
+    else if (a === '--no-mcp') { args.noMcp = true; }
     else if (a === '--only-commands') { args.onlyCommands = true; }
     else if (a === '--only-droids') { args.onlyDroids = true; }
     else if (a === '--only-hooks') { args.onlyHooks = true; }
     else if (a === '--only-skills') { args.onlySkills = true; }
+    else if (a === '--only-mcp') { args.onlyMcp = true; }
     else if (a === '--commands' && i + 1 < argv.length) { args.commands = argv[++i]; }
     else if (a === '--droids' && i + 1 < argv.length) { args.droids = argv[++i]; }
     else if (a === '--hooks' && i + 1 < argv.length) { args.hooks = argv[++i]; }
     else if (a === '--skills' && i + 1 < argv.length) { args.skills = argv[++i]; }
+    else if (a === '--mcp' && i + 1 < argv.length) { args.mcp = argv[++i]; }
     else if (a === '--list') { args.list = true; }
+    else if (a === '--all') { args.all = true; }
+    else if (a === '--prune') { args.prune = true; }
+    else if (a === '--out' && i + 1 < argv.length) { args.out = argv[++i]; }
+    else if (a === '--name' && i + 1 < argv.length) { args.name = argv[++i]; }
     else if (a === '--verbose') { args.verbose = true; }
+    else if (a === '--json') { args.json = true; }
+    else if (a === '--fail-on' && i + 1 < argv.length) { args.failOn = argv[++i]; }
+    else if (a === '--flatten' && i + 1 < argv.length) { args.flatten = argv[++i]; }
+    else if (a === '--model-policy' && i + 1 < argv.length) { args.modelPolicy = argv[++i]; }
+    else if (a === '--frontmatter' && i + 1 < argv.length) { args.frontmatter = argv[++i]; }
+    else if (a === '--on-collision' && i + 1 < argv.length) { args.onCollision = argv[++i]; }
+    else if (a === '--enable-custom-droids') { args.enableCustomDroids = true; }
     else if (a === '--debug') { args.debug = true; }
+    else if (a === '--lint') { args.lint = true; }
+    else if (a === '--diff') { args.diff = true; }
     // Marketplace additions
     else if (a === '--marketplace' && i + 1 < argv.length) { args.marketplace = argv[++i]; }
     else if (a === '--plugins' && i + 1 < argv.length) { args.plugins = argv[++i]; }
     else if (a === '--import' && i + 1 < argv.length) { args.import = argv[++i]; }
     else if (a === '--ref' && i + 1 < argv.length) { args.ref = argv[++i]; }
+    else if (a === '--offline') { args.offline = true; }
+    else if (a === '--concurrency' && i + 1 < argv.length) { args.concurrency = argv[++i]; }
+    else if (a === '--transport' && i + 1 < argv.length) { args.transport = argv[++i]; }
     else if (a === '-h' || a === '--help') { args.help = true; }
+    else if (args.command === 'lint' && !a.startsWith('-') && args.target === undefined) { args.target = a; }
     else {
       // ignore unknown arguments for forward compatibility
     }
@@ -69,7 +120,7 @@ function parseArgs(argv) {
 
 function usage(invokedPath) {
   const invoked = path.basename(invokedPath || process.argv[1] || 'droid-factory');
-  return `\nUsage: ${invoked} [options]\n\nTargets:\n  --scope personal|project        Install to ~/.factory (default) or <repo>/.factory\n  --path <repo-root>              Required when --scope=project\n\nTemplate selection (defaults: all types):\n  --commands all|name1,name2      Install all or specific commands\n  --droids all|name1,name2        Install all or specific droids\n  --hooks all|name1,name2         Install all or specific hooks\n  --skills all|name1,name2        Install all or specific skills\n  --no-commands                   Skip installing commands\n  --no-droids                     Skip installing droids\n  --no-hooks                      Skip installing hooks\n  --no-skills                     Skip installing skills\n  --only-commands                 Commands only\n  --only-droids                   Droids only\n  --only-hooks                    Hooks only\n  --only-skills                   Skills only\n  --list                          List available templates then exit\n\nMarketplace import:\n  --marketplace <path|url|owner/repo>  Load a Claude Code marketplace\n  --plugins all|name1,name2            Select plugins to install (agents→droids, commands, hooks, skills)\n  --import templates|marketplace       Choose import source non-interactively\n  --ref <branch-or-tag>                GitHub ref for marketplace/plugins (default: main|master)\n\nOther:\n  --force                         Overwrite existing files\n  --yes, -y                       Skip confirmation prompt\n  --dry-run                       Show plan only (no writes)\n  --verbose                       Verbose logging\n  -h, --help                      Show this help\n\nNotes:\n- Names refer to template basenames (e.g. code-review, security-code-reviewer).\n- Defaults install to personal scope → ~/.factory/{commands,droids,hooks,skills}.\n- When --scope=project, pass --path pointing at the repo root.\n`;
+  return `\nUsage: ${invoked} [install] [options]\n       ${invoked} uninstall --plugins a,b | --droids a,b | --all [options]\n       ${invoked} update [--plugins a,b] [options]\n       ${invoked} sync [--path <repo-root>] [--prune] [options]\n       ${invoked} export --out <dir> [--name <marketplace>] [options]\n       ${invoked} lint [path] [options]\n\nTargets:\n  --scope personal|project        Install to ~/.factory (default) or <repo>/.factory\n  --path <repo-root>              Required when --scope=project\n\nTemplate selection (defaults: all types):\n  --commands all|name1,name2      Install all or specific commands\n  --droids all|name1,name2        Install all or specific droids\n  --hooks all|name1,name2         Install all or specific hooks\n  --skills all|name1,name2        Install all or specific skills\n  --mcp all|name1,name2           Install all or specific MCP servers (marketplace)\n  --no-commands                   Skip installing commands\n  --no-droids                     Skip installing droids\n  --no-hooks                      Skip installing hooks\n  --no-skills                     Skip installing skills\n  --no-mcp                        Skip installing MCP servers\n  --only-commands                 Commands only\n  --only-droids                   Droids only\n  --only-hooks                    Hooks only\n  --only-skills                   Skills only\n  --only-mcp                      MCP servers only\n  --list                          List available templates then exit\n\nMarketplace import:\n  --marketplace <path|url|owner/repo>  Load a Claude Code marketplace\n  --plugins all|name1,name2            Select plugins to install (agents→droids, commands, hooks, skills, MCP servers)\n  --import templates|marketplace       Choose import source non-interactively\n  --ref <branch|tag|sha>               Git ref for marketplace/plugins (default: main|master); pinned to its commit SHA\n  --offline                            Install only from the download cache (~/.cache/droid-factory); no network\n  --concurrency <n>                    Downloads in flight at once (default: 6); failed ones are retried with backoff\n  --transport api|tarball              Fetch remote plugins file by file (default) or as one archive per repository\n  --flatten __|-|preserve              Name nested commands/agents git__commit (default), git-commit, or keep git/commit.md\n  --on-collision skip|prefix|prompt    When a name is taken: skip (default; first plugin wins), install as <plugin>__<name>, or ask\n  --model-policy map|preserve|inherit  Droid models: translate Claude aliases (default), keep as written, or always inherit\n  --frontmatter namespace|preserve|drop  Other agent/command keys: keep under x-claude: (default), keep as-is, or drop\n  --lint                               Lint the converted droids and commands first; install nothing if there are errors\n\nUninstall (removes only what the lockfile records):\n  --plugins name1,name2           Remove everything installed from these plugins\n  --commands|--droids|--hooks|--skills|--mcp all|name1,name2  Remove specific components\n  --all                           Remove everything droid-factory installed in the scope\n  --force                         Also remove files edited since install\n  --dry-run                       Show what would be removed\n\nUpdate (re-fetches the marketplace and ref recorded in the lockfile):\n  --plugins name1,name2           Limit to these plugins (default: all installed)\n  --ref <branch|tag|sha>          Move to a different ref\n  --offline                       Check against the download cache only\n  --force                         Also overwrite locally modified files\n  --dry-run                       Show the update plan only\n\nSync (installs what .factory/droid-factory.json declares; project scope by default):\n  --prune                         Remove installed components that are no longer declared (owned files only)\n  --marketplace <source>          Sync only this declared marketplace\n  --ref, --plugins, --commands|--droids|--hooks|--skills|--mcp, --no-*/--only-*  Override the config\n  --force                         Overwrite existing files (overwrite policy \"force\"); prune edited files too\n\nExport (writes droids, commands, skills and hooks as a Claude Code marketplace):\n  --out <dir>                     Where to write .claude-plugin/marketplace.json and plugins/\n  --name <marketplace>            Marketplace name, and the plugin for components not installed from one (default: project name)\n  --no-*/--only-*                 Leave out or limit component kinds\n  --force                         Write into a non-empty --out directory\n  --dry-run                       Show what would be exported\n\nLint (checks droids, commands and skills; exits 1 on errors):\n  [path]                          A .factory directory or a repo containing one (default: the --scope directory)\n\nOther:\n  --force                         Overwrite existing files\n  --enable-custom-droids          Turn on Custom Droids in ~/.factory/settings.json after installing droids\n  --yes, -y                       Skip confirmation prompt\n  --dry-run                       Show plan only (no writes)\n  --diff                          Show a diff of every droid/command against the file on disk (with --dry-run: preview only)\n  --verbose                       Verbose logging\n  --json                          Print one JSON document (plan, results or listing) instead of text; implies no prompts\n  --fail-on any|none|unresolved   Exit 1 on failed components or unresolved plugins (any, default), only unresolved plugins, or never\n  -h, --help                      Show this help\n\nNotes:\n- Names refer to template basenames (e.g. code-review, security-code-reviewer).\n- Defaults install to personal scope → ~/.factory/{commands,droids,hooks,skills}.\n- When --scope=project, pass --path pointing at the repo root.\n`;
 }
 
-module.exports = { parseArgs, usage };
+module.exports = { FAIL_ON, parseArgs, usage };
@@ -0,0 +1,85 @@
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// On-disk HTTP cache shared by every run:
+//   <dir>/index/<sha256(key)>.json  { key, url, etag, lastModified, blob, fetchedAt }
+//   <dir>/blobs/<sha256(body)>      response bodies, stored once per content
+const settings = { offline: false, dir: null };
+
+function defaultCacheDir() {
+  if (process.env.DROID_FACTORY_CACHE_DIR) return path.resolve(process.env.DROID_FACTORY_CACHE_DIR);
+  const base = process.env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(base, 'droid-factory');
+}
+
+function configureCache(opts = {}) {
+  if (opts.offline !== undefined) settings.offline = !!opts.offline;
+  if (opts.dir !== undefined) settings.dir = opts.dir ? path.resolve(opts.dir) : null;
+}
+
+function isOffline() { return settings.offline; }
+
+function cacheDir() { return settings.dir || defaultCacheDir(); }
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// Anything addressed by a full commit SHA can never change, so it is served
+// from disk without revalidating.
+function isImmutableUrl(url) {
+  return /(^|[/=@])[0-9a-f]{40}([/?&#]|$)/i.test(url);
+}
+
+function indexPath(key) {
+  return path.join(cacheDir(), 'index', `${sha256(key)}.json`);
+}
+
+function readCached(key) {
+  try {
+    const meta = JSON.parse(fs.readFileSync(indexPath(key), 'utf8'));
+    if (!meta || meta.key !== key || !meta.blob) return null;
+    const body = fs.readFileSync(path.join(cacheDir(), 'blobs', meta.blob));
+    return { ...meta, body };
+  } catch {
+    return null;
+  }
+}
+
+// Cache writes are best effort: a read-only home must not break installs.
+function writeCached(key, url, body, headers = {}) {
+  try {
+    const blob = sha256(body);
+    const blobPath = path.join(cacheDir(), 'blobs', blob);
+    if (!fs.existsSync(blobPath)) {
+      fs.mkdirSync(path.dirname(blobPath), { recursive: true });
+      const tmp = `${blobPath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, body);
+      fs.renameSync(tmp, blobPath);
+    }
+    const meta = {
+      key,
+      url,
+      etag: headers.etag || null,
+      lastModified: headers['last-modified'] || null,
+      blob,
+      fetchedAt: new Date().toISOString(),
+    };
+    const file = indexPath(key);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(meta, null, 2) + '\n', 'utf8');
+  } catch { /* ignore */ }
+}
+
+function offlineMissError(url) {
+  const err = new Error(`Not available offline (not in cache): ${url}`);
+  err.code = 'EOFFLINE';
+  err.url = url;
+  return err;
+}
+
+module.exports = { configureCache, isOffline, cacheDir, isImmutableUrl, readCached, writeCached, offlineMissError };
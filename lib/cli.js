@@ -5,28 +5,59 @@ const os = require('os');
 const path = require('path');
 const readline = require('readline');
 
-const { parseArgs, usage } = require('./args');
+const { FAIL_ON, parseArgs, usage } = require('./args');
+const { FLATTEN_STYLES, COLLISION_STRATEGIES } = require('./marketplace-planner');
 const output = require('./output');
-const { listBasenames, ensureDir, copyFile, copyDirectory, downloadDirectory, readCustomDroidsSetting, downloadToFile } = require('./fs-utils');
+const { listBasenames, getTemplateDescription, ensureDir, copyFile } = require('./fs-utils');
 const { resolveSelection, computePlan } = require('./planner');
 const spinner = require('./spinner');
 const { guidedFlow, configureAsciiTheme, selectScope, chooseImportSource, guidedTemplatesFlowFromScope, BACK, RESET } = require('./ui');
 const { guidedMarketplaceFlowFromScope } = require('./marketplace-ui');
-const { loadMarketplace, discoverPlugins, getLastRateLimit, httpGetText } = require('./marketplace');
-const { convertAgentMarkdownToDroid } = require('./agent-convert');
-const { convertCommandMarkdownToFactory } = require('./command-convert');
+const { loadMarketplace, discoverPlugins, getLastRateLimit } = require('./marketplace');
+const { classifyInstalled, writeMerged } = require('./installer');
+const { readLockfile, writeLockfile, recordItem, lockKey } = require('./lockfile');
+const { selectionFromArgs, hasSelection, computeUninstallPlan, applyUninstall } = require('./uninstall');
+const { planUpdate, applyUpdate, cleanupStaged } = require('./update');
+const { configureCache, isOffline } = require('./cache');
+const { configureDownloads } = require('./scheduler');
+const { TRANSPORTS, configureTransport } = require('./archive');
+const { configureHosts } = require('./hosts');
+const { readConfig, readConversion, readHosts, applyArgOverrides, kindFilters, skippedKinds } = require('./config');
+const { MODEL_POLICIES } = require('./model-map');
+const { FRONTMATTER_POLICIES } = require('./frontmatter');
+const { planSync } = require('./sync');
+const { planExport, applyExport } = require('./export');
+const { PLAN_KINDS, wasWritten, keptResult, countResults, collectFailures, planMarketplaceInstall, applyMarketplaceInstall } = require('./install');
+const { lintFiles, lintTree, installedDroidNames } = require('./lint');
+const { previewItem } = require('./diff');
+const { readCustomDroidsSetting, enableCustomDroids } = require('./settings');
+const { resolveMcpEnv } = require('./mcp');
 
 function canPrompt() { return process.stdin.isTTY && process.stdout.isTTY; }
 
+// --fail-on any (default): exit 1 when a component failed or a selected
+// plugin could not be resolved; unresolved: only for unresolved plugins;
+// none: always exit 0.
+function shouldFail(failOn, { failed, unresolved }) {
+  if (failOn === 'none') return false;
+  if (failOn === 'unresolved') return unresolved > 0;
+  return failed > 0 || unresolved > 0;
+}
+
+function applyFailPolicy(args, counts) {
+  if (shouldFail(args.failOn, counts)) process.exitCode = 1;
+}
+
 function logMarketplaceDiscoveryWarnings(discovered, debug) {
   if (debug) return false;
   const errored = (discovered || []).filter((p) => Array.isArray(p.errors) && p.errors.length);
   if (!errored.length) return false;
-  console.log('\nWarning: Some plugins could not be fully discovered:');
+  output.log('\nWarning: Some plugins could not be fully discovered:');
   for (const plugin of errored) {
-    console.log(`  - ${plugin.name}: ${plugin.errors[0]}`);
+    output.log(`  - ${plugin.name}: ${plugin.errors[0]}`);
   }
-  console.log('  Consider setting GITHUB_TOKEN to increase GitHub API limits.');
+  if (isOffline()) output.log('  Offline: run once without --offline to populate the download cache.');
+  else output.log('  Consider setting GITHUB_TOKEN to increase GitHub API limits.');
   return true;
 }
 
@@ -37,38 +68,672 @@ function logRateLimitIfLow(debug) {
   const { remaining, limit, reset } = info;
   if (typeof remaining !== 'number' || remaining > 5) return;
   const resetIn = typeof reset === 'number' ? Math.max(0, Math.round((reset * 1000 - Date.now()) / 1000)) : null;
-  console.log('\nWarning: GitHub API rate limit nearly exhausted.');
+  output.log('\nWarning: GitHub API rate limit nearly exhausted.');
   if (typeof remaining === 'number' && typeof limit === 'number') {
-    console.log(`  Remaining ${remaining}/${limit} requests for this hour.`);
+    output.log(`  Remaining ${remaining}/${limit} requests for this hour.`);
   } else if (typeof remaining === 'number') {
-    console.log(`  Remaining requests: ${remaining}.`);
+    output.log(`  Remaining requests: ${remaining}.`);
   }
   if (resetIn !== null) {
     const mins = Math.floor(resetIn / 60);
     const secs = resetIn % 60;
-    console.log(`  Resets in ~${mins}m ${secs}s.`);
+    output.log(`  Resets in ~${mins}m ${secs}s.`);
   }
-  console.log('  Set GITHUB_TOKEN to increase limits.');
+  output.log('  Set GITHUB_TOKEN to increase limits, or use --transport tarball to fetch each repository in one download.');
 }
 
-async function confirmIfNeeded(args) {
-  const interactive = canPrompt() && !args.yes && !args.dryRun;
+async function confirmIfNeeded(args, question = '\nProceed? [y] Yes / [f] Force overwrite / [n] Cancel: ') {
+  const interactive = canPrompt() && !args.yes && !args.dryRun && !args.json;
   if (!interactive) return args; // unchanged
   const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
-  const answer = await new Promise((resolve) => { rl.question('\nProceed? [y] Yes / [f] Force overwrite / [n] Cancel: ', resolve); });
+  const answer = await new Promise((resolve) => { rl.question(question, resolve); });
   rl.close();
   const normalized = (answer || '').trim().toLowerCase();
   if (normalized === 'n' || normalized === 'no' || normalized === 'q' || normalized === 'quit' || normalized === 'exit') {
-    console.log('Cancelled.');
+    output.log('Cancelled.');
     process.exit(0);
   }
   if (normalized === 'f' || normalized === 'force') return { ...args, force: true };
   return args;
 }
 
+async function askYesNo(question, defaultYes) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise((resolve) => { rl.question(question, resolve); });
+  rl.close();
+  const normalized = (answer || '').trim().toLowerCase();
+  if (!normalized) return defaultYes;
+  return normalized === 'y' || normalized === 'yes';
+}
+
+async function askValue(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await new Promise((resolve) => { rl.question(question, resolve); });
+  rl.close();
+  return (answer || '').trim();
+}
+
+// Fill a staged MCP server's env placeholders from the environment, asking
+// for required ones (no `:-default`) when a prompt is possible.
+async function resolveServerEnv(item, staged, args) {
+  const values = {};
+  for (const { name } of staged.env) if (process.env[name]) values[name] = process.env[name];
+  const required = staged.env.filter((v) => values[v.name] === undefined && v.fallback === undefined);
+  if (required.length && canPrompt() && !args.yes && !args.json) {
+    output.log(`\nMCP server ${item.name} (${item.plugin}) needs environment values:`);
+    for (const { name } of required) {
+      const value = await askValue(`  ${name}: `);
+      if (value) values[name] = value;
+    }
+  }
+  return resolveMcpEnv(staged.server, values);
+}
+
+// 'prefix' or 'skip' per colliding item. --on-collision prompt asks for each
+// one when a prompt is possible and otherwise skips, like the default.
+async function collisionDecisions(collisions, args) {
+  const decisions = new Map();
+  const strategy = args.onCollision || 'skip';
+  const ask = strategy === 'prompt' && canPrompt() && !args.yes && !args.json;
+  for (const c of collisions) {
+    for (const item of c.items) {
+      if (!ask) { decisions.set(item, strategy === 'prefix' ? 'prefix' : 'skip'); continue; }
+      const taken = c.keep ? `${c.keep.plugin} also ships it` : 'something droid-factory did not install is already there';
+      const answer = await askValue(`${c.kind} ${c.name} from ${item.plugin} collides (${taken}). [s] Skip / [p] Prefix as ${item.plugin}: `);
+      decisions.set(item, /^p/i.test(answer) ? 'prefix' : 'skip');
+    }
+  }
+  return decisions;
+}
+
+// Droids only load with Custom Droids enabled: offer to switch it on (or do
+// it under --enable-custom-droids) rather than sending the user to /settings.
+async function ensureCustomDroids(args, droidsInstalled) {
+  const custom = readCustomDroidsSetting();
+  if (custom.enabled) return true;
+  if (!droidsInstalled || custom.error || args.dryRun) return false;
+  let enable = !!args.enableCustomDroids;
+  if (!enable && canPrompt() && !args.yes && !args.json) enable = await askYesNo(`\nEnable Custom Droids in ${custom.path}? [Y/n] `, true);
+  if (!enable) return false;
+  try {
+    const res = enableCustomDroids();
+    output.log(`Enabled Custom Droids in ${res.file}${res.backup ? ` (previous version saved to ${res.backup})` : ''}.`);
+    return true;
+  } catch (e) {
+    output.log(`Could not enable Custom Droids: ${e?.message || e}`);
+    return false;
+  }
+}
+
+// Tool and model mapping for converted agents and commands (see readConversion).
+function loadConversion(baseDir, args) {
+  try {
+    return readConversion(baseDir, args);
+  } catch (e) {
+    output.error(`Error: ${e?.message || e}`);
+    process.exit(2);
+  }
+}
+
+// Git hosts from droid-factory.json: the personal config, then the project's
+// when the command targets one (its definitions win).
+function loadHosts(args, argv) {
+  const scope = args.command === 'sync' && !argv.includes('--scope') ? 'project' : args.scope;
+  const dirs = [path.join(os.homedir(), '.factory')];
+  if (scope === 'project') dirs.push(path.join(path.resolve(args.path || process.cwd()), '.factory'));
+  try {
+    configureHosts(readHosts(dirs));
+  } catch (e) {
+    output.error(`Error: ${e?.message || e}`);
+    process.exit(2);
+  }
+}
+
+function resolveBaseDir(args) {
+  if (args.scope === 'personal' || !args.scope) return path.join(os.homedir(), '.factory');
+  if (args.scope === 'project') return path.join(path.resolve(args.path || process.cwd()), '.factory');
+  output.error(`Error: unknown --scope '${args.scope}'. Use 'personal' or 'project'.`);
+  process.exit(2);
+}
+
+// Under --json, every command ends by printing one document built from the
+// report it returns.
+function emitResult(args, report) {
+  if (!args.json || !report) return;
+  // ok mirrors the exit status chosen by --fail-on.
+  output.emitJson({ command: args.command, ok: !process.exitCode, ...report });
+}
+
+async function runUninstall(args) {
+  const baseDir = resolveBaseDir(args);
+  const selection = selectionFromArgs(args);
+  if (!hasSelection(selection)) {
+    output.error('Error: nothing selected. Pass --plugins, --commands, --droids, --hooks, --skills, --mcp or --all.');
+    process.exit(2);
+  }
+  const lock = readLockfile(baseDir);
+  const plan = computeUninstallPlan({ baseDir, lock, selection });
+  output.printUninstallPlan(plan, args);
+  if (!plan.items.length || args.dryRun) {
+    if (plan.items.length) output.log('\nDry run: no files were removed.');
+    return output.uninstallReport(plan, null, { baseDir, dryRun: args.dryRun });
+  }
+
+  const confirmedArgs = await confirmIfNeeded(args, '\nProceed? [y] Yes / [f] Force remove edited files / [n] Cancel: ');
+  const results = applyUninstall(plan, { baseDir, lock, force: confirmedArgs.force });
+  writeLockfile(baseDir, lock);
+  output.printUninstallSummary(results);
+  applyFailPolicy(args, { failed: results.filter((r) => r.result === 'failed').length, unresolved: 0 });
+  return output.uninstallReport(plan, results, { baseDir });
+}
+
+async function runUpdate(args) {
+  const baseDir = resolveBaseDir(args);
+  const lock = readLockfile(baseDir);
+  const conversion = loadConversion(baseDir, args);
+  const plugins = args.plugins && args.plugins !== 'all' ? args.plugins.split(',').map((s) => s.trim()).filter(Boolean) : null;
+
+  let report;
+  let fetchSpin = null;
+  try {
+    if (process.stdout.isTTY && !args.verbose && !args.debug && !args.json) fetchSpin = spinner.start('Checking for updates...');
+    report = await planUpdate({ baseDir, lock, plugins, ref: args.ref, flatten: args.flatten, conversion, debug: args.debug });
+  } catch (e) {
+    spinner.stop(fetchSpin);
+    output.error(`Failed to load marketplace: ${e?.message || e}`);
+    process.exit(1);
+  }
+  spinner.stop(fetchSpin);
+  logRateLimitIfLow(args.debug);
+  // Fetch failures are known once planned, so the policy applies to dry runs too.
+  applyFailPolicy(args, { failed: report.items.filter((e) => e.status === 'failed').length, unresolved: (report.unresolved || []).length });
+
+  try {
+    if (!report.items.length) { output.log('Nothing to update (no marketplace components recorded in the lockfile).'); return output.updateReport(report, { baseDir, dryRun: args.dryRun }); }
+    output.printUpdateReport(report, args);
+    if (args.dryRun) { output.log('\nDry run: no files were written.'); return output.updateReport(report, { baseDir, dryRun: true }); }
+    const pending = report.items.some((e) => ['added', 'changed', 'merge', 'conflict'].includes(e.status) || (args.force && (e.status === 'locally-modified' || e.status === 'unowned')));
+    if (!pending) { output.log('\nEverything is up to date.'); return output.updateReport(report, { baseDir }); }
+    const confirmedArgs = await confirmIfNeeded(args, '\nProceed? [y] Yes / [f] Force overwrite local edits / [n] Cancel: ');
+    applyUpdate(report, { baseDir, lock, force: confirmedArgs.force });
+    writeLockfile(baseDir, lock);
+    output.printUpdateSummary(report);
+    applyFailPolicy(args, { failed: report.items.filter((e) => e.result === 'failed').length, unresolved: 0 });
+    return output.updateReport(report, { baseDir });
+  } finally {
+    cleanupStaged(report);
+  }
+}
+
+// Write the scope's droids, commands, skills and hooks out as a Claude Code
+// marketplace, which --marketplace (and Claude Code) can load back.
+async function runExport(args) {
+  if (!args.out) {
+    output.error('Error: export needs --out <dir>.');
+    process.exit(2);
+  }
+  const baseDir = resolveBaseDir(args);
+  const outDir = path.resolve(args.out);
+  // Named after the project, or factory-droids for the personal scope
+  const fallback = args.scope === 'project' ? path.basename(path.dirname(baseDir)) : 'factory-droids';
+  const name = args.name || fallback.toLowerCase().replace(/[^a-z0-9._-]+/g, '-');
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(name)) {
+    output.error(`Error: invalid --name '${name}'. Use letters, digits, '.', '_' and '-'.`);
+    process.exit(2);
+  }
+  const plan = planExport({ baseDir, outDir, name, lock: readLockfile(baseDir), skip: skippedKinds(args) });
+  output.printExportPlan(plan, args);
+  if (!plan.items.length) { output.log('Nothing to export.'); return output.exportReport(plan, { baseDir, dryRun: args.dryRun }); }
+  if (args.dryRun) { output.log('\nDry run: no files were written.'); return output.exportReport(plan, { baseDir, dryRun: true }); }
+  if (fs.existsSync(outDir) && fs.readdirSync(outDir).length && !args.force) {
+    output.error(`Error: ${outDir} is not empty. Pass --force to write into it.`);
+    process.exit(2);
+  }
+  applyExport(plan);
+  output.printExportSummary(plan);
+  applyFailPolicy(args, { failed: plan.items.filter((item) => item.result === 'failed').length, unresolved: 0 });
+  return output.exportReport(plan, { baseDir });
+}
+
+// Lint a .factory/ directory: the positional path (or its .factory/), else
+// the --scope directory.
+async function runLint(args) {
+  let baseDir = resolveBaseDir(args);
+  if (args.target) {
+    const target = path.resolve(args.target);
+    baseDir = fs.existsSync(path.join(target, '.factory')) ? path.join(target, '.factory') : target;
+  }
+  if (!fs.existsSync(baseDir) || !fs.statSync(baseDir).isDirectory()) {
+    output.error(`Error: ${baseDir} is not a directory.`);
+    process.exit(2);
+  }
+  const { toolMap } = loadConversion(baseDir, args);
+  const { files, findings } = lintTree(baseDir, { toolMap });
+  output.printLintReport(findings, { files });
+  applyFailPolicy(args, { failed: findings.filter((f) => f.severity === 'error').length, unresolved: 0 });
+  return output.lintReport(findings, { baseDir, files });
+}
+
+// Bring .factory/ in line with .factory/droid-factory.json. Defaults to the
+// project scope in the current directory, unlike one-off installs.
+async function runSync(args, argv) {
+  const syncArgs = { ...args, scope: argv.includes('--scope') ? args.scope : 'project' };
+  const baseDir = resolveBaseDir(syncArgs);
+  let declared;
+  try {
+    const config = readConfig(baseDir);
+    if (!config) {
+      output.error(`Error: no ${path.join(baseDir, 'droid-factory.json')} found. Create one or pass --path <repo-root>.`);
+      process.exit(2);
+    }
+    declared = applyArgOverrides(config, syncArgs);
+  } catch (e) {
+    output.error(`Error: ${e?.message || e}`);
+    process.exit(2);
+  }
+
+  let report;
+  let fetchSpin = null;
+  try {
+    if (process.stdout.isTTY && !args.verbose && !args.debug && !args.json) fetchSpin = spinner.start('Computing sync plan...');
+    report = await planSync({ baseDir, lock: readLockfile(baseDir), ...declared, debug: args.debug });
+  } catch (e) {
+    spinner.stop(fetchSpin);
+    output.error(`Failed to load marketplace: ${e?.message || e}`);
+    process.exit(1);
+  }
+  spinner.stop(fetchSpin);
+  logRateLimitIfLow(args.debug);
+
+  output.printSyncPlan(report, syncArgs);
+  const result = { baseDir, dryRun: !!syncArgs.dryRun, actions: report.actions, installs: [], removals: null };
+  if (syncArgs.dryRun) { output.log('\nDry run: no files were written.'); return result; }
+
+  for (const { entry, loaded, discovered } of report.sources) {
+    output.log(`\nSyncing ${entry.source}${entry.ref ? `@${entry.ref}` : ''}`);
+    const entryArgs = {
+      ...syncArgs,
+      marketplace: entry.marketplace,
+      ref: entry.ref,
+      plugins: entry.plugins === 'all' ? 'all' : entry.plugins.join(','),
+      force: entry.overwrite === 'force',
+      flatten: entry.flatten,
+      onCollision: entry.onCollision,
+    };
+    result.installs.push(await installMarketplace(entryArgs, baseDir, { filters: entry.filters, preloaded: { loaded, discovered }, collisionsShown: true }));
+  }
+
+  const { templates } = declared;
+  if (templates && (templates.commands.length || templates.droids.length)) {
+    output.log('\nSyncing bundled templates');
+    const tplArgs = {
+      ...syncArgs,
+      commands: templates.commands === 'all' ? 'all' : templates.commands.join(','),
+      droids: templates.droids === 'all' ? 'all' : templates.droids.join(','),
+      noCommands: !templates.commands.length,
+      noDroids: !templates.droids.length,
+      force: templates.overwrite === 'force',
+    };
+    result.installs.push(await installTemplates(tplArgs, baseDir));
+  }
+
+  const stale = report.removals;
+  if (!stale.items.length) return result;
+  if (!syncArgs.prune) {
+    output.log(`\nKept ${stale.items.length} ${output.helpers.plural(stale.items.length, 'component')} no longer declared; run 'sync --prune' to remove.`);
+    return result;
+  }
+  const confirmedArgs = await confirmIfNeeded(syncArgs, '\nRemove components no longer declared? [y] Yes / [f] Force remove edited files / [n] Cancel: ');
+  // Installs above rewrote the lockfile; remove against its current state.
+  const lock = readLockfile(baseDir);
+  const results = applyUninstall(stale, { baseDir, lock, force: confirmedArgs.force });
+  writeLockfile(baseDir, lock);
+  output.printUninstallSummary(results);
+  result.removals = output.uninstallReport(stale, results, { baseDir }).items;
+  return result;
+}
+
+// Install a marketplace's selected plugins into baseDir. `filters` narrows
+// each kind to include/exclude name lists and `preloaded` reuses an already
+// discovered marketplace (both used by sync).
+async function installMarketplace(args, baseDir, opts = {}) {
+  const conversion = loadConversion(baseDir, args);
+
+  // Load marketplace and discover plugins
+  let loaded = null;
+  let discovered = null;
+  let warningsShown = false;
+  const preloaded = opts.preloaded || args.__loadedMarketplace;
+  if (preloaded) {
+    loaded = preloaded.loaded;
+    discovered = preloaded.discovered;
+    warningsShown = !!preloaded.warningsShown;
+  } else {
+    try {
+      let fetchSpin = null;
+      const spinEnabled = process.stdout.isTTY && !args.verbose && !args.debug && !args.json;
+      if (spinEnabled) fetchSpin = spinner.start('Fetching marketplace...');
+      loaded = await loadMarketplace(args.marketplace || '', args.ref, { debug: args.debug });
+      discovered = await discoverPlugins(loaded.json, loaded.context, { debug: args.debug });
+      spinner.stop(fetchSpin);
+      warningsShown = logMarketplaceDiscoveryWarnings(discovered, args.debug);
+      if (!args.debug) logRateLimitIfLow(args.debug);
+    } catch (e) {
+      output.error(`Failed to load marketplace: ${e?.message || e}`);
+      process.exit(1);
+    }
+  }
+
+  if (!warningsShown) warningsShown = logMarketplaceDiscoveryWarnings(discovered, args.debug);
+  if (!args.debug) logRateLimitIfLow(args.debug);
+  if (args.__loadedMarketplace) args.__loadedMarketplace.warningsShown = warningsShown;
+
+  // Selection
+  let selectedPlugins;
+  if (args.plugins === undefined) {
+    // Non-interactive without explicit selection → all
+    selectedPlugins = 'all';
+  } else if (args.plugins === 'all') {
+    selectedPlugins = 'all';
+  } else if (typeof args.plugins === 'string') {
+    const arr = args.plugins.split(',').map((s) => s.trim()).filter(Boolean);
+    selectedPlugins = arr.length ? arr : [];
+  } else {
+    selectedPlugins = [];
+  }
+  // --diff also renders the droids/commands only --force would overwrite.
+  // The progress spinner starts with the first download, after any collision prompts.
+  const progressEnabled = process.stdout.isTTY && !args.verbose && !args.debug && !args.json;
+  let fetched = { done: 0, total: 0 };
+  let renderSpin = null;
+  const plan = await planMarketplaceInstall({
+    discovered,
+    selectedPlugins,
+    baseDir,
+    filters: opts.filters || kindFilters(args),
+    flatten: args.flatten,
+    force: args.force,
+    conversion,
+    decideCollisions: (collisions) => collisionDecisions(collisions, args),
+    renderAll: args.diff,
+    marketplace: loaded?.context?.kind === 'local' ? path.resolve(args.marketplace || '') : (args.marketplace || null),
+    marketplaceRef: loaded?.context?.gh?.ref || loaded?.context?.gl?.ref || null,
+    onProgress: (done, total) => {
+      fetched = { done, total };
+      if (progressEnabled && !renderSpin) renderSpin = spinner.start(() => `Fetching droids and commands... ${fetched.done}/${fetched.total}`);
+    },
+    debug: args.debug,
+  }).finally(() => spinner.stop(renderSpin));
+  const reportOf = (results, summary) => output.installReport({
+    source: 'marketplace',
+    baseDir,
+    kinds: PLAN_KINDS.map(([kind, key]) => [kind, plan[key], results && results[key]]),
+    force: args.force,
+    dryRun: args.dryRun,
+    summary,
+    unresolved: plan.unresolved,
+    sources: plan.sources,
+    collisions: plan.collisions,
+  });
+  if (!opts.collisionsShown) output.printCollisions(plan.collisions);
+
+  if (args.verbose) output.printMarketplacePlan(plan, args, path.join(baseDir, 'commands'), path.join(baseDir, 'droids'), path.join(baseDir, 'hooks'), path.join(baseDir, 'skills'));
+  else {
+    output.printMergeWarnings([...plan.commands, ...plan.droids]);
+    output.printConversionNotes([...plan.commands, ...plan.droids]);
+  }
+  if (args.diff) printPreviews([...plan.commands, ...plan.droids], args);
+
+  // --lint: check the rendered output as it would land, before writing any of it
+  let lint = null;
+  if (args.lint) {
+    const rendered = [['command', plan.commands], ['droid', plan.droids]].flatMap(([kind, items]) => items.filter((item) => typeof item.content === 'string').map((item) => ({ kind, file: item.dest, text: item.content })));
+    const droidNames = installedDroidNames(baseDir, rendered.map((f) => f.file));
+    const findings = lintFiles(rendered, { toolMap: conversion.toolMap, droidNames });
+    output.log('');
+    output.printLintReport(findings, { files: rendered.length });
+    lint = output.lintReport(findings, { baseDir, files: rendered.length });
+    if (lint.errors) {
+      output.log('Lint errors: nothing was installed.');
+      process.exitCode = 1;
+      return { ...reportOf(null), lint };
+    }
+  }
+  if (args.dryRun) { output.log('\nDry run: no files were written.'); return { ...reportOf(null), ...(lint && { lint }) }; }
+
+  if (!plan.commands.length && !plan.droids.length && !plan.hooks.length && !plan.skills.length && !plan.mcp.length) {
+    output.log('Nothing to install (no plugins or components selected).');
+    return reportOf(null);
+  }
+
+  const confirmedArgs = await confirmIfNeeded(args);
+
+  let spinnerTimer = null;
+  const spinEnabled = process.stdout.isTTY && !confirmedArgs.verbose && !confirmedArgs.debug && !confirmedArgs.json;
+  const total = PLAN_KINDS.reduce((n, [, key]) => n + plan[key].length, 0);
+  let installed = 0;
+  const progressLabel = () => `Installing... ${installed}/${total}`;
+  const sigintHandler = () => { spinner.stop(spinnerTimer); output.log('\nCancelled.'); process.exit(130); };
+  process.on('SIGINT', sigintHandler);
+  if (spinEnabled) spinnerTimer = spinner.start(progressLabel);
+
+  const onResult = (kind, item, result, error) => {
+    installed++;
+    if (!confirmedArgs.verbose) return;
+    spinner.stop(spinnerTimer); spinnerTimer = null;
+    output.log(`${output.resultLabel(result)}${item.dest}${error ? ` (${error})` : ''}`);
+    if (kind === 'hook') for (const note of item.notes || []) output.log(`       note: ${note}`);
+    if (spinEnabled) spinnerTimer = spinner.start(progressLabel);
+  };
+  // Prompts for missing MCP env values need the spinner out of the way
+  const resolveEnv = async (item, staged) => {
+    spinner.stop(spinnerTimer); spinnerTimer = null;
+    const resolved = await resolveServerEnv(item, staged, confirmedArgs);
+    if (spinEnabled) spinnerTimer = spinner.start(progressLabel);
+    return resolved;
+  };
+
+  let applied;
+  try {
+    applied = await applyMarketplaceInstall(plan, { force: confirmedArgs.force, resolveEnv, onResult, debug: confirmedArgs.debug });
+  } finally {
+    spinner.stop(spinnerTimer); spinnerTimer = null; process.off('SIGINT', sigintHandler);
+  }
+  const { results, counts, failures, offlineMisses } = applied;
+
+  const basePath = baseDir;
+  const droidsInstalled = plan.droids.some((it) => wasWritten(results.droids.get(it)?.result));
+  const enabled = await ensureCustomDroids(confirmedArgs, droidsInstalled);
+
+  output.printSummary({ guided: false, args, basePath, ...counts, customDroidsEnabled: enabled, droidsInstalled, plan });
+  output.printMergeConflicts([...plan.commands, ...plan.droids]);
+  output.printSecretWarnings(plan.mcp);
+  output.printFailures(failures, { offline: offlineMisses.length > 0 });
+  applyFailPolicy(args, { failed: counts.failed, unresolved: plan.unresolved.length });
+  return { ...reportOf(results, counts), ...(lint && { lint }) };
+}
+
+// --diff: attach what each rendered droid/command would change on disk
+// (item.diff, also in --json) and print it.
+function printPreviews(items, args) {
+  for (const item of items) if (typeof item.content === 'string') item.diff = previewItem(item, output.plannedAction(item, args.force));
+  output.printDiffs(items);
+}
+
+// Install bundled templates into baseDir.
+async function installTemplates(args, baseDir, opts = {}) {
+  const templateDir = path.join(__dirname, '..', 'templates');
+  const templateCommands = path.join(templateDir, 'commands');
+  const templateDroids = path.join(templateDir, 'droids');
+  const availableCommands = listBasenames(templateCommands);
+  const availableDroids = listBasenames(templateDroids);
+  const destCommands = path.join(baseDir, 'commands');
+  const destDroids = path.join(baseDir, 'droids');
+
+  const selectedCommands = args.noCommands ? [] : (resolveSelection(args.commands, availableCommands, 'command') || [...availableCommands]);
+  const selectedDroids = args.noDroids ? [] : (resolveSelection(args.droids, availableDroids, 'droid') || [...availableDroids]);
+  const emptyReport = { source: 'templates', baseDir, dryRun: !!args.dryRun, items: [] };
+  if (!selectedCommands.length && !selectedDroids.length) { output.log('Nothing to install (no commands or droids selected).'); return emptyReport; }
+
+  const plan = computePlan({
+    selectedCommands,
+    selectedDroids,
+    templateCommandsDir: templateCommands,
+    templateDroidsDir: templateDroids,
+    destCommandsDir: destCommands,
+    destDroidsDir: destDroids,
+  });
+
+  // Templates installed by an earlier version are merged with local edits
+  const lock = readLockfile(baseDir);
+  for (const item of [...plan.commands, ...plan.droids]) {
+    if (!item.exists || !lock.items[lockKey(baseDir, item.dest)] || !fs.existsSync(item.src)) continue;
+    item.content = fs.readFileSync(item.src, 'utf8');
+    item.state = classifyInstalled({ baseDir, lock, dest: item.dest, content: item.content });
+  }
+
+  const reportOf = (results, summary) => output.installReport({
+    source: 'templates',
+    baseDir,
+    kinds: [['command', plan.commands, results && results.commands], ['droid', plan.droids, results && results.droids]],
+    force: args.force,
+    dryRun: args.dryRun,
+    summary,
+  });
+
+  const guidedMode = !!opts.guidedMode;
+  if (!guidedMode) {
+    if (args.verbose) output.printPlan(plan, args, destCommands, destDroids);
+    else output.printMergeWarnings([...plan.commands, ...plan.droids]);
+  }
+  if (args.diff) {
+    for (const item of [...plan.commands, ...plan.droids]) if (item.content === undefined && fs.existsSync(item.src)) item.content = fs.readFileSync(item.src, 'utf8');
+    printPreviews([...plan.commands, ...plan.droids], args);
+  }
+
+  if (args.dryRun) { output.log('\nDry run: no files were written.'); return reportOf(null); }
+
+  const confirmedArgs = await confirmIfNeeded(args);
+
+  if (!confirmedArgs.noCommands) ensureDir(destCommands);
+  if (!confirmedArgs.noDroids) ensureDir(destDroids);
+
+  let spinnerTimer = null;
+  const spinEnabled = process.stdout.isTTY && !confirmedArgs.verbose && !confirmedArgs.json;
+  const sigintHandler = () => { spinner.stop(spinnerTimer); output.log('\nCancelled.'); process.exit(130); };
+  process.on('SIGINT', sigintHandler);
+  if (spinEnabled) spinnerTimer = spinner.start('Installing...');
+
+  const installTemplate = (item) => {
+    if (confirmedArgs.force || !item.state) {
+      const result = copyFile(item.src, item.dest, confirmedArgs.force);
+      return result === 'skipped' ? 'skipped-existing' : result;
+    }
+    const status = item.state.status;
+    if (status === 'update') return copyFile(item.src, item.dest, true);
+    if (status === 'merge' || status === 'conflict') {
+      item.sidecar = writeMerged(baseDir, item.state.key, item.dest, item.state.merge);
+      return 'merged';
+    }
+    return keptResult(item);
+  };
+
+  const logResult = (item, result, error) => {
+    if (!confirmedArgs.verbose) return;
+    spinner.stop(spinnerTimer); spinnerTimer = null;
+    output.log(`${output.resultLabel(result)}${item.dest}${error ? ` (${error})` : ''}`);
+    if (spinEnabled) spinnerTimer = spinner.start('Installing...');
+  };
+
+  const copyResults = { commands: new Map(), droids: new Map() };
+  try {
+    for (const [items, results, skip] of [[plan.commands, copyResults.commands, confirmedArgs.noCommands], [plan.droids, copyResults.droids, confirmedArgs.noDroids]]) {
+      if (skip) continue;
+      for (const item of items) {
+        let result;
+        let error = null;
+        try {
+          if (!fs.existsSync(item.src)) throw new Error(`template not found: ${item.src}`);
+          result = installTemplate(item);
+        } catch (e) {
+          result = 'failed';
+          error = e?.message || String(e);
+        }
+        results.set(item, { result, existed: item.exists, error });
+        logResult(item, result, error);
+      }
+    }
+  } finally {
+    spinner.stop(spinnerTimer); spinnerTimer = null; process.off('SIGINT', sigintHandler);
+  }
+
+  // Record bundled templates in the lockfile, pinned to this package version
+  const templatesRef = `droid-factory@${require('../package.json').version}`;
+  let recorded = 0;
+  for (const [kind, items, results] of [['command', plan.commands, copyResults.commands], ['droid', plan.droids, copyResults.droids]]) {
+    for (const item of items) {
+      if (!wasWritten(results.get(item)?.result)) continue;
+      recordItem(lock, baseDir, { kind, name: item.name, ref: templatesRef, source: path.relative(path.join(__dirname, '..'), item.src).split(path.sep).join('/'), dest: item.dest, content: item.content });
+      recorded++;
+    }
+  }
+  if (recorded) writeLockfile(baseDir, lock);
+
+  const counts = countResults(copyResults.commands, copyResults.droids);
+  const failures = collectFailures([plan.commands, copyResults.commands], [plan.droids, copyResults.droids]);
+
+  const basePath = baseDir;
+  const droidsInstalled = plan.droids.some((it) => wasWritten(copyResults.droids.get(it)?.result));
+  const enabled = await ensureCustomDroids(confirmedArgs, droidsInstalled);
+
+  output.printSummary({ guided: guidedMode, args, basePath, ...counts, customDroidsEnabled: enabled, droidsInstalled, plan });
+  output.printMergeConflicts([...plan.commands, ...plan.droids]);
+  output.printFailures(failures);
+  applyFailPolicy(args, { failed: counts.failed, unresolved: 0 });
+  return reportOf(copyResults, counts);
+}
+
 async function run(argv) {
   const args = parseArgs(argv);
   if (args.help) { console.log(usage(argv[1])); return; }
+  configureCache({ offline: args.offline });
+  output.setJsonMode(args.json);
+  if (args.concurrency !== undefined && !/^[1-9]\d*$/.test(args.concurrency)) {
+    output.error(`Error: --concurrency must be a positive integer, got '${args.concurrency}'.`);
+    process.exit(2);
+  }
+  if (args.concurrency !== undefined) configureDownloads({ concurrency: Number(args.concurrency) });
+  if (args.transport !== undefined && !TRANSPORTS.includes(args.transport)) {
+    output.error(`Error: unknown --transport '${args.transport}'. Use ${TRANSPORTS.join(', ')}.`);
+    process.exit(2);
+  }
+  configureTransport({ transport: args.transport });
+  loadHosts(args, argv);
+  if (!FAIL_ON.includes(args.failOn)) {
+    output.error(`Error: unknown --fail-on '${args.failOn}'. Use ${FAIL_ON.join(', ')}.`);
+    process.exit(2);
+  }
+  if (args.onCollision !== undefined && !COLLISION_STRATEGIES.includes(args.onCollision)) {
+    output.error(`Error: unknown --on-collision '${args.onCollision}'. Use ${COLLISION_STRATEGIES.join(', ')}.`);
+    process.exit(2);
+  }
+  if (args.modelPolicy !== undefined && !MODEL_POLICIES.includes(args.modelPolicy)) {
+    output.error(`Error: unknown --model-policy '${args.modelPolicy}'. Use ${MODEL_POLICIES.join(', ')}.`);
+    process.exit(2);
+  }
+  if (args.frontmatter !== undefined && !FRONTMATTER_POLICIES.includes(args.frontmatter)) {
+    output.error(`Error: unknown --frontmatter '${args.frontmatter}'. Use ${FRONTMATTER_POLICIES.join(', ')}.`);
+    process.exit(2);
+  }
+  if (args.flatten !== undefined && !FLATTEN_STYLES.includes(args.flatten)) {
+    output.error(`Error: unknown --flatten '${args.flatten}'. Use ${FLATTEN_STYLES.join(', ')}.`);
+    process.exit(2);
+  }
+  if (args.command === 'uninstall') return emitResult(args, await runUninstall(args));
+  if (args.command === 'update') return emitResult(args, await runUpdate(args));
+  if (args.command === 'sync') return emitResult(args, await runSync(args, argv));
+  if (args.command === 'export') return emitResult(args, await runExport(args));
+  if (args.command === 'lint') return emitResult(args, await runLint(args));
 
   const templateDir = path.join(__dirname, '..', 'templates');
   const templateCommands = path.join(templateDir, 'commands');
@@ -78,7 +743,7 @@ async function run(argv) {
   const availableDroids = listBasenames(templateDroids);
 
   const isGuidedCandidate = canPrompt()
-    && !args.list && !args.help
+    && !args.list && !args.help && !args.json
     && !args.onlyCommands && !args.onlyDroids;
 
   // Guided entry with source selection if no explicit mode provided
@@ -128,332 +793,29 @@ async function run(argv) {
   }
 
   if (args.list) {
-    console.log('Available command templates:');
-    console.log(availableCommands.length ? '  - ' + availableCommands.join('\n  - ') : '  (none)');
-    console.log('\nAvailable droid templates:');
-    console.log(availableDroids.length ? '  - ' + availableDroids.join('\n  - ') : '  (none)');
+    if (args.json) {
+      const describe = (dir) => (name) => ({ name, description: getTemplateDescription(path.join(dir, `${name}.md`)) });
+      output.emitJson({ command: 'list', ok: true, templates: { commands: availableCommands.map(describe(templateCommands)), droids: availableDroids.map(describe(templateDroids)) } });
+      return;
+    }
+    output.log('Available command templates:');
+    output.log(availableCommands.length ? '  - ' + availableCommands.join('\n  - ') : '  (none)');
+    output.log('\nAvailable droid templates:');
+    output.log(availableDroids.length ? '  - ' + availableDroids.join('\n  - ') : '  (none)');
     return;
   }
 
   if (args.onlyCommands) args.noDroids = true;
   if (args.onlyDroids) args.noCommands = true;
 
-  let baseDir = '';
-  if (args.scope === 'personal' || !args.scope) baseDir = path.join(os.homedir(), '.factory');
-  else if (args.scope === 'project') baseDir = path.join(path.resolve(args.path || process.cwd()), '.factory');
-  else { console.error(`Error: unknown --scope '${args.scope}'. Use 'personal' or 'project'.`); process.exit(2); }
-
-  const destCommands = path.join(baseDir, 'commands');
-  const destDroids = path.join(baseDir, 'droids');
-  const destHooks = path.join(baseDir, 'hooks');
-  const destSkills = path.join(baseDir, 'skills');
+  const baseDir = resolveBaseDir(args);
 
   // Marketplace branch
   if (args.marketplace || args.import === 'marketplace' || args.__loadedMarketplace) {
-    // Load marketplace and discover plugins
-    let loaded = null;
-    let discovered = null;
-    let warningsShown = false;
-    if (args.__loadedMarketplace) {
-      loaded = args.__loadedMarketplace.loaded;
-      discovered = args.__loadedMarketplace.discovered;
-      warningsShown = !!args.__loadedMarketplace.warningsShown;
-    } else {
-      try {
-        let fetchSpin = null;
-        const spinEnabled = process.stdout.isTTY && !args.verbose && !args.debug;
-        if (spinEnabled) fetchSpin = spinner.start('Fetching marketplace...');
-        loaded = await loadMarketplace(args.marketplace || '', args.ref, { debug: args.debug });
-        discovered = await discoverPlugins(loaded.json, loaded.context, { debug: args.debug });
-        spinner.stop(fetchSpin);
-        warningsShown = logMarketplaceDiscoveryWarnings(discovered, args.debug);
-        if (!args.debug) logRateLimitIfLow(args.debug);
-      } catch (e) {
-        console.error('Failed to load marketplace:', e?.message || e);
-        process.exit(1);
-      }
-    }
-
-    if (!warningsShown) warningsShown = logMarketplaceDiscoveryWarnings(discovered, args.debug);
-    if (!args.debug) logRateLimitIfLow(args.debug);
-    if (args.__loadedMarketplace) args.__loadedMarketplace.warningsShown = warningsShown;
-
-    // Selection
-    let selectedPlugins;
-    if (args.plugins === undefined) {
-      // Non-interactive without explicit selection → all
-      selectedPlugins = 'all';
-    } else if (args.plugins === 'all') {
-      selectedPlugins = 'all';
-    } else if (typeof args.plugins === 'string') {
-      const arr = args.plugins.split(',').map((s) => s.trim()).filter(Boolean);
-      selectedPlugins = arr.length ? arr : [];
-    } else {
-      selectedPlugins = [];
-    }
-    const { computeMarketplacePlan } = require('./marketplace-planner');
-    const plan = computeMarketplacePlan({
-      selectedPlugins,
-      discovered,
-      destCommandsDir: destCommands,
-      destDroidsDir: destDroids,
-      destHooksDir: destHooks,
-      destSkillsDir: destSkills,
-    });
-
-    if (args.verbose) output.printMarketplacePlan(plan, args, destCommands, destDroids, destHooks, destSkills);
-    if (args.dryRun) { console.log('\nDry run: no files were written.'); return; }
-
-    if (!plan.commands.length && !plan.droids.length && !plan.hooks.length && !plan.skills.length) {
-      console.log('Nothing to install (no plugins or components selected).');
-      return;
-    }
-
-    const confirmedArgs = await confirmIfNeeded(args);
-    if (plan.commands.length) ensureDir(destCommands);
-    if (plan.droids.length) ensureDir(destDroids);
-    if (plan.hooks.length) ensureDir(destHooks);
-    if (plan.skills.length) ensureDir(destSkills);
-
-    let spinnerTimer = null;
-    const spinEnabled = process.stdout.isTTY && !confirmedArgs.verbose && !confirmedArgs.debug;
-    const sigintHandler = () => { spinner.stop(spinnerTimer); console.log('\nCancelled.'); process.exit(130); };
-    process.on('SIGINT', sigintHandler);
-    if (spinEnabled) spinnerTimer = spinner.start('Installing...');
-
-    const copyResults = { commands: new Map(), droids: new Map(), hooks: new Map(), skills: new Map() };
-    try {
-      // Commands (convert Claude commands → Factory commands)
-      for (const item of plan.commands) {
-        const existed = fs.existsSync(item.dest);
-        let result = 'skipped';
-        if (existed && !confirmedArgs.force) {
-          copyResults.commands.set(item.name, { result, existed });
-          if (confirmedArgs.verbose) {
-            spinner.stop(spinnerTimer); spinnerTimer = null;
-            console.log(`skip   ${item.dest}`);
-            if (spinEnabled) spinnerTimer = spinner.start('Installing...');
-          }
-          continue;
-        }
-        try {
-          let srcText = '';
-          if (item.srcType === 'local') {
-            if (!fs.existsSync(item.src)) { if (confirmedArgs.verbose) console.log(`skip   ${item.name} (source not found)`); copyResults.commands.set(item.name, { result, existed }); continue; }
-            srcText = fs.readFileSync(item.src, 'utf8');
-          } else {
-            srcText = await httpGetText(item.src, undefined, undefined, { debug: confirmedArgs.debug });
-          }
-          const converted = convertCommandMarkdownToFactory(srcText);
-          ensureDir(path.dirname(item.dest));
-          fs.writeFileSync(item.dest, converted, 'utf8');
-          result = 'written';
-        } catch (e) {
-          result = 'skipped';
-        }
-        copyResults.commands.set(item.name, { result, existed });
-        if (confirmedArgs.verbose) {
-          spinner.stop(spinnerTimer); spinnerTimer = null;
-          const label = result === 'skipped' ? 'skip   ' : 'wrote  ';
-          console.log(`${label}${item.dest}`);
-          if (spinEnabled) spinnerTimer = spinner.start('Installing...');
-        }
-      }
-      // Droids (convert Claude agents → Factory droids)
-      for (const item of plan.droids) {
-        const existed = fs.existsSync(item.dest);
-        let result = 'skipped';
-        if (existed && !confirmedArgs.force) {
-          copyResults.droids.set(item.name, { result, existed });
-          if (confirmedArgs.verbose) {
-            spinner.stop(spinnerTimer); spinnerTimer = null;
-            console.log(`skip   ${item.dest}`);
-            if (spinEnabled) spinnerTimer = spinner.start('Installing...');
-          }
-          continue;
-        }
-        try {
-          let srcText = '';
-          if (item.srcType === 'local') {
-            if (!fs.existsSync(item.src)) { if (confirmedArgs.verbose) console.log(`skip   ${item.name} (source not found)`); copyResults.droids.set(item.name, { result, existed }); continue; }
-            srcText = fs.readFileSync(item.src, 'utf8');
-          } else {
-            srcText = await httpGetText(item.src, undefined, undefined, { debug: confirmedArgs.debug });
-          }
-          const converted = convertAgentMarkdownToDroid(srcText, { fallbackName: item.name });
-          ensureDir(path.dirname(item.dest));
-          fs.writeFileSync(item.dest, converted, 'utf8');
-          result = 'written';
-        } catch (e) {
-          result = 'skipped';
-        }
-        copyResults.droids.set(item.name, { result, existed });
-        if (confirmedArgs.verbose) {
-          spinner.stop(spinnerTimer); spinnerTimer = null;
-          const label = result === 'skipped' ? 'skip   ' : 'wrote  ';
-          console.log(`${label}${item.dest}`);
-          if (spinEnabled) spinnerTimer = spinner.start('Installing...');
-        }
-      }
-      // Hooks (copy as-is, no conversion)
-      for (const item of plan.hooks) {
-        const existed = fs.existsSync(item.dest);
-        let result = 'skipped';
-        if (existed && !confirmedArgs.force) {
-          copyResults.hooks.set(item.name, { result, existed });
-          if (confirmedArgs.verbose) {
-            spinner.stop(spinnerTimer); spinnerTimer = null;
-            console.log(`skip   ${item.dest}`);
-            if (spinEnabled) spinnerTimer = spinner.start('Installing...');
-          }
-          continue;
-        }
-        try {
-          if (item.srcType === 'local') {
-            if (!fs.existsSync(item.src)) { if (confirmedArgs.verbose) console.log(`skip   ${item.name} (source not found)`); copyResults.hooks.set(item.name, { result, existed }); continue; }
-            result = copyFile(item.src, item.dest, confirmedArgs.force);
-          } else {
-            result = await downloadToFile(item.src, item.dest, confirmedArgs.force);
-          }
-        } catch (e) {
-          result = 'skipped';
-        }
-        copyResults.hooks.set(item.name, { result, existed });
-        if (confirmedArgs.verbose) {
-          spinner.stop(spinnerTimer); spinnerTimer = null;
-          const label = result === 'skipped' ? 'skip   ' : 'wrote  ';
-          console.log(`${label}${item.dest}`);
-          if (spinEnabled) spinnerTimer = spinner.start('Installing...');
-        }
-      }
-      // Skills (copy directories as-is; remote skills download + unpack)
-      for (const item of plan.skills) {
-        const existed = fs.existsSync(item.dest);
-        let result = 'skipped';
-        if (existed && !confirmedArgs.force) {
-          copyResults.skills.set(item.name, { result, existed });
-          if (confirmedArgs.verbose) {
-            spinner.stop(spinnerTimer); spinnerTimer = null;
-            console.log(`skip   ${item.dest}`);
-            if (spinEnabled) spinnerTimer = spinner.start('Installing...');
-          }
-          continue;
-        }
-        try {
-          if (item.srcType === 'local') {
-            if (!fs.existsSync(item.src)) { if (confirmedArgs.verbose) console.log(`skip   ${item.name} (source not found)`); copyResults.skills.set(item.name, { result, existed }); continue; }
-            result = copyDirectory(item.src, item.dest, confirmedArgs.force);
-          } else {
-            // Remote skills: download tarball-less tree by copying raw files under the directory path
-            const downloadResult = await downloadDirectory(item.src, item.dest, confirmedArgs.force, { debug: confirmedArgs.debug, token: process.env.GITHUB_TOKEN || process.env.GH_TOKEN });
-            result = downloadResult;
-          }
-        } catch (e) {
-          result = 'skipped';
-        }
-        copyResults.skills.set(item.name, { result, existed });
-        if (confirmedArgs.verbose) {
-          spinner.stop(spinnerTimer); spinnerTimer = null;
-          const label = result === 'skipped' ? 'skip   ' : 'wrote  ';
-          console.log(`${label}${item.dest}`);
-          if (spinEnabled) spinnerTimer = spinner.start('Installing...');
-        }
-      }
-    } finally {
-      spinner.stop(spinnerTimer); spinnerTimer = null; process.off('SIGINT', sigintHandler);
-    }
-
-    // Count results
-    const writtenCmds = plan.commands.filter(it => (copyResults.commands.get(it.name)?.result) === 'written');
-    const writtenDrs  = plan.droids.filter(it => (copyResults.droids.get(it.name)?.result) === 'written');
-    const writtenHooks = plan.hooks.filter(it => (copyResults.hooks.get(it.name)?.result) === 'written');
-    const writtenSkills = plan.skills.filter(it => (copyResults.skills.get(it.name)?.result) === 'written');
-    const overwritten = writtenCmds.filter(it => copyResults.commands.get(it.name)?.existed).length + writtenDrs.filter(it => copyResults.droids.get(it.name)?.existed).length + writtenHooks.filter(it => copyResults.hooks.get(it.name)?.existed).length + writtenSkills.filter(it => copyResults.skills.get(it.name)?.existed).length;
-    const created = writtenCmds.filter(it => !copyResults.commands.get(it.name)?.existed).length + writtenDrs.filter(it => !copyResults.droids.get(it.name)?.existed).length + writtenHooks.filter(it => !copyResults.hooks.get(it.name)?.existed).length + writtenSkills.filter(it => !copyResults.skills.get(it.name)?.existed).length;
-    const skipped = Array.from(copyResults.commands.values()).filter(v => v.result === 'skipped').length + Array.from(copyResults.droids.values()).filter(v => v.result === 'skipped').length + Array.from(copyResults.hooks.values()).filter(v => v.result === 'skipped').length + Array.from(copyResults.skills.values()).filter(v => v.result === 'skipped').length;
-
-    const basePath = (args.scope === 'personal') ? path.join(os.homedir(), '.factory') : path.join(process.cwd(), '.factory');
-    const custom = readCustomDroidsSetting();
-    const enabled = !!custom.enabled && !custom.error && !custom.missing;
-
-    output.printSummary({ guided: false, args, basePath, created, overwritten, skipped, customDroidsEnabled: enabled, plan });
-    return;
-  }
-
-  const selectedCommands = args.noCommands ? [] : (resolveSelection(args.commands, availableCommands, 'command') || [...availableCommands]);
-  const selectedDroids = args.noDroids ? [] : (resolveSelection(args.droids, availableDroids, 'droid') || [...availableDroids]);
-  if (!selectedCommands.length && !selectedDroids.length) { console.log('Nothing to install (no commands or droids selected).'); return; }
-
-  const plan = computePlan({
-    selectedCommands,
-    selectedDroids,
-    templateCommandsDir: templateCommands,
-    templateDroidsDir: templateDroids,
-    destCommandsDir: destCommands,
-    destDroidsDir: destDroids,
-  });
-
-  const guidedMode = isGuidedCandidate && args.yes;
-  if (!guidedMode) {
-    if (args.verbose) output.printPlan(plan, args, destCommands, destDroids);
+    return emitResult(args, await installMarketplace(args, baseDir));
   }
 
-  if (args.dryRun) { console.log('\nDry run: no files were written.'); return; }
-
-  const confirmedArgs = await confirmIfNeeded(args);
-
-  if (!confirmedArgs.noCommands) ensureDir(destCommands);
-  if (!confirmedArgs.noDroids) ensureDir(destDroids);
-
-  let spinnerTimer = null;
-  const spinEnabled = process.stdout.isTTY && !confirmedArgs.verbose;
-  const sigintHandler = () => { spinner.stop(spinnerTimer); console.log('\nCancelled.'); process.exit(130); };
-  process.on('SIGINT', sigintHandler);
-  if (spinEnabled) spinnerTimer = spinner.start('Installing...');
-
-  const copyResults = { commands: new Map(), droids: new Map() };
-  try {
-    if (!confirmedArgs.noCommands) {
-      for (const item of plan.commands) {
-        if (!fs.existsSync(item.src)) { if (confirmedArgs.verbose) console.log(`skip   ${item.name} (template not found)`); continue; }
-        const result = copyFile(item.src, item.dest, confirmedArgs.force);
-        copyResults.commands.set(item.name, result);
-        if (confirmedArgs.verbose) {
-          spinner.stop(spinnerTimer); spinnerTimer = null;
-          const label = result === 'skipped' ? 'skip   ' : 'wrote  ';
-          console.log(`${label}${item.dest}`);
-          if (spinEnabled) spinnerTimer = spinner.start('Installing...');
-        }
-      }
-    }
-    if (!confirmedArgs.noDroids) {
-      for (const item of plan.droids) {
-        if (!fs.existsSync(item.src)) { if (confirmedArgs.verbose) console.log(`skip   ${item.name} (template not found)`); continue; }
-        const result = copyFile(item.src, item.dest, confirmedArgs.force);
-        copyResults.droids.set(item.name, result);
-        if (confirmedArgs.verbose) {
-          spinner.stop(spinnerTimer); spinnerTimer = null;
-          const label = result === 'skipped' ? 'skip   ' : 'wrote  ';
-          console.log(`${label}${item.dest}`);
-          if (spinEnabled) spinnerTimer = spinner.start('Installing...');
-        }
-      }
-    }
-  } finally {
-    spinner.stop(spinnerTimer); spinnerTimer = null; process.off('SIGINT', sigintHandler);
-  }
-
-  const writtenCmds = plan.commands.filter(it => copyResults.commands.get(it.name) === 'written');
-  const writtenDrs  = plan.droids.filter(it => copyResults.droids.get(it.name) === 'written');
-  const overwritten = writtenCmds.filter(it => it.exists).length + writtenDrs.filter(it => it.exists).length;
-  const created = writtenCmds.filter(it => !it.exists).length + writtenDrs.filter(it => !it.exists).length;
-  const skipped = Array.from(copyResults.commands.values()).filter(v => v === 'skipped').length + Array.from(copyResults.droids.values()).filter(v => v === 'skipped').length;
-
-  const basePath = (args.scope === 'personal') ? path.join(os.homedir(), '.factory') : path.join(process.cwd(), '.factory');
-  const custom = readCustomDroidsSetting();
-  const enabled = !!custom.enabled && !custom.error && !custom.missing;
-
-  output.printSummary({ guided: guidedMode, args, basePath, created, overwritten, skipped, customDroidsEnabled: enabled, plan });
+  return emitResult(args, await installTemplates(args, baseDir, { guidedMode: isGuidedCandidate && args.yes }));
 }
 
 module.exports = { run };
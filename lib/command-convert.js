@@ -1,6 +1,8 @@
 "use strict";
 
 const matter = require('gray-matter');
+const { mapTools, unmapTools } = require('./tool-map');
+const { extraFrontmatterLines, claudeKeys, emitMarkdown } = require('./frontmatter');
 
 function normalizeSingleLine(s) {
   return String(s).replace(/\s*\n\s*/g, ' ').replace(/\s+/g, ' ').trim();
@@ -36,6 +38,20 @@ function isPlainYamlSafe(s) {
   return true;
 }
 
+// Split on commas outside parentheses so Bash(git add:*, git commit:*) stays whole.
+function splitTools(s) {
+  const parts = [];
+  let depth = 0;
+  let cur = '';
+  for (const ch of s) {
+    if (ch === '(') depth++;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+    if (ch === ',' && !depth) { parts.push(cur); cur = ''; } else cur += ch;
+  }
+  parts.push(cur);
+  return parts.map((x) => x.trim()).filter(Boolean);
+}
+
 const esc = (s) => String(s).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
 
 function emitYamlKV(key, value, { alwaysQuote = false } = {}) {
@@ -46,7 +62,9 @@ function emitYamlKV(key, value, { alwaysQuote = false } = {}) {
   return `${key}: "${esc(v)}"`;
 }
 
-function convertCommandMarkdownToFactory(mdText) {
+// allowed-tools are translated through `toolMap` like a droid's tools; lossy
+// mappings are pushed onto `notes`. Other keys follow the `frontmatter` policy.
+function convertCommandMarkdownToFactory(mdText, { toolMap, frontmatter, notes = [] } = {}) {
   try {
     const parsed = matter(mdText || '', { language: 'yaml' });
     const src = parsed.data || {};
@@ -69,12 +87,21 @@ function convertCommandMarkdownToFactory(mdText) {
       if (argHint === '') argHint = undefined;
     }
 
+    const originals = {};
     let allowedTools = src['allowed-tools'];
     if (Array.isArray(allowedTools)) {
-      allowedTools = allowedTools.map((x) => String(x).trim()).filter(Boolean).join(', ');
+      allowedTools = allowedTools.map((x) => String(x).trim()).filter(Boolean);
     } else if (allowedTools !== undefined && allowedTools !== null) {
-      allowedTools = String(allowedTools).trim();
-      if (allowedTools === '') allowedTools = undefined;
+      allowedTools = splitTools(String(allowedTools));
+    }
+    if (allowedTools) {
+      const mapped = mapTools(allowedTools, toolMap);
+      notes.push(...mapped.notes);
+      // A list that maps to nothing stays an empty allow-list rather than granting every tool
+      const translated = mapped.tools.length ? mapped.tools.join(', ') : allowedTools.length ? [] : undefined;
+      if (Array.isArray(translated)) notes.push('no allowed-tools map to Factory tools; the command is allowed none');
+      if (translated !== allowedTools.join(', ')) originals['allowed-tools'] = src['allowed-tools'];
+      allowedTools = translated;
     }
 
     const lines = ['---'];
@@ -82,7 +109,9 @@ function convertCommandMarkdownToFactory(mdText) {
 
     if (description !== undefined) addLine(emitYamlKV('description', description, { alwaysQuote: false }));
     if (argHint !== undefined) addLine(emitYamlKV('argument-hint', argHint, { alwaysQuote: true }));
-    if (allowedTools !== undefined) addLine(emitYamlKV('allowed-tools', allowedTools, { alwaysQuote: true }));
+    if (Array.isArray(allowedTools)) lines.push('allowed-tools: []');
+    else if (allowedTools !== undefined) addLine(emitYamlKV('allowed-tools', allowedTools, { alwaysQuote: true }));
+    lines.push(...extraFrontmatterLines(src, ['description', 'argument-hint', 'allowed-tools'], frontmatter, originals));
 
     lines.push('---');
 
@@ -92,4 +121,24 @@ function convertCommandMarkdownToFactory(mdText) {
   }
 }
 
-module.exports = { convertCommandMarkdownToFactory };
+// Reverse conversion for export: a Factory command back to a Claude Code one,
+// restoring x-claude keys and mapping allowed-tools back.
+function convertFactoryCommandToClaude(mdText, { notes = [] } = {}) {
+  const parsed = matter(mdText || '', { language: 'yaml' });
+  const src = parsed.data || {};
+  const { claude, extra } = claudeKeys(src, ['description', 'argument-hint', 'allowed-tools']);
+  const out = {};
+  if (src.description !== undefined) out.description = src.description;
+  if (src['argument-hint'] !== undefined) out['argument-hint'] = src['argument-hint'];
+  if (claude['allowed-tools'] !== undefined) out['allowed-tools'] = claude['allowed-tools'];
+  else if (src['allowed-tools'] !== undefined && src['allowed-tools'] !== null) {
+    const list = Array.isArray(src['allowed-tools']) ? src['allowed-tools'].map(String) : splitTools(String(src['allowed-tools']));
+    const unmapped = unmapTools(list);
+    notes.push(...unmapped.notes);
+    if (unmapped.tools.length) out['allowed-tools'] = unmapped.tools.join(', ');
+    else if (!list.length) out['allowed-tools'] = [];
+  }
+  return emitMarkdown({ ...out, ...extra }, parsed.content);
+}
+
+module.exports = { convertCommandMarkdownToFactory, convertFactoryCommandToClaude, splitTools };
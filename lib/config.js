@@ -0,0 +1,285 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+
+const CONFIG_NAME = 'droid-factory.json';
+const KINDS = ['commands', 'droids', 'hooks', 'skills', 'mcp'];
+// args.js flag suffix per kind: --no-<kind>/--only-<kind> → noX/onlyX
+const FLAG_NAMES = { commands: 'Commands', droids: 'Droids', hooks: 'Hooks', skills: 'Skills', mcp: 'Mcp' };
+const OVERWRITE_POLICIES = ['skip', 'force'];
+const { FLATTEN_STYLES, COLLISION_STRATEGIES } = require('./marketplace-planner');
+const { buildToolMap } = require('./tool-map');
+const { MODEL_POLICIES, buildModelMap } = require('./model-map');
+const { FRONTMATTER_POLICIES } = require('./frontmatter');
+const { HOST_TYPES } = require('./hosts');
+
+function configPath(baseDir) {
+  return path.join(baseDir, CONFIG_NAME);
+}
+
+function invalid(message) {
+  return new Error(`Invalid ${CONFIG_NAME}: ${message}`);
+}
+
+function nameList(value, where, allowAll) {
+  if (value === undefined || value === null) return undefined;
+  if (allowAll && value === 'all') return 'all';
+  if (!Array.isArray(value) || !value.every((v) => typeof v === 'string')) {
+    throw invalid(`${where} must be ${allowAll ? '"all" or ' : ''}an array of names`);
+  }
+  return value.map((v) => v.trim().replace(/\.md$/, '')).filter(Boolean);
+}
+
+function normalizeFilters(entry, where) {
+  const filters = {};
+  for (const key of ['include', 'exclude']) {
+    const block = entry[key];
+    if (block === undefined) continue;
+    if (!block || typeof block !== 'object' || Array.isArray(block)) throw invalid(`${where}.${key} must be an object keyed by ${KINDS.join('/')}`);
+    for (const kind of Object.keys(block)) {
+      if (!KINDS.includes(kind)) throw invalid(`${where}.${key}.${kind} is not a component kind (${KINDS.join(', ')})`);
+      const list = nameList(block[kind], `${where}.${key}.${kind}`, key === 'include');
+      if (list === undefined || list === 'all') continue;
+      filters[kind] = { ...(filters[kind] || {}), [key]: list };
+    }
+  }
+  return filters;
+}
+
+function normalizeChoice(value, choices, where, fallback) {
+  if (value === undefined) return fallback;
+  if (!choices.includes(value)) throw invalid(`${where} must be one of ${choices.join(', ')}`);
+  return value;
+}
+
+function normalizeOverwrite(value, where, fallback) {
+  if (value === undefined) return fallback;
+  if (!OVERWRITE_POLICIES.includes(value)) throw invalid(`${where} must be one of ${OVERWRITE_POLICIES.join(', ')}`);
+  return value;
+}
+
+// Tool name overrides: { "<Claude tool>": "<Factory tool>" | ["<Factory tool>", ...] | null }.
+function normalizeTools(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) throw invalid('"tools" must be an object mapping Claude tool names to Factory tools');
+  for (const [tool, target] of Object.entries(value)) {
+    const ok = target === null || typeof target === 'string' || (Array.isArray(target) && target.every((t) => typeof t === 'string'));
+    if (!ok) throw invalid(`tools.${tool} must be a Factory tool name, a list of them, or null to drop it`);
+  }
+  return value;
+}
+
+// Model alias overrides: { "<Claude alias>": "<Factory model id>" | null }.
+function normalizeModels(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) throw invalid('"models" must be an object mapping Claude model aliases to Factory model ids');
+  for (const [alias, target] of Object.entries(value)) {
+    if (target !== null && typeof target !== 'string') throw invalid(`models.${alias} must be a Factory model id, or null to use inherit`);
+  }
+  return value;
+}
+
+// How agents and commands are converted: the options renderFile takes.
+// `modelPolicy` and `frontmatter` stay undefined unless the config sets
+// them, so a policy recorded at install time can still apply.
+function normalizeConversion(raw) {
+  return {
+    toolMap: buildToolMap(normalizeTools(raw.tools)),
+    modelMap: buildModelMap(normalizeModels(raw.models)),
+    modelPolicy: normalizeChoice(raw.modelPolicy, MODEL_POLICIES, 'modelPolicy', undefined),
+    frontmatter: normalizeChoice(raw.frontmatter, FRONTMATTER_POLICIES, 'frontmatter', undefined),
+  };
+}
+
+// Self-hosted Git hosts: { "<host>": { "type": "github" | "gitlab" | "gitea",
+// "api": "https://...", "tokenEnv": "VAR" | ["VAR", ...] } }. See hosts.js
+// for the defaults of `api` and `tokenEnv`.
+function normalizeHosts(value) {
+  if (value === undefined || value === null) return {};
+  if (typeof value !== 'object' || Array.isArray(value)) throw invalid('"hosts" must be an object keyed by host name');
+  const hosts = {};
+  for (const [host, def] of Object.entries(value)) {
+    const where = `hosts.${host}`;
+    if (!/^[a-z0-9.-]+(:\d+)?$/i.test(host)) throw invalid(`${where}: keys are host names such as git.example.com, without scheme or path`);
+    if (!def || typeof def !== 'object' || Array.isArray(def)) throw invalid(`${where} must be an object`);
+    if (def.type === undefined) throw invalid(`${where}.type is required (${HOST_TYPES.join(', ')})`);
+    const type = normalizeChoice(def.type, HOST_TYPES, `${where}.type`);
+    if (def.api !== undefined && (typeof def.api !== 'string' || !/^https:\/\/[^/]/i.test(def.api))) throw invalid(`${where}.api must be an https:// URL`);
+    const tokenEnv = def.tokenEnv === undefined ? undefined : [].concat(def.tokenEnv);
+    if (tokenEnv && (!tokenEnv.length || !tokenEnv.every((name) => typeof name === 'string' && name))) {
+      throw invalid(`${where}.tokenEnv must be an environment variable name or a list of them`);
+    }
+    hosts[host.toLowerCase()] = { type, api: def.api, tokenEnv };
+  }
+  return hosts;
+}
+
+// Local sources are resolved against the project root (the directory holding
+// .factory/) so the config works from any cwd.
+function resolveSource(source, rootDir) {
+  if (/^https?:\/\//i.test(source) || path.isAbsolute(source)) return source;
+  if (source.startsWith('.') || fs.existsSync(path.join(rootDir, source))) return path.resolve(rootDir, source);
+  return source;
+}
+
+// Shape:
+// {
+//   "overwrite": "skip" | "force",
+//   "flatten": "__" | "-" | "preserve",
+//   "onCollision": "skip" | "prefix" | "prompt",
+//   "marketplaces": [
+//     { "source": "owner/repo" | url | path, "ref": "main", "plugins": "all" | [...],
+//       "include": { "droids": [...] }, "exclude": { "commands": [...] }, "overwrite": "force", "flatten": "-" }
+//   ],
+//   "templates": { "commands": "all" | [...], "droids": "all" | [...] },
+//   "tools": { "WebFetch": "FetchUrl", "Task": null },
+//   "models": { "sonnet": "claude-sonnet-4-5-20250929" },
+//   "modelPolicy": "map" | "preserve" | "inherit",
+//   "frontmatter": "namespace" | "preserve" | "drop",
+//   "hosts": { "git.example.com": { "type": "gitlab", "tokenEnv": "EXAMPLE_GITLAB_TOKEN" } }
+// }
+function normalizeTemplates(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) throw invalid('"templates" must be an object with "commands" and/or "droids"');
+  for (const kind of Object.keys(value)) {
+    if (kind !== 'commands' && kind !== 'droids') throw invalid(`templates.${kind} is not a template kind (commands, droids)`);
+  }
+  return {
+    commands: nameList(value.commands, 'templates.commands', true) || [],
+    droids: nameList(value.droids, 'templates.droids', true) || [],
+  };
+}
+
+function normalizeConfig(raw, rootDir) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw invalid('expected a JSON object');
+  const overwrite = normalizeOverwrite(raw.overwrite, 'overwrite', 'skip');
+  const flatten = normalizeChoice(raw.flatten, FLATTEN_STYLES, 'flatten', '__');
+  const onCollision = normalizeChoice(raw.onCollision, COLLISION_STRATEGIES, 'onCollision', 'skip');
+  const templates = normalizeTemplates(raw.templates);
+  const conversion = normalizeConversion(raw);
+  if (raw.marketplaces !== undefined && !Array.isArray(raw.marketplaces)) throw invalid('"marketplaces" must be an array');
+  if (!(raw.marketplaces || []).length && !templates) throw invalid('declare at least one entry in "marketplaces" or a "templates" selection');
+  const marketplaces = (raw.marketplaces || []).map((entry, i) => {
+    const where = `marketplaces[${i}]`;
+    if (!entry || typeof entry !== 'object') throw invalid(`${where} must be an object`);
+    if (typeof entry.source !== 'string' || !entry.source.trim()) throw invalid(`${where}.source is required`);
+    if (entry.ref !== undefined && typeof entry.ref !== 'string') throw invalid(`${where}.ref must be a string`);
+    return {
+      source: entry.source.trim(),
+      marketplace: resolveSource(entry.source.trim(), rootDir),
+      ref: entry.ref || undefined,
+      plugins: nameList(entry.plugins, `${where}.plugins`, true) || 'all',
+      filters: normalizeFilters(entry, where),
+      overwrite: normalizeOverwrite(entry.overwrite, `${where}.overwrite`, overwrite),
+      flatten: normalizeChoice(entry.flatten, FLATTEN_STYLES, `${where}.flatten`, flatten),
+      onCollision: normalizeChoice(entry.onCollision, COLLISION_STRATEGIES, `${where}.onCollision`, onCollision),
+    };
+  });
+  return { overwrite, marketplaces, templates, conversion };
+}
+
+function readRawConfig(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw invalid(e.message);
+  }
+}
+
+function readConfig(baseDir) {
+  const file = configPath(baseDir);
+  const raw = readRawConfig(file);
+  if (raw === null) return null;
+  return { path: file, ...normalizeConfig(raw, path.dirname(baseDir)) };
+}
+
+// Just the conversion settings ("tools", "models", "modelPolicy",
+// "frontmatter"), which apply to every install into baseDir and not only to
+// sync, so the rest of the config is not required. --model-policy and
+// --frontmatter win over the config.
+function readConversion(baseDir, args = {}) {
+  const raw = readRawConfig(configPath(baseDir));
+  const conversion = normalizeConversion(raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {});
+  return { ...conversion, modelPolicy: args.modelPolicy || conversion.modelPolicy, frontmatter: args.frontmatter || conversion.frontmatter };
+}
+
+// Git host definitions from the configs in `baseDirs`, which apply to every
+// command; a later config wins per host.
+function readHosts(baseDirs) {
+  const hosts = {};
+  for (const baseDir of baseDirs) {
+    const raw = readRawConfig(configPath(baseDir));
+    if (raw && typeof raw === 'object' && !Array.isArray(raw)) Object.assign(hosts, normalizeHosts(raw.hosts));
+  }
+  return hosts;
+}
+
+function splitFlag(value) {
+  if (value === 'all') return 'all';
+  return String(value).split(',').map((s) => s.trim().replace(/\.md$/, '')).filter(Boolean);
+}
+
+// Kinds turned off by --no-<kind>, or by an --only-<kind> for another kind.
+function skippedKinds(args) {
+  const only = KINDS.filter((kind) => args[`only${FLAG_NAMES[kind]}`]);
+  const skip = {};
+  for (const kind of KINDS) skip[kind] = !!args[`no${FLAG_NAMES[kind]}`] || (only.length > 0 && !only.includes(kind));
+  return skip;
+}
+
+// Kind flags as plan filters (see filterMarketplacePlan), on top of `base`.
+function kindFilters(args, base = {}) {
+  const skipKinds = skippedKinds(args);
+  const filters = { ...base };
+  for (const kind of KINDS) {
+    if (skipKinds[kind]) { filters[kind] = { include: [] }; continue; }
+    if (args[kind] === undefined) continue;
+    const list = splitFlag(args[kind]);
+    filters[kind] = { ...(filters[kind] || {}), include: list === 'all' ? undefined : list };
+  }
+  return filters;
+}
+
+// CLI flags win over the config: --marketplace picks one entry (and skips
+// templates; `partial` tells sync to leave the rest alone), --ref, --plugins,
+// --flatten and --on-collision replace its values, kind flags replace the
+// include lists and --force switches the overwrite policy.
+function applyArgOverrides(config, args) {
+  let entries = config.marketplaces;
+  let templates = config.templates;
+  if (args.marketplace) {
+    templates = null;
+    entries = entries.filter((e) => e.source === args.marketplace || e.marketplace === args.marketplace);
+    if (!entries.length) throw new Error(`Marketplace '${args.marketplace}' is not declared in ${config.path}`);
+  }
+  const skipKinds = skippedKinds(args);
+  if (templates) {
+    templates = { ...templates, overwrite: args.force ? 'force' : config.overwrite };
+    for (const kind of ['commands', 'droids']) {
+      if (skipKinds[kind]) templates[kind] = [];
+      else if (args[kind] !== undefined) templates[kind] = splitFlag(args[kind]);
+    }
+  }
+  const marketplaces = entries.map((entry) => {
+    return {
+      ...entry,
+      ref: args.ref || entry.ref,
+      plugins: args.plugins ? splitFlag(args.plugins) : entry.plugins,
+      filters: kindFilters(args, entry.filters),
+      flatten: args.flatten || entry.flatten,
+      onCollision: args.onCollision || entry.onCollision,
+      overwrite: args.force ? 'force' : entry.overwrite,
+    };
+  });
+  return { marketplaces, templates, partial: !!args.marketplace, conversion: { ...config.conversion, modelPolicy: args.modelPolicy || config.conversion.modelPolicy, frontmatter: args.frontmatter || config.conversion.frontmatter } };
+}
+
+module.exports = { CONFIG_NAME, configPath, readConfig, readConversion, readHosts, normalizeHosts, applyArgOverrides, kindFilters, skippedKinds };
@@ -0,0 +1,119 @@
+"use strict";
+
+const fs = require('fs');
+const yaml = require('js-yaml');
+const { lcsMatch, splitLines, splitFrontmatter } = require('./merge');
+const { CLAUDE_NAMESPACE } = require('./frontmatter');
+
+// Line operations turning `a` into `b`: [' ' | '-' | '+', line].
+function diffOps(a, b) {
+  const match = lcsMatch(a, b);
+  const ops = [];
+  let j = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (match[i] === -1) { ops.push(['-', a[i]]); continue; }
+    while (j < match[i]) ops.push(['+', b[j++]]);
+    ops.push([' ', a[i]]);
+    j++;
+  }
+  while (j < b.length) ops.push(['+', b[j++]]);
+  return ops;
+}
+
+// A unified diff of two texts with `context` lines around each change, as
+// an array of lines without the ---/+++ header. Empty when they are equal.
+function unifiedDiff(before, after, { context = 3 } = {}) {
+  const ops = diffOps(splitLines(before), splitLines(after));
+  const changed = ops.map((op, i) => (op[0] === ' ' ? -1 : i)).filter((i) => i !== -1);
+  if (!changed.length) return [];
+
+  // Group changes whose context overlaps into one hunk
+  const ranges = [];
+  for (const i of changed) {
+    const last = ranges[ranges.length - 1];
+    if (last && i - last[1] <= context * 2 + 1) last[1] = i;
+    else ranges.push([i, i]);
+  }
+  // Line numbers before each op, in `before` and `after`
+  const aLine = [];
+  const bLine = [];
+  let a = 1;
+  let b = 1;
+  for (const [type] of ops) {
+    aLine.push(a);
+    bLine.push(b);
+    if (type !== '+') a++;
+    if (type !== '-') b++;
+  }
+
+  const out = [];
+  for (const [first, last] of ranges) {
+    const start = Math.max(0, first - context);
+    const end = Math.min(ops.length - 1, last + context);
+    const slice = ops.slice(start, end + 1);
+    const aCount = slice.filter(([type]) => type !== '+').length;
+    const bCount = slice.filter(([type]) => type !== '-').length;
+    // An empty side is numbered from the line before it, as diff -u does
+    const aStart = aCount ? aLine[start] : aLine[start] - 1;
+    const bStart = bCount ? bLine[start] : bLine[start] - 1;
+    out.push(`@@ -${aStart},${aCount} +${bStart},${bCount} @@`);
+    for (const [type, line] of slice) out.push(type + line);
+  }
+  return out;
+}
+
+function parseFrontmatter(text) {
+  const { frontmatter } = splitFrontmatter(text);
+  if (frontmatter === null) return {};
+  try {
+    const data = yaml.safeLoad(frontmatter);
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function show(value) {
+  if (value === undefined || value === null) return String(value);
+  if (Array.isArray(value)) return `[${value.map(show).join(', ')}]`;
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+// How the frontmatter of `before` became that of `after`, one line per key:
+// rewritten values, keys moved under x-claude, dropped and added keys.
+function frontmatterChanges(before, after) {
+  const src = parseFrontmatter(before);
+  const dst = parseFrontmatter(after);
+  const block = dst[CLAUDE_NAMESPACE] && typeof dst[CLAUDE_NAMESPACE] === 'object' ? dst[CLAUDE_NAMESPACE] : {};
+  const changes = [];
+  for (const [key, value] of Object.entries(src)) {
+    if (key === CLAUDE_NAMESPACE) continue;
+    if (!Object.prototype.hasOwnProperty.call(dst, key)) {
+      changes.push(Object.prototype.hasOwnProperty.call(block, key) ? `${key} moved under ${CLAUDE_NAMESPACE}` : `${key} dropped (was ${show(value)})`);
+    } else if (show(dst[key]) !== show(value)) {
+      changes.push(`${key}: ${show(value)} → ${show(dst[key])}`);
+    }
+  }
+  for (const key of Object.keys(dst)) {
+    if (key !== CLAUDE_NAMESPACE && !Object.prototype.hasOwnProperty.call(src, key)) changes.push(`${key} added (${show(dst[key])})`);
+  }
+  return changes;
+}
+
+// What --diff shows for a planned droid or command: the action an install
+// takes (see output.plannedAction), the frontmatter rewritten in conversion
+// (source → converted), and a unified diff against the file on disk (the
+// whole file for new ones). Merges diff the merged text that would land.
+function previewItem(item, action) {
+  const after = action === 'merge' || action === 'conflict' ? item.state.merge.text : item.content;
+  const before = item.exists && fs.existsSync(item.dest) ? fs.readFileSync(item.dest, 'utf8') : '';
+  return {
+    action,
+    conversion: item.sourceText !== undefined ? frontmatterChanges(item.sourceText, item.content) : [],
+    changes: item.exists ? frontmatterChanges(before, after) : [],
+    patch: unifiedDiff(before, after),
+  };
+}
+
+module.exports = { unifiedDiff, frontmatterChanges, previewItem };
@@ -0,0 +1,157 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const { convertDroidToAgentMarkdown } = require('./agent-convert');
+const { convertFactoryCommandToClaude } = require('./command-convert');
+const { convertFactoryHooks } = require('./hook-convert');
+const { lockKey } = require('./lockfile');
+const { isSafeName } = require('./fs-utils');
+
+// Export writes a Claude Code marketplace:
+//   <out>/.claude-plugin/marketplace.json
+//   <out>/plugins/<plugin>/.claude-plugin/plugin.json
+//   <out>/plugins/<plugin>/{agents,commands,skills,hooks}/
+// Components recorded in the lockfile go back to the plugin they came from,
+// a hooks/<dir>/ to a plugin named after it, everything else to one plugin
+// named like the marketplace.
+
+function listFiles(dir, rel = '') {
+  const full = path.join(dir, rel);
+  if (!fs.existsSync(full) || !fs.statSync(full).isDirectory()) return [];
+  const out = [];
+  for (const entry of fs.readdirSync(full, { withFileTypes: true })) {
+    const child = rel ? `${rel}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) out.push(...listFiles(dir, child));
+    else if (entry.isFile()) out.push(child);
+  }
+  return out.sort();
+}
+
+function listDirs(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return [];
+  return fs.readdirSync(dir, { withFileTypes: true }).filter((e) => e.isDirectory()).map((e) => e.name).sort();
+}
+
+// Convert a droid or command up front, so the plan can list lossy mappings
+// (item.notes) and files that fail to parse (item.error).
+function renderExport(item) {
+  item.notes = [];
+  try {
+    const text = fs.readFileSync(item.src, 'utf8');
+    if (item.kind === 'droid') item.content = convertDroidToAgentMarkdown(text, { fallbackName: path.posix.basename(item.name), notes: item.notes });
+    else item.content = convertFactoryCommandToClaude(text, { notes: item.notes });
+  } catch (e) {
+    item.error = e?.message || String(e);
+  }
+  return item;
+}
+
+// What an export of baseDir into outDir would write. `skip` turns kinds off
+// (commands, droids, hooks, skills). Returns { name, outDir, plugins, items,
+// skipped }: items carry { kind, name, plugin, src, dest } (plus content and
+// notes for droids and commands), skipped the files that cannot be exported,
+// with a reason.
+function planExport({ baseDir, outDir, name, lock, skip = {} }) {
+  const items = [];
+  const skipped = [];
+  // A recorded plugin name becomes plugins/<plugin>/ here, so it must be a plain segment
+  const pluginOf = (dest, fallback) => {
+    const recorded = lock.items[lockKey(baseDir, dest)]?.plugin;
+    return recorded && isSafeName(recorded) ? recorded : fallback;
+  };
+  const pluginDir = (plugin) => path.join(outDir, 'plugins', plugin);
+
+  if (!skip.droids) {
+    const dir = path.join(baseDir, 'droids');
+    for (const rel of listFiles(dir)) {
+      const src = path.join(dir, ...rel.split('/'));
+      if (!rel.endsWith('.md')) { skipped.push({ kind: 'droid', src, reason: 'not a markdown droid' }); continue; }
+      const plugin = pluginOf(src, name);
+      items.push(renderExport({ kind: 'droid', name: rel.replace(/\.md$/, ''), plugin, src, dest: path.join(pluginDir(plugin), 'agents', ...rel.split('/')) }));
+    }
+  }
+  if (!skip.commands) {
+    const dir = path.join(baseDir, 'commands');
+    for (const rel of listFiles(dir)) {
+      const src = path.join(dir, ...rel.split('/'));
+      // Factory also runs executable scripts as commands; Claude Code has no equivalent
+      if (!rel.endsWith('.md')) { skipped.push({ kind: 'command', src, reason: 'executable commands have no Claude Code equivalent' }); continue; }
+      const plugin = pluginOf(src, name);
+      items.push(renderExport({ kind: 'command', name: rel.replace(/\.md$/, ''), plugin, src, dest: path.join(pluginDir(plugin), 'commands', ...rel.split('/')) }));
+    }
+  }
+  if (!skip.skills) {
+    const dir = path.join(baseDir, 'skills');
+    for (const skill of listDirs(dir)) {
+      const src = path.join(dir, skill);
+      if (!fs.existsSync(path.join(src, 'SKILL.md'))) { skipped.push({ kind: 'skill', src, reason: 'no SKILL.md' }); continue; }
+      const plugin = pluginOf(src, name);
+      items.push({ kind: 'skill', name: skill, plugin, src, dest: path.join(pluginDir(plugin), 'skills', skill) });
+    }
+  }
+  if (!skip.hooks) {
+    const dir = path.join(baseDir, 'hooks');
+    for (const hooksDir of listDirs(dir)) {
+      const src = path.join(dir, hooksDir);
+      if (!fs.existsSync(path.join(src, 'hooks.json'))) { skipped.push({ kind: 'hook', src, reason: 'no hooks.json' }); continue; }
+      const plugin = pluginOf(src, hooksDir);
+      items.push({ kind: 'hook', name: hooksDir, plugin, src, dest: pluginDir(plugin) });
+    }
+  }
+
+  const plugins = Array.from(new Set(items.map((item) => item.plugin))).sort();
+  return { name, outDir, plugins, items, skipped };
+}
+
+function writeFile(dest, content) {
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+  fs.writeFileSync(dest, content, 'utf8');
+}
+
+// Write the plan, setting item.result ('written' or 'failed', with
+// item.error). Plugins left without a written component are not listed.
+function applyExport(plan) {
+  for (const item of plan.items) {
+    try {
+      if (item.error) throw new Error(item.error);
+      if (item.kind === 'droid' || item.kind === 'command') {
+        writeFile(item.dest, item.content);
+      } else if (item.kind === 'skill') {
+        fs.rmSync(item.dest, { recursive: true, force: true });
+        fs.cpSync(item.src, item.dest, { recursive: true });
+      } else if (item.kind === 'hook') {
+        // hooks.json goes to hooks/; its scripts already sit at their path inside the plugin
+        const json = JSON.parse(fs.readFileSync(path.join(item.src, 'hooks.json'), 'utf8'));
+        const installedRoots = [`\${HOME}/.factory/hooks/${item.name}`, `\${FACTORY_PROJECT_DIR}/.factory/hooks/${item.name}`];
+        writeFile(path.join(item.dest, 'hooks', 'hooks.json'), JSON.stringify(convertFactoryHooks(json, { installedRoots }), null, 2) + '\n');
+        for (const rel of listFiles(item.src)) {
+          if (rel === 'hooks.json') continue;
+          const from = path.join(item.src, ...rel.split('/'));
+          const dest = path.join(item.dest, ...rel.split('/'));
+          fs.mkdirSync(path.dirname(dest), { recursive: true });
+          fs.copyFileSync(from, dest);
+          fs.chmodSync(dest, fs.statSync(from).mode);
+        }
+      }
+      item.result = 'written';
+    } catch (e) {
+      item.result = 'failed';
+      item.error = e?.message || String(e);
+    }
+  }
+
+  const plugins = plan.plugins.filter((plugin) => plan.items.some((item) => item.plugin === plugin && item.result === 'written'));
+  for (const plugin of plugins) {
+    writeFile(path.join(plan.outDir, 'plugins', plugin, '.claude-plugin', 'plugin.json'), JSON.stringify({ name: plugin, description: `${plugin} (exported from Factory)` }, null, 2) + '\n');
+  }
+  const marketplace = {
+    name: plan.name,
+    owner: { name: plan.name },
+    plugins: plugins.map((plugin) => ({ name: plugin, source: `./plugins/${plugin}`, description: `${plugin} (exported from Factory)` })),
+  };
+  writeFile(path.join(plan.outDir, '.claude-plugin', 'marketplace.json'), JSON.stringify(marketplace, null, 2) + '\n');
+  return plan;
+}
+
+module.exports = { planExport, applyExport };
@@ -0,0 +1,61 @@
+"use strict";
+
+const yaml = require('js-yaml');
+
+// What the converters do with frontmatter keys Factory has no use for:
+//   namespace  move them under `x-claude:` (default), so nothing is lost and
+//              export can restore them
+//   preserve   keep them as top-level keys
+//   drop       discard them
+const FRONTMATTER_POLICIES = ['namespace', 'preserve', 'drop'];
+const CLAUDE_NAMESPACE = 'x-claude';
+
+// Kept at the top level even under 'namespace': harmless to Factory, and our
+// own templates carry them.
+const PASSTHROUGH_KEYS = ['version'];
+
+function dumpLines(obj) {
+  return yaml.safeDump(obj, { lineWidth: -1, noRefs: true, skipInvalid: true }).replace(/\n$/, '').split('\n');
+}
+
+// YAML lines for the keys of `src` the converter did not emit itself
+// (`handled`), placed according to `policy`. An existing x-claude block is
+// merged into the one written here. `originals` are source values of keys
+// the converter translated; they are kept under x-claude only, so export can
+// restore them.
+function extraFrontmatterLines(src, handled, policy = 'namespace', originals = {}) {
+  if (policy === 'drop') return [];
+  const top = {};
+  const namespaced = policy === 'namespace' ? { ...originals } : {};
+  for (const [key, value] of Object.entries(src || {})) {
+    if (handled.includes(key) || value === undefined) continue;
+    if (key === CLAUDE_NAMESPACE && value && typeof value === 'object' && !Array.isArray(value)) Object.assign(namespaced, value);
+    else if (policy === 'preserve' || PASSTHROUGH_KEYS.includes(key)) top[key] = value;
+    else namespaced[key] = value;
+  }
+  const lines = [];
+  if (Object.keys(top).length) lines.push(...dumpLines(top));
+  if (Object.keys(namespaced).length) lines.push(...dumpLines({ [CLAUDE_NAMESPACE]: namespaced }));
+  return lines;
+}
+
+// For export: the x-claude block of a converted file, and every other key
+// (top-level ones not in `handled`, then the x-claude ones not in `handled`)
+// to write back as a top-level key.
+function claudeKeys(src, handled) {
+  const block = src[CLAUDE_NAMESPACE];
+  const claude = block && typeof block === 'object' && !Array.isArray(block) ? block : {};
+  const extra = {};
+  for (const [key, value] of Object.entries(src)) if (key !== CLAUDE_NAMESPACE && !handled.includes(key)) extra[key] = value;
+  for (const [key, value] of Object.entries(claude)) if (!handled.includes(key)) extra[key] = value;
+  return { claude, extra };
+}
+
+// A markdown file with `data` as YAML frontmatter. The converters put one
+// blank line after the frontmatter; only that one is dropped from `body`, so
+// exporting and installing again gives back the same file.
+function emitMarkdown(data, body) {
+  return `---\n${yaml.safeDump(data, { lineWidth: -1, noRefs: true, skipInvalid: true })}---\n${String(body || '').replace(/^\r?\n/, '')}`;
+}
+
+module.exports = { FRONTMATTER_POLICIES, CLAUDE_NAMESPACE, extraFrontmatterLines, claudeKeys, emitMarkdown };
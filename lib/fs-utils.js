@@ -1,23 +1,10 @@
 "use strict";
 
 const fs = require('fs');
-const os = require('os');
 const path = require('path');
-const https = require('https');
-
-function parseGitHubRawUrl(u) {
-  try {
-    const url = new URL(u);
-    if (url.hostname !== 'raw.githubusercontent.com') return null;
-    const parts = url.pathname.split('/').filter(Boolean);
-    if (parts.length < 4) return null;
-    const owner = parts[0];
-    const repo = parts[1];
-    const ref = parts[2];
-    const basePath = parts.slice(3).join('/');
-    return { owner, repo, ref, basePath };
-  } catch { return null; }
-}
+const { mapLimit } = require('./scheduler');
+const { archiveDirectory, fetchRaw } = require('./archive');
+const { parseRawUrl, rawUrlOf, listRemoteFiles } = require('./hosts');
 
 function listBasenames(dir) {
   if (!fs.existsSync(dir)) return [];
@@ -39,6 +26,28 @@ function listSkills(dir) {
     .sort();
 }
 
+// Whether a relative path from a plugin, an archive or a host listing stays
+// inside the directory it is joined to: not absolute, no `..` segments.
+function isContainedPath(rel) {
+  if (!rel || path.posix.isAbsolute(rel) || path.win32.isAbsolute(rel) || /^[a-zA-Z]:/.test(rel)) return false;
+  return !rel.split(/[\\/]/).includes('..');
+}
+
+// Whether a name from marketplace.json or .mcp.json can be one path segment
+// under .factory/: letters, digits, `.`, `_` and `-`, and not `.` or `..`.
+function isSafeName(name) {
+  return typeof name === 'string' && /^[A-Za-z0-9._-]+$/.test(name) && name !== '.' && isContainedPath(name);
+}
+
+// Join a repository-relative path onto dest, or null (with a debug note)
+// when it would land outside dest.
+function containedJoin(dest, rel, debug) {
+  if (isContainedPath(rel)) return path.join(dest, ...rel.split('/'));
+  if (typeof debug === 'function') debug('Skipping entry outside the directory', rel);
+  else if (debug) console.log('[debug] Skipping entry outside the directory', rel);
+  return null;
+}
+
 function ensureDir(dir) {
   fs.mkdirSync(dir, { recursive: true });
 }
@@ -58,80 +67,53 @@ function copyDirectory(src, dest, force) {
 }
 
 async function downloadDirectory(src, dest, force, opts = {}) {
-  const parsed = parseGitHubRawUrl(src);
-  if (!parsed) return 'skipped';
   if (fs.existsSync(dest) && !force) return 'skipped';
-  ensureDir(dest);
-  const token = opts.token || process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
-  const headers = token
-    ? { 'User-Agent': 'droid-factory', Authorization: `Bearer ${token}` }
-    : { 'User-Agent': 'droid-factory' };
-  const apiBase = `https://api.github.com/repos/${parsed.owner}/${parsed.repo}/contents/${encodeURIComponent(parsed.basePath).replace(/%2F/g,'/')}`;
-
-  const withRef = (urlStr) => {
-    const u = new URL(urlStr);
-    if (parsed.ref && !u.searchParams.has('ref')) u.searchParams.set('ref', parsed.ref);
-    return u.toString();
-  };
-
-  async function fetchJson(url) {
-    return new Promise((resolve, reject) => {
-      const req = https.get(url, { headers }, (res) => {
-        let data = '';
-        res.on('data', (d) => data += d);
-        res.on('end', () => {
-          if (res.statusCode && res.statusCode >= 200 && res.statusCode < 300) {
-            try { resolve(JSON.parse(data)); } catch (e) { reject(e); }
-          } else {
-            const err = new Error(`HTTP ${res.statusCode} for ${url}`);
-            err.statusCode = res.statusCode;
-            reject(err);
-          }
-        });
-      });
-      req.on('error', reject);
-    });
-  }
-
-  async function walk(apiUrl, relativePath) {
-    const entries = await fetchJson(withRef(apiUrl));
-    if (!Array.isArray(entries)) return;
-    for (const e of entries) {
-      if (!e || !e.type || !e.path) continue;
-      const rel = e.path.replace(parsed.basePath, '').replace(/^\//, '');
-      const destPath = path.join(dest, rel);
-      if (e.type === 'file') {
-        await downloadToFile(e.download_url || e.url, destPath, force);
-      } else if (e.type === 'dir') {
-        await walk(withRef(e.url), rel);
-      }
+  // The tarball transport serves the whole directory from the repository archive
+  const archived = await archiveDirectory(src, { debug: opts.debug });
+  if (archived) {
+    if (!archived.length) return 'skipped';
+    for (const { rel, body, mode } of archived) {
+      const destPath = containedJoin(dest, rel, opts.debug);
+      if (!destPath) continue;
+      ensureDir(path.dirname(destPath));
+      fs.writeFileSync(destPath, body);
+      // Keeps scripts executable; raw API downloads carry no mode
+      if (mode) fs.chmodSync(destPath, mode & 0o777);
     }
+    return 'written';
   }
-
+  const parsed = parseRawUrl(src);
+  if (!parsed) return 'skipped';
   try {
-    await walk(apiBase, '');
+    const files = await listRemoteFiles(parsed, { debug: opts.debug });
+    ensureDir(dest);
+    // http.js bounds how many downloads are in flight
+    await mapLimit(files, async (repoPath) => {
+      const rel = parsed.path ? repoPath.slice(parsed.path.length + 1) : repoPath;
+      const destPath = containedJoin(dest, rel, opts.debug);
+      if (destPath) await downloadToFile(rawUrlOf(parsed, repoPath), destPath, force, opts);
+    });
     return 'written';
   } catch (e) {
-    if (opts.debug) console.log('[debug] downloadDirectory error', e?.message || e);
+    if (e?.code === 'EOFFLINE') throw e;
+    if (typeof opts.debug === 'function') opts.debug('downloadDirectory error', e?.message || e);
+    else if (opts.debug) console.log('[debug] downloadDirectory error', e?.message || e);
     return 'skipped';
   }
 }
 
-function downloadToFile(url, dest, force) {
-  if (fs.existsSync(dest) && !force) return Promise.resolve('skipped');
+async function downloadToFile(url, dest, force, opts = {}) {
+  if (fs.existsSync(dest) && !force) return 'skipped';
+  let body;
+  try {
+    body = await fetchRaw(url, { debug: opts.debug });
+  } catch (e) {
+    if (e?.statusCode) return 'skipped';
+    throw e;
+  }
   ensureDir(path.dirname(dest));
-  return new Promise((resolve, reject) => {
-    const file = fs.createWriteStream(dest);
-    const req = https.get(url, { headers: { 'User-Agent': 'droid-factory' } }, (res) => {
-      if (res.statusCode && res.statusCode >= 200 && res.statusCode < 300) {
-        res.pipe(file);
-        file.on('finish', () => file.close(() => resolve('written')));
-      } else {
-        file.close(() => fs.unlink(dest, () => resolve('skipped')));
-      }
-    });
-    req.on('error', (err) => { file.close(() => fs.unlink(dest, () => reject(err))); });
-  });
+  fs.writeFileSync(dest, body);
+  return 'written';
 }
 
 function getTemplateDescription(filePath) {
@@ -152,29 +134,15 @@ function getTemplateDescription(filePath) {
   return null;
 }
 
-function readCustomDroidsSetting() {
-  const settingsPath = path.join(os.homedir(), '.factory', 'settings.json');
-  try {
-    const raw = fs.readFileSync(settingsPath, 'utf8');
-    const stripped = raw
-      .replace(/\/\*[\s\S]*?\*\//g, '')
-      .replace(/(^|\n)\s*\/\/.*?(?=\n|$)/g, '$1');
-    const data = JSON.parse(stripped);
-    return { enabled: data?.enableCustomDroids === true, path: settingsPath };
-  } catch (err) {
-    if (err.code === 'ENOENT') return { enabled: false, missing: true, path: settingsPath };
-    return { enabled: false, error: err, path: settingsPath };
-  }
-}
-
 module.exports = {
   listBasenames,
   listSkills,
+  isContainedPath,
+  isSafeName,
   ensureDir,
   copyFile,
   copyDirectory,
-   downloadDirectory,
+  downloadDirectory,
   getTemplateDescription,
-  readCustomDroidsSetting,
   downloadToFile,
 };
@@ -0,0 +1,76 @@
+"use strict";
+
+// Claude Code and Factory share the hook event names and the
+// { matcher, hooks: [{ type: 'command', command, timeout }] } group shape.
+const EVENTS = ['PreToolUse', 'PostToolUse', 'Notification', 'UserPromptSubmit', 'Stop', 'SubagentStop', 'PreCompact', 'SessionStart', 'SessionEnd'];
+
+const PLUGIN_ROOT_RE = /\$\{CLAUDE_PLUGIN_ROOT\}|\$CLAUDE_PLUGIN_ROOT\b/g;
+const PROJECT_DIR_RE = /\$\{CLAUDE_PROJECT_DIR\}|\$CLAUDE_PROJECT_DIR\b/g;
+const SCRIPT_REF_RE = /(?:\$\{CLAUDE_PLUGIN_ROOT\}|\$CLAUDE_PLUGIN_ROOT\b)\/([^\s"'`;|&<>()$]+)/g;
+
+// Paths a command reads from the plugin, relative to its root.
+function referencedScripts(command) {
+  const out = [];
+  for (const m of String(command).matchAll(SCRIPT_REF_RE)) out.push(m[1]);
+  return out;
+}
+
+function replacePluginRoot(text, pluginRoot) {
+  return String(text).replace(PLUGIN_ROOT_RE, pluginRoot);
+}
+
+// Convert a parsed Claude hooks.json into Factory settings hooks.
+// `pluginRoot` replaces ${CLAUDE_PLUGIN_ROOT} (the installed hooks/<plugin>
+// directory). Returns { hooks, scripts, notes }: scripts are the plugin files
+// the commands reference; notes describe anything that was dropped.
+function convertClaudeHooks(json, { pluginRoot }) {
+  const source = json && typeof json === 'object' && json.hooks && typeof json.hooks === 'object' ? json.hooks : null;
+  if (!source || Array.isArray(source)) throw new Error('hooks.json must contain a "hooks" object keyed by event name');
+  const hooks = {};
+  const scripts = new Set();
+  const notes = [];
+  for (const event of Object.keys(source)) {
+    if (!EVENTS.includes(event)) { notes.push(`skipped unsupported event ${event}`); continue; }
+    const groups = Array.isArray(source[event]) ? source[event] : [];
+    const converted = [];
+    for (const group of groups) {
+      const entries = [];
+      for (const hook of (group && Array.isArray(group.hooks) ? group.hooks : [])) {
+        if (!hook || hook.type !== 'command' || typeof hook.command !== 'string') {
+          notes.push(`skipped ${hook?.type || 'unknown'} hook in ${event} (only command hooks are supported)`);
+          continue;
+        }
+        for (const rel of referencedScripts(hook.command)) scripts.add(rel);
+        const command = replacePluginRoot(hook.command, pluginRoot).replace(PROJECT_DIR_RE, '${FACTORY_PROJECT_DIR}');
+        entries.push({ ...hook, command });
+      }
+      if (!entries.length) continue;
+      converted.push(group.matcher !== undefined ? { matcher: group.matcher, hooks: entries } : { hooks: entries });
+    }
+    if (converted.length) hooks[event] = converted;
+  }
+  return { hooks, scripts: Array.from(scripts).sort(), notes };
+}
+
+// Reverse conversion for export: the hooks.json kept in hooks/<plugin>/ back to
+// a plugin's hooks.json. `installedRoots` are the prefixes installs wrote for
+// ${CLAUDE_PLUGIN_ROOT} (see installer.installedHooksRoot).
+function convertFactoryHooks(json, { installedRoots }) {
+  const source = json && typeof json === 'object' && json.hooks && typeof json.hooks === 'object' ? json.hooks : null;
+  if (!source || Array.isArray(source)) throw new Error('hooks.json must contain a "hooks" object keyed by event name');
+  const restore = (command) => {
+    let out = String(command);
+    for (const root of installedRoots) out = out.split(root).join('${CLAUDE_PLUGIN_ROOT}');
+    return out.replace(/\$\{FACTORY_PROJECT_DIR\}|\$FACTORY_PROJECT_DIR\b/g, '${CLAUDE_PROJECT_DIR}');
+  };
+  const hooks = {};
+  for (const [event, groups] of Object.entries(source)) {
+    hooks[event] = (Array.isArray(groups) ? groups : []).map((group) => ({
+      ...group,
+      hooks: (Array.isArray(group?.hooks) ? group.hooks : []).map((hook) => (typeof hook?.command === 'string' ? { ...hook, command: restore(hook.command) } : hook)),
+    }));
+  }
+  return { hooks };
+}
+
+module.exports = { convertClaudeHooks, convertFactoryHooks, referencedScripts, replacePluginRoot, HOOK_EVENTS: EVENTS };
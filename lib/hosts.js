@@ -0,0 +1,302 @@
+"use strict";
+
+const { httpGetJson, httpGetText } = require('./http');
+const { mapLimit } = require('./scheduler');
+
+// Git hosts marketplaces and plugins can live on. github.com and gitlab.com
+// are built in; GitHub Enterprise, self-hosted GitLab and Gitea hosts come
+// from "hosts" in droid-factory.json (see config.normalizeHosts).
+//
+// Repositories are `gh` specs ({ host, owner, repo }; GitHub and Gitea) or
+// `gl` specs ({ host, namespacePath, repo }; GitLab), as in marketplace.js.
+const HOST_TYPES = ['github', 'gitlab', 'gitea'];
+
+// A self-hosted instance's REST API path and token variables (the first
+// one set wins), by type.
+const TYPE_DEFAULTS = {
+  github: { apiPath: '/api/v3', tokenEnv: ['GH_ENTERPRISE_TOKEN', 'GITHUB_ENTERPRISE_TOKEN'] },
+  gitlab: { apiPath: '/api/v4', tokenEnv: ['GITLAB_TOKEN'] },
+  gitea: { apiPath: '/api/v1', tokenEnv: ['GITEA_TOKEN'] },
+};
+
+const BUILTIN_HOSTS = {
+  'github.com': { host: 'github.com', type: 'github', api: 'https://api.github.com', tokenEnv: ['GITHUB_TOKEN', 'GH_TOKEN'] },
+  'gitlab.com': { host: 'gitlab.com', type: 'gitlab', api: 'https://gitlab.com/api/v4', tokenEnv: ['GITLAB_TOKEN'] },
+};
+
+// The active configuration: host definitions, and the slashed refs seen per
+// repository (see encodeRef). configureHosts starts a new one when the
+// definitions change.
+let configuration = newConfiguration('{}');
+
+function newConfiguration(id) {
+  return { id, hosts: {}, slashedRefs: new Map() };
+}
+
+// `defs`: { "<host>": { type, api?, tokenEnv? } }. Replaces earlier
+// definitions; a built-in host may be redefined (e.g. its tokenEnv).
+function configureHosts(defs = {}) {
+  const id = JSON.stringify(defs);
+  if (id === configuration.id) return;
+  configuration = newConfiguration(id);
+  const configured = configuration.hosts;
+  for (const [name, def] of Object.entries(defs)) {
+    const host = name.toLowerCase();
+    const builtin = BUILTIN_HOSTS[host] && BUILTIN_HOSTS[host].type === def.type ? BUILTIN_HOSTS[host] : null;
+    const defaults = TYPE_DEFAULTS[def.type];
+    configured[host] = {
+      host,
+      type: def.type,
+      api: (def.api || (builtin ? builtin.api : `https://${host}${defaults.apiPath}`)).replace(/\/+$/, ''),
+      tokenEnv: def.tokenEnv ? [].concat(def.tokenEnv) : builtin ? builtin.tokenEnv : defaults.tokenEnv,
+    };
+  }
+}
+
+function hostFor(host) {
+  const key = String(host || '').toLowerCase();
+  return configuration.hosts[key] || BUILTIN_HOSTS[key] || null;
+}
+
+function ghHost(gh) { return hostFor(gh.host || 'github.com'); }
+function glHost(gl) { return hostFor(gl.host || 'gitlab.com'); }
+
+// owner/repo or the GitLab namespace path, after the host unless it is built in.
+function repoLabel(repo) {
+  const name = repo.namespacePath || `${repo.owner}/${repo.repo}`;
+  return !repo.host || BUILTIN_HOSTS[repo.host] ? name : `${repo.host}/${name}`;
+}
+
+function hostToken(def) {
+  for (const name of def.tokenEnv) if (process.env[name]) return process.env[name];
+  return '';
+}
+
+// API credentials: GitLab takes PRIVATE-TOKEN, Gitea `token`, GitHub a bearer token.
+function authHeaders(def) {
+  const token = def ? hostToken(def) : '';
+  if (!token) return {};
+  if (def.type === 'gitlab') return { 'PRIVATE-TOKEN': token };
+  if (def.type === 'gitea') return { Authorization: `token ${token}` };
+  return { Authorization: `Bearer ${token}` };
+}
+
+function encodePath(repoPath) {
+  return encodeURIComponent(repoPath.replace(/^\/+/, '')).replace(/%2F/g, '/');
+}
+
+// A ref in a URL path (raw files, archives) is encoded per segment like a
+// path, so feature/x stays feature/x. Such a URL alone cannot tell where the
+// ref ends, so the configuration keeps the slashed refs each repository's
+// URLs were built with and parseRawUrl splits them back the same way. Git
+// refuses a branch `feature` next to `feature/x`, so within one repository
+// the longest known ref is the right one.
+function refsOf(repo, host) {
+  const key = `${host}/${repo.namespacePath || `${repo.owner}/${repo.repo}`}`;
+  if (!configuration.slashedRefs.has(key)) configuration.slashedRefs.set(key, new Set());
+  return configuration.slashedRefs.get(key);
+}
+
+function encodeRef(repo, host, ref) {
+  if (ref.includes('/')) refsOf(repo, host).add(ref);
+  return encodePath(ref);
+}
+
+// Decoded path segments starting at the ref → { ref, path }.
+function splitRef(repo, segments) {
+  let ref = segments[0];
+  for (const known of refsOf(repo, repo.host)) {
+    const count = known.split('/').length;
+    if (count > ref.split('/').length && segments.slice(0, count).join('/') === known) ref = known;
+  }
+  return { ref, path: segments.slice(ref.split('/').length).join('/') };
+}
+
+function repoApi(gh) { return `${ghHost(gh).api}/repos/${gh.owner}/${gh.repo}`; }
+function projectApi(gl) { return `${glHost(gl).api}/projects/${encodeURIComponent(gl.namespacePath)}`; }
+
+// The repository a clone or web URL names ({ kind: 'github' | 'gitlab',
+// repo }), or null for hosts that are not known. Gitea repositories take
+// the GitHub code paths, with their own API.
+function parseRepoUrl(url) {
+  let u;
+  try { u = new URL(url); } catch { return null; }
+  const def = hostFor(u.host);
+  if (!def) return null;
+  const parts = u.pathname.replace(/\.git$/i, '').replace(/\/$/, '').split('/').filter(Boolean);
+  if (def.type === 'gitlab') {
+    if (parts.length < 2) return null;
+    return { kind: 'gitlab', repo: { host: def.host, namespacePath: parts.join('/'), repo: parts[parts.length - 1] } };
+  }
+  if (parts.length < 2) return null;
+  return { kind: 'github', repo: { host: def.host, owner: parts[0], repo: parts[1] } };
+}
+
+// Raw file URLs, as recorded for installed components: raw.githubusercontent.com
+// for github.com, /-/raw/ on GitLab, /raw/ on GitHub Enterprise and Gitea.
+function githubRawUrl(gh, ref, repoPath) {
+  const safe = repoPath.replace(/^\//, '');
+  const host = ghHost(gh).host;
+  if (host === 'github.com') return `https://raw.githubusercontent.com/${gh.owner}/${gh.repo}/${encodeRef(gh, host, ref)}/${safe}`;
+  return `https://${host}/${gh.owner}/${gh.repo}/raw/${encodeRef(gh, host, ref)}/${safe}`;
+}
+
+function gitlabRawUrl(gl, ref, repoPath) {
+  const safe = repoPath.replace(/^\//, '');
+  const host = glHost(gl).host;
+  return `https://${host}/${gl.namespacePath}/-/raw/${encodeRef(gl, host, ref)}/${safe}`;
+}
+
+// The repository, ref and path behind a raw file URL ({ kind, repo, ref,
+// path }), or null when it is not one.
+function parseRawUrl(url) {
+  let u;
+  try { u = new URL(url); } catch { return null; }
+  if (u.host === 'raw.githubusercontent.com') {
+    const parts = u.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+    if (parts.length < 3) return null;
+    const repo = { host: 'github.com', owner: parts[0], repo: parts[1] };
+    return { kind: 'github', repo, ...splitRef(repo, parts.slice(2)) };
+  }
+  const def = hostFor(u.host);
+  if (!def) return null;
+  if (def.type === 'gitlab') {
+    const m = /^\/(.+?)\/-\/raw\/(.+)$/.exec(u.pathname);
+    if (!m) return null;
+    const namespacePath = decodeURIComponent(m[1]);
+    const repo = { host: def.host, namespacePath, repo: namespacePath.split('/').pop() };
+    return { kind: 'gitlab', repo, ...splitRef(repo, m[2].split('/').filter(Boolean).map(decodeURIComponent)) };
+  }
+  const parts = u.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  if (def.host === 'github.com' || parts.length < 4 || parts[2] !== 'raw') return null;
+  const repo = { host: def.host, owner: parts[0], repo: parts[1] };
+  return { kind: 'github', repo, ...splitRef(repo, parts.slice(3)) };
+}
+
+function rawUrlOf(parsed, repoPath) {
+  return parsed.kind === 'gitlab' ? gitlabRawUrl(parsed.repo, parsed.ref, repoPath) : githubRawUrl(parsed.repo, parsed.ref, repoPath);
+}
+
+// How to download a raw file URL: { url, headers }. github.com files come
+// from raw.githubusercontent.com; other hosts serve them through their API,
+// which takes the host's token for private repositories.
+function fileRequest(url) {
+  const parsed = parseRawUrl(url);
+  if (!parsed) return { url, headers: {} };
+  const { kind, repo, ref, path: repoPath } = parsed;
+  if (kind === 'gitlab') {
+    return { url: `${projectApi(repo)}/repository/files/${encodeURIComponent(repoPath)}/raw?ref=${encodeURIComponent(ref)}`, headers: authHeaders(glHost(repo)) };
+  }
+  const def = ghHost(repo);
+  if (def.host === 'github.com') return { url, headers: authHeaders(def) };
+  if (def.type === 'gitea') return { url: `${repoApi(repo)}/raw/${encodePath(repoPath)}?ref=${encodeURIComponent(ref)}`, headers: authHeaders(def) };
+  return { url: `${repoApi(repo)}/contents/${encodePath(repoPath)}?ref=${encodeURIComponent(ref)}`, headers: { Accept: 'application/vnd.github.raw', ...authHeaders(def) } };
+}
+
+// Where a repository archive (.tar.gz) at ref is downloaded: { url, headers }.
+// github.com goes straight to codeload unless a token asks for the API.
+function archiveRequest(kind, repo, ref) {
+  if (kind === 'gitlab') {
+    return { url: `${projectApi(repo)}/repository/archive.tar.gz?sha=${encodeURIComponent(ref)}`, headers: authHeaders(glHost(repo)) };
+  }
+  const def = ghHost(repo);
+  const headers = authHeaders(def);
+  if (def.type === 'gitea') return { url: `${repoApi(repo)}/archive/${encodePath(ref)}.tar.gz`, headers };
+  if (def.host === 'github.com' && !headers.Authorization) return { url: `https://codeload.github.com/${repo.owner}/${repo.repo}/tar.gz/${encodePath(ref)}`, headers };
+  return { url: `${repoApi(repo)}/tarball/${encodePath(ref)}`, headers };
+}
+
+// The commit a branch, tag or SHA points at.
+async function githubCommitSha(gh, ref, opts = {}) {
+  const def = ghHost(gh);
+  if (def.type === 'gitea') {
+    const commits = await httpGetJson(`${repoApi(gh)}/commits?sha=${encodeURIComponent(ref)}&limit=1&stat=false`, authHeaders(def), opts);
+    return Array.isArray(commits) && commits[0] ? String(commits[0].sha || '') : '';
+  }
+  return (await httpGetText(`${repoApi(gh)}/commits/${encodeURIComponent(ref)}`, { Accept: 'application/vnd.github.sha', ...authHeaders(def) }, undefined, opts)).trim();
+}
+
+async function gitlabCommitSha(gl, ref, opts = {}) {
+  const json = await httpGetJson(`${projectApi(gl)}/repository/commits/${encodeURIComponent(ref)}`, authHeaders(glHost(gl)), opts);
+  return json && typeof json.id === 'string' ? json.id : '';
+}
+
+// The whole tree at ref, as git/trees entries ({ path, type: 'blob' | 'tree' }).
+// Gitea pages large trees.
+async function githubTree(gh, ref, opts = {}) {
+  const def = ghHost(gh);
+  if (def.type !== 'gitea') {
+    const json = await httpGetJson(`${repoApi(gh)}/git/trees/${encodeURIComponent(ref)}?recursive=1`, authHeaders(def), opts);
+    return json && Array.isArray(json.tree) ? json.tree : null;
+  }
+  const tree = [];
+  for (let page = 1; ; page++) {
+    const json = await httpGetJson(`${repoApi(gh)}/git/trees/${encodeURIComponent(ref)}?recursive=true&per_page=1000&page=${page}`, authHeaders(def), opts);
+    if (!json || !Array.isArray(json.tree)) return null;
+    tree.push(...json.tree);
+    if (!json.truncated || !json.tree.length) return tree;
+  }
+}
+
+// One directory through the contents API (GitHub and Gitea return the same
+// shape: [{ name, path, type: 'file' | 'dir', download_url }]).
+async function githubContents(gh, ref, repoPath, opts = {}) {
+  return httpGetJson(`${repoApi(gh)}/contents/${encodePath(repoPath)}?ref=${encodeURIComponent(ref)}`, authHeaders(ghHost(gh)), opts);
+}
+
+const GITLAB_PAGE = 100;
+
+// A GitLab directory listing ([{ name, path, type: 'blob' | 'tree' }]),
+// every page of it; `opts.recursive` lists subdirectories too.
+async function gitlabTree(gl, ref, repoPath, opts = {}) {
+  const entries = [];
+  for (let page = 1; ; page++) {
+    const url = `${projectApi(gl)}/repository/tree?path=${encodeURIComponent(repoPath)}&ref=${encodeURIComponent(ref)}&per_page=${GITLAB_PAGE}&page=${page}${opts.recursive ? '&recursive=true' : ''}`;
+    const result = await httpGetJson(url, authHeaders(glHost(gl)), opts);
+    if (!Array.isArray(result)) return page === 1 ? result : entries;
+    entries.push(...result);
+    if (result.length < GITLAB_PAGE) return entries;
+  }
+}
+
+// Repo paths of every file under the directory a raw URL points at.
+async function listRemoteFiles(parsed, opts = {}) {
+  const { kind, repo, ref, path: dir } = parsed;
+  if (kind === 'gitlab') {
+    const entries = await gitlabTree(repo, ref, dir, { ...opts, recursive: true });
+    return Array.isArray(entries) ? entries.filter((e) => e && e.type === 'blob').map((e) => e.path) : [];
+  }
+  const files = [];
+  async function walk(repoPath) {
+    const entries = await githubContents(repo, ref, repoPath, opts);
+    if (!Array.isArray(entries)) return;
+    await mapLimit(entries, async (e) => {
+      if (!e || !e.path) return;
+      if (e.type === 'file') files.push(e.path);
+      else if (e.type === 'dir') await walk(e.path);
+    });
+  }
+  await walk(dir);
+  return files.sort();
+}
+
+module.exports = {
+  HOST_TYPES,
+  configureHosts,
+  hostFor,
+  repoLabel,
+  authHeaders,
+  parseRepoUrl,
+  parseRawUrl,
+  githubRawUrl,
+  gitlabRawUrl,
+  rawUrlOf,
+  fileRequest,
+  archiveRequest,
+  githubCommitSha,
+  gitlabCommitSha,
+  githubTree,
+  githubContents,
+  gitlabTree,
+  listRemoteFiles,
+};
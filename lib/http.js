@@ -0,0 +1,208 @@
+"use strict";
+
+const https = require('https');
+const { isOffline, isImmutableUrl, readCached, writeCached, offlineMissError } = require('./cache');
+const { createLimiter, downloadConcurrency, downloadRetries, downloadTimeout, sleep } = require('./scheduler');
+
+let lastRateLimit = null;
+
+function updateRateLimit(headers) {
+  if (!headers) return;
+  const limit = headers['x-ratelimit-limit'];
+  const remaining = headers['x-ratelimit-remaining'];
+  const reset = headers['x-ratelimit-reset'];
+  if (limit === undefined && remaining === undefined && reset === undefined) return;
+  lastRateLimit = {
+    limit: limit !== undefined ? Number(limit) : undefined,
+    remaining: remaining !== undefined ? Number(remaining) : undefined,
+    reset: reset !== undefined ? Number(reset) : undefined,
+    fetchedAt: Date.now(),
+  };
+}
+
+// `debug` is true for console output, or a function (the Node API's logger).
+function debugLog(debug, ...args) {
+  if (typeof debug === 'function') debug(...args);
+  else if (debug) console.log('[debug]', ...args);
+}
+
+// One GET without following redirects. Resolves { statusCode, headers, body }
+// whatever the status; rejects only on network errors, including a socket
+// that stays silent for the download timeout (ETIMEDOUT, retried).
+function getOnce(url, headers, debug) {
+  debugLog(debug, 'httpGet →', url);
+  return new Promise((resolve, reject) => {
+    const req = https.get(url, { headers: { 'User-Agent': 'droid-factory', ...headers } }, (res) => {
+      debugLog(debug, 'httpGet status', res.statusCode, url);
+      updateRateLimit(res.headers || {});
+      if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+        res.resume(); // discard
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.alloc(0) });
+        return;
+      }
+      const chunks = [];
+      res.on('data', (d) => chunks.push(d));
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers || {}, body: Buffer.concat(chunks) }));
+      res.on('error', reject);
+    });
+    req.setTimeout(downloadTimeout(), () => {
+      const err = new Error(`timed out after ${downloadTimeout()}ms without data from ${url}`);
+      err.code = 'ETIMEDOUT';
+      req.destroy(err);
+    });
+    req.on('error', (err) => {
+      debugLog(debug, 'httpGet request error', err?.message || err);
+      reject(err);
+    });
+  });
+}
+
+// Every request waits for one of the scheduler's download slots.
+const limit = createLimiter(downloadConcurrency);
+
+// Network errors worth another try. Ones that mean "no network" (ENOTFOUND,
+// ECONNREFUSED, ENETUNREACH) fail at once so the cache fallback is quick.
+const TRANSIENT_ERRORS = new Set(['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ECONNABORTED']);
+// Longest we sleep before a retry; a rate limit resetting later fails instead.
+const MAX_RETRY_WAIT = 60 * 1000;
+const BACKOFF_BASE = 500;
+
+function backoff(attempt) {
+  return Math.min(BACKOFF_BASE * 2 ** attempt, 30 * 1000) + Math.floor(Math.random() * BACKOFF_BASE);
+}
+
+// Retry-After is either seconds or an HTTP date.
+function retryAfterMs(value) {
+  if (value === undefined || value === '') return null;
+  if (/^\d+$/.test(String(value).trim())) return Number(value) * 1000;
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// How long to wait before retrying a failed response, or null when it should
+// not be retried: 5xx, 429 and GitHub's rate-limit 403s are. Retry-After wins,
+// then the primary limit's reset time; secondary limits without either ask
+// clients to wait at least a minute.
+function retryDelay(res, attempt) {
+  const h = res.headers || {};
+  const status = res.statusCode;
+  const exhausted = h['x-ratelimit-remaining'] === '0';
+  const rateLimited = status === 429 || (status === 403 && (h['retry-after'] !== undefined || exhausted || /secondary rate limit/i.test(res.body.toString('utf8'))));
+  if (!rateLimited && !(status >= 500 && status < 600)) return null;
+  const after = retryAfterMs(h['retry-after']);
+  if (after !== null) return after;
+  if (exhausted && h['x-ratelimit-reset']) return Math.max(0, Number(h['x-ratelimit-reset']) * 1000 - Date.now()) + 1000;
+  if (rateLimited) return 60 * 1000;
+  return backoff(attempt);
+}
+
+// Credentials go only to the origin they were meant for: a redirect to
+// another one (GHE and GitLab send archives to storage hosts) drops them.
+const AUTH_HEADERS = new Set(['authorization', 'private-token']);
+
+function withoutAuth(headers) {
+  return Object.fromEntries(Object.entries(headers || {}).filter(([name]) => !AUTH_HEADERS.has(name.toLowerCase())));
+}
+
+// Resolves { statusCode, headers, body } for 2xx and 304 responses; anything
+// else rejects with err.statusCode set. Follows up to `maxRedirects`
+// redirects and retries transient failures with exponential backoff.
+async function request(url, headers, maxRedirects, opts) {
+  const debug = opts.debug || false;
+  const retries = downloadRetries();
+  let current = url;
+  let sent = headers;
+  let redirects = maxRedirects;
+  let attempt = 0;
+  for (;;) {
+    let res;
+    try {
+      res = await limit(() => getOnce(current, sent, debug));
+    } catch (err) {
+      if (attempt >= retries || !TRANSIENT_ERRORS.has(err?.code)) throw err;
+      const wait = backoff(attempt++);
+      debugLog(debug, `httpGet retry ${attempt}/${retries} in ${wait}ms (${err.code})`, current);
+      await sleep(wait);
+      continue;
+    }
+    if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location && redirects > 0) {
+      const next = new URL(res.headers.location, current);
+      if (next.origin !== new URL(current).origin) sent = withoutAuth(sent);
+      current = next.toString();
+      redirects--;
+      debugLog(debug, 'httpGet redirect →', current);
+      continue;
+    }
+    if (res.statusCode === 304 || (res.statusCode && res.statusCode >= 200 && res.statusCode < 300)) {
+      debugLog(debug, 'httpGet success', current);
+      return res;
+    }
+    const wait = attempt < retries ? retryDelay(res, attempt) : null;
+    if (wait !== null && wait <= MAX_RETRY_WAIT) {
+      attempt++;
+      debugLog(debug, `httpGet retry ${attempt}/${retries} in ${wait}ms (HTTP ${res.statusCode})`, current);
+      await sleep(wait);
+      continue;
+    }
+    debugLog(debug, 'httpGet error', res.statusCode, current);
+    const err = new Error(`HTTP ${res.statusCode} for ${current}`);
+    err.statusCode = res.statusCode;
+    err.url = current;
+    err.headers = res.headers;
+    throw err;
+  }
+}
+
+// The Accept header changes what some endpoints return (e.g. a bare commit
+// SHA instead of JSON), so it is part of the cache key; auth headers are not.
+function cacheKey(url, headers) {
+  const accept = headers.Accept || headers.accept;
+  return accept ? `${url}\n${accept}` : url;
+}
+
+// GET through the on-disk cache. SHA-addressed URLs are served straight from
+// disk; everything else is revalidated with If-None-Match/If-Modified-Since.
+// Offline mode never touches the network and fails on a cache miss.
+async function httpGetBuffer(url, headers = {}, maxRedirects = 5, opts = {}) {
+  const debug = opts.debug || false;
+  const key = cacheKey(url, headers);
+  const cached = readCached(key);
+  if (isOffline()) {
+    if (cached) { debugLog(debug, 'cache hit (offline)', url); return cached.body; }
+    throw offlineMissError(url);
+  }
+  if (cached && isImmutableUrl(url)) { debugLog(debug, 'cache hit', url); return cached.body; }
+
+  const conditional = {};
+  if (cached && cached.etag) conditional['If-None-Match'] = cached.etag;
+  else if (cached && cached.lastModified) conditional['If-Modified-Since'] = cached.lastModified;
+
+  let res;
+  try {
+    res = await request(url, { ...headers, ...conditional }, maxRedirects, opts);
+  } catch (e) {
+    // Network failures (not HTTP errors) fall back to the last cached copy.
+    if (cached && !e.statusCode) { debugLog(debug, 'network error, using cached copy', url); return cached.body; }
+    throw e;
+  }
+  if (res.statusCode === 304 && cached) { debugLog(debug, 'cache revalidated', url); return cached.body; }
+  writeCached(key, url, res.body, res.headers);
+  return res.body;
+}
+
+async function httpGetText(url, headers = {}, maxRedirects = 5, opts = {}) {
+  const body = await httpGetBuffer(url, headers, maxRedirects, opts);
+  return body.toString('utf8');
+}
+
+async function httpGetJson(url, headers = {}, opts = {}) {
+  const text = await httpGetText(url, headers, undefined, opts);
+  return JSON.parse(text);
+}
+
+module.exports = {
+  httpGetBuffer,
+  httpGetText,
+  httpGetJson,
+  getLastRateLimit: () => lastRateLimit,
+};
@@ -0,0 +1,214 @@
+"use strict";
+
+const os = require('os');
+const path = require('path');
+
+const marketplace = require('./marketplace');
+const { COLLISION_STRATEGIES, FLATTEN_STYLES } = require('./marketplace-planner');
+const { planMarketplaceInstall, applyMarketplaceInstall, wasWritten, PLAN_KINDS } = require('./install');
+const { readConversion, normalizeHosts } = require('./config');
+const { configureCache } = require('./cache');
+const { configureDownloads } = require('./scheduler');
+const { TRANSPORTS, configureTransport } = require('./archive');
+const { configureHosts } = require('./hosts');
+const { convertMcpServer } = require('./mcp');
+const { installReport } = require('./output');
+const { readCustomDroidsSetting, enableCustomDroids } = require('./settings');
+const { MODEL_POLICIES } = require('./model-map');
+const { FRONTMATTER_POLICIES } = require('./frontmatter');
+const { convertAgentMarkdownToDroid, convertDroidToAgentMarkdown } = require('./agent-convert');
+const { convertCommandMarkdownToFactory, convertFactoryCommandToClaude } = require('./command-convert');
+const { convertClaudeHooks, convertFactoryHooks } = require('./hook-convert');
+const { lintFiles, lintTree } = require('./lint');
+
+// Node API: what the CLI does for marketplace installs, without prompts,
+// process exits or console output. Problems are thrown as errors or reported
+// per item in the results. Every function takes an optional `logger`
+// ({ debug, info, warn }, each optional) and `install` an `onProgress`
+// callback. See "Node API" in the README.
+
+const KIND_KEYS = PLAN_KINDS.map(([, key]) => key);
+
+function loggerOf(opts) {
+  const logger = opts.logger || {};
+  const level = (name) => (typeof logger[name] === 'function' ? logger[name].bind(logger) : null);
+  return { debug: level('debug') || undefined, info: level('info') || (() => {}), warn: level('warn') || (() => {}) };
+}
+
+function check(value, allowed, label) {
+  if (value !== undefined && !allowed.includes(value)) throw new Error(`Unknown ${label} '${value}'. Use ${allowed.join(', ')}.`);
+}
+
+// offline, cacheDir, concurrency (downloads in flight), transport ('api'
+// or 'tarball') and hosts (Git host definitions, shaped like "hosts" in
+// droid-factory.json) apply process-wide.
+function networkOptions(opts) {
+  check(opts.transport, TRANSPORTS, 'transport');
+  configureTransport({ transport: opts.transport });
+  if (opts.offline !== undefined || opts.cacheDir !== undefined) configureCache({ offline: opts.offline, dir: opts.cacheDir });
+  if (opts.concurrency !== undefined) {
+    if (!Number.isInteger(opts.concurrency) || opts.concurrency < 1) throw new Error(`concurrency must be a positive integer, got '${opts.concurrency}'.`);
+    configureDownloads({ concurrency: opts.concurrency });
+  }
+  if (opts.hosts !== undefined) configureHosts(normalizeHosts(opts.hosts));
+}
+
+// Load a marketplace from a path, URL or owner/repo (options: ref, offline,
+// cacheDir, concurrency, transport, hosts, logger). Returns { input, json, context }, which
+// discoverPlugins and plan accept in place of the input.
+async function loadMarketplace(input, opts = {}) {
+  networkOptions(opts);
+  const loaded = await marketplace.loadMarketplace(input || '', opts.ref, { debug: loggerOf(opts).debug });
+  return { input, ...loaded };
+}
+
+// The plugins of a loaded marketplace and what each ships: [{ name,
+// description, commands, agents, hooks, skills, mcp, errors, ... }].
+async function discoverPlugins(loaded, opts = {}) {
+  const log = loggerOf(opts);
+  const discovered = await marketplace.discoverPlugins(loaded.json, loaded.context, { debug: log.debug });
+  for (const plugin of discovered) if (plugin.errors && plugin.errors.length) log.warn(`Plugin ${plugin.name} could not be fully discovered: ${plugin.errors[0]}`);
+  return discovered;
+}
+
+// Where components go: `baseDir` (a .factory directory), else the scope.
+function baseDirOf(opts) {
+  if (opts.baseDir) return path.resolve(opts.baseDir);
+  const scope = opts.scope || 'personal';
+  if (scope === 'personal') return path.join(os.homedir(), '.factory');
+  if (scope === 'project') return path.join(path.resolve(opts.path || process.cwd()), '.factory');
+  throw new Error(`Unknown scope '${scope}'. Use personal or project.`);
+}
+
+// commands/droids/hooks/skills/mcp: 'all' (default), a list of names, or
+// false to leave the kind out (see config.kindFilters).
+function filtersOf(opts) {
+  const filters = {};
+  for (const key of KIND_KEYS) {
+    const value = opts[key];
+    if (value === undefined || value === 'all') continue;
+    filters[key] = { include: value === false ? [] : [].concat(value).map((name) => String(name).replace(/\.md$/, '')) };
+  }
+  return filters;
+}
+
+// Collision decisions from `onCollision`: 'skip', 'prefix', or a function
+// (collision, item) → 'skip' | 'prefix' (may return a promise).
+function collisionDecider(onCollision = 'skip') {
+  if (typeof onCollision !== 'function') check(onCollision, COLLISION_STRATEGIES.filter((s) => s !== 'prompt'), 'onCollision');
+  return async (collisions) => {
+    const decisions = new Map();
+    for (const c of collisions) {
+      for (const item of c.items) {
+        const answer = typeof onCollision === 'function' ? await onCollision(c, item) : onCollision;
+        decisions.set(item, answer === 'prefix' ? 'prefix' : 'skip');
+      }
+    }
+    return decisions;
+  };
+}
+
+// Plan an install of a marketplace's plugins. Options:
+//   marketplace   input (path, URL, owner/repo) or the result of loadMarketplace
+//   discovered    the result of discoverPlugins, to skip discovering again
+//   ref, plugins ('all' or names), scope/path or baseDir
+//   commands, droids, hooks, skills, mcp  see filtersOf
+//   flatten, onCollision, force
+//   modelPolicy, frontmatter, tools, models  conversion; droid-factory.json
+//                 in baseDir applies underneath
+//   offline, cacheDir, concurrency, transport, hosts  as for loadMarketplace
+// Returns the plan: { baseDir, commands, droids, hooks, skills, mcp,
+// unresolved, collisions, ... }. Droids and commands that will be written
+// carry their converted `content`, lossy-conversion `notes` and, for ones
+// installed before, `state` (update, merge, conflict, unchanged, modified).
+async function plan(opts = {}) {
+  networkOptions(opts);
+  check(opts.flatten, FLATTEN_STYLES, 'flatten');
+  check(opts.modelPolicy, MODEL_POLICIES, 'modelPolicy');
+  check(opts.frontmatter, FRONTMATTER_POLICIES, 'frontmatter');
+  const log = loggerOf(opts);
+  const baseDir = baseDirOf(opts);
+  const loaded = opts.marketplace && typeof opts.marketplace === 'object' ? opts.marketplace : await loadMarketplace(opts.marketplace, opts);
+  const discovered = opts.discovered || await discoverPlugins(loaded, opts);
+  const conversion = readConversion(baseDir, { modelPolicy: opts.modelPolicy, frontmatter: opts.frontmatter });
+  if (opts.tools) conversion.toolMap = { ...conversion.toolMap, ...opts.tools };
+  if (opts.models) conversion.modelMap = { ...conversion.modelMap, ...opts.models };
+  const input = loaded.input === undefined ? null : loaded.input;
+  const planned = await planMarketplaceInstall({
+    discovered,
+    selectedPlugins: opts.plugins === undefined || opts.plugins === 'all' ? 'all' : [].concat(opts.plugins),
+    baseDir,
+    filters: filtersOf(opts),
+    flatten: opts.flatten,
+    force: !!opts.force,
+    conversion,
+    decideCollisions: collisionDecider(opts.onCollision),
+    marketplace: loaded.context?.kind === 'local' && input ? path.resolve(input) : input,
+    marketplaceRef: loaded.context?.gh?.ref || loaded.context?.gl?.ref || null,
+    debug: log.debug,
+  });
+  for (const u of planned.unresolved || []) log.warn(`Plugin ${u.plugin} could not be resolved${u.reason ? ` (${u.reason})` : ''}`);
+  return Object.assign(planned, { force: !!opts.force });
+}
+
+// Carry out a plan. Options:
+//   force               overwrite existing files (default: the plan's)
+//   env                 values for MCP env placeholders (default: process.env)
+//   enableCustomDroids  turn on Custom Droids when droids were written
+//   onProgress          called with { kind, name, plugin, dest, result, error } per component
+//   concurrency         downloads in flight at once (default 6)
+//   transport           'api' or 'tarball' (see loadMarketplace)
+// Returns the same document as `--json`: { source, baseDir, items, summary,
+// unresolved, collisions, ... } plus `failures` and `customDroidsEnabled`.
+async function install(planned, opts = {}) {
+  networkOptions(opts);
+  const log = loggerOf(opts);
+  const force = opts.force === undefined ? !!planned.force : !!opts.force;
+  const onProgress = typeof opts.onProgress === 'function' ? opts.onProgress : () => {};
+  const applied = await applyMarketplaceInstall(planned, {
+    force,
+    env: opts.env,
+    onResult: (kind, item, result, error) => onProgress({ kind, name: item.name, plugin: item.plugin, dest: item.dest, result, error }),
+    debug: log.debug,
+  });
+
+  let customDroidsEnabled = readCustomDroidsSetting().enabled;
+  const droidsInstalled = planned.droids.some((item) => wasWritten(applied.results.droids.get(item)?.result));
+  if (!customDroidsEnabled && droidsInstalled && opts.enableCustomDroids) {
+    enableCustomDroids();
+    customDroidsEnabled = true;
+  }
+  if (droidsInstalled && !customDroidsEnabled) log.info('Custom Droids are off; enable them in Factory to use the installed droids.');
+
+  return {
+    ...installReport({
+      source: 'marketplace',
+      baseDir: planned.baseDir,
+      kinds: PLAN_KINDS.map(([kind, key]) => [kind, planned[key], applied.results[key]]),
+      force,
+      dryRun: false,
+      summary: applied.counts,
+      unresolved: planned.unresolved,
+      sources: planned.sources,
+      collisions: planned.collisions,
+    }),
+    failures: applied.failures,
+    customDroidsEnabled,
+  };
+}
+
+module.exports = {
+  loadMarketplace,
+  discoverPlugins,
+  plan,
+  install,
+  lintFiles,
+  lintTree,
+  convertAgentMarkdownToDroid,
+  convertCommandMarkdownToFactory,
+  convertClaudeHooks,
+  convertMcpServer,
+  convertDroidToAgentMarkdown,
+  convertFactoryCommandToClaude,
+  convertFactoryHooks,
+};
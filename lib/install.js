@@ -0,0 +1,294 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+
+const { computeMarketplacePlan, filterMarketplacePlan, findCollisions, resolveCollisions } = require('./marketplace-planner');
+const { copyDirectory, downloadDirectory, ensureDir } = require('./fs-utils');
+const { renderFile, stageHooks, stageMcp, foreignCheck, classifyInstalled, writeMerged } = require('./installer');
+const { readLockfile, writeLockfile, recordItem, recordSelection, lockKey, lockMarketplace } = require('./lockfile');
+const { updateSettingsHooks } = require('./settings');
+const { readMcpServers, resolveMcpEnv, projectSecrets, hashServer, setMcpServer, mcpFilesDir } = require('./mcp');
+const { mapLimit } = require('./scheduler');
+
+// Installing a discovered marketplace, without prompts, exits or output:
+// the CLI and the Node API (index.js) both drive these and report results
+// their own way.
+
+const PLAN_KINDS = [['command', 'commands'], ['droid', 'droids'], ['hook', 'hooks'], ['skill', 'skills'], ['mcp', 'mcp']];
+
+function wasWritten(result) { return result === 'written' || result === 'merged'; }
+
+// Components resolveCollisions dropped from the plan (resolution 'skip').
+function collisionSkips(collisions = []) {
+  const skipped = new Set();
+  for (const c of collisions) for (const r of c.results || []) if (r.resolution === 'skip') skipped.add(r.item);
+  return skipped.size;
+}
+
+// Why an existing destination was left alone.
+function keptResult(item) { return item.state?.status === 'unchanged' ? 'unchanged' : 'skipped-existing'; }
+
+function countResults(...maps) {
+  const counts = { created: 0, overwritten: 0, unchanged: 0, skipped: 0, failed: 0 };
+  for (const map of maps) {
+    for (const r of map.values()) {
+      if (wasWritten(r.result)) counts[r.existed ? 'overwritten' : 'created']++;
+      else if (r.result === 'unchanged') counts.unchanged++;
+      else if (r.result === 'failed') counts.failed++;
+      else counts.skipped++;
+    }
+  }
+  return counts;
+}
+
+function collectFailures(...pairs) {
+  const failures = [];
+  for (const [items, results] of pairs) {
+    for (const item of items) {
+      const r = results.get(item);
+      if (r && r.result === 'failed') failures.push({ name: item.name, plugin: item.plugin, dest: item.dest, error: r.error });
+    }
+  }
+  return failures;
+}
+
+// Collisions are skipped unless a decision says 'prefix'.
+async function skipAll(collisions) {
+  const decisions = new Map();
+  for (const c of collisions) for (const item of c.items) decisions.set(item, 'skip');
+  return decisions;
+}
+
+// What installing `selectedPlugins` ('all' or names) of a discovered
+// marketplace into baseDir would do. `filters` narrows each kind (see
+// config.kindFilters). `decideCollisions(collisions)` resolves to a Map of
+// item → 'prefix' | 'skip'. Droids and commands that will be written are
+// rendered (item.content, item.notes) and ones installed before classified
+// (item.state); `renderAll` also renders those only `force` would overwrite.
+// `onProgress(done, total)` follows the rendering, which downloads sources;
+// a render that fails leaves its message on item.renderError.
+// The plan carries the baseDir, lockfile and settings applyMarketplaceInstall needs.
+async function planMarketplaceInstall({ discovered, selectedPlugins = 'all', baseDir, filters = {}, flatten, force = false, conversion = {}, decideCollisions = skipAll, renderAll = false, marketplace = null, marketplaceRef = null, onProgress = () => {}, debug }) {
+  const plan = computeMarketplacePlan({
+    selectedPlugins,
+    discovered,
+    destCommandsDir: path.join(baseDir, 'commands'),
+    destDroidsDir: path.join(baseDir, 'droids'),
+    destHooksDir: path.join(baseDir, 'hooks'),
+    destSkillsDir: path.join(baseDir, 'skills'),
+    baseDir,
+    flatten,
+  });
+  filterMarketplacePlan(plan, filters);
+  for (const item of [...plan.commands, ...plan.droids, ...plan.hooks, ...plan.skills]) item.exists = fs.existsSync(item.dest);
+  let installedMcp = {};
+  try { installedMcp = readMcpServers(baseDir); } catch (e) { /* reported when the server is written */ }
+  for (const item of plan.mcp) item.exists = installedMcp[item.name] !== undefined;
+
+  // Settle name collisions before anything is rendered or written
+  const lock = readLockfile(baseDir);
+  const isForeign = foreignCheck({ baseDir, lock, force });
+  const collisions = findCollisions(plan, { isForeign });
+  const decisions = await decideCollisions(collisions.filter((c) => c.reason !== 'kinds'));
+  resolveCollisions(plan, collisions, { decide: (c, item) => decisions.get(item), flatten, isForeign });
+  for (const item of [...plan.commands, ...plan.droids, ...plan.hooks, ...plan.skills]) if (item.renamedFrom) item.exists = fs.existsSync(item.dest);
+  for (const item of plan.mcp) if (item.renamedFrom) item.exists = installedMcp[item.name] !== undefined;
+
+  // Render the droids/commands that will be written so the plan can list lossy
+  // tool mappings, and flag updates, merges and conflicts for ones we installed before
+  const toRender = [];
+  for (const [kind, items] of [['command', plan.commands], ['droid', plan.droids]]) {
+    for (const item of items) {
+      const entry = lock.items[lockKey(baseDir, item.dest)];
+      const owned = !!entry && entry.plugin === item.plugin && item.exists;
+      if (item.exists && !owned && !force && !renderAll) continue;
+      toRender.push({ kind, item, owned });
+    }
+  }
+  let rendered = 0;
+  if (toRender.length) onProgress(0, toRender.length);
+  await mapLimit(toRender, async ({ kind, item, owned }) => {
+    try {
+      item.content = await renderFile(kind, item, { debug, ...conversion });
+      if (owned) item.state = classifyInstalled({ baseDir, lock, dest: item.dest, content: item.content });
+    } catch (e) {
+      // Components that would not be written anyway stay plain skips
+      if (!item.exists || owned || force) item.renderError = e?.message || String(e);
+    }
+    onProgress(++rendered, toRender.length);
+  });
+
+  return Object.assign(plan, { baseDir, lock, installedMcp, flatten, filters, conversion, marketplace: lockMarketplace(baseDir, marketplace), marketplaceRef });
+}
+
+// MCP env placeholders filled from `env` only.
+function envFrom(env) {
+  return (item, staged) => {
+    const values = {};
+    for (const { name } of staged.env) if (env[name]) values[name] = env[name];
+    return resolveMcpEnv(staged.server, values);
+  };
+}
+
+// Write a planned install and record it in the lockfile. Downloads run
+// side by side (see scheduler.js); writes to settings.json and mcp.json stay
+// one at a time. `resolveEnv(item, staged)` fills an MCP server's env
+// placeholders (default: from `env`, else process.env); `onResult(kind, item,
+// result, error)` follows progress, in completion order.
+// Returns { results, counts, failures, offlineMisses }: results maps each
+// kind to item → { result, existed, error }.
+async function applyMarketplaceInstall(plan, { force = false, env, resolveEnv, onResult = () => {}, debug } = {}) {
+  const { baseDir, lock, installedMcp, conversion } = plan;
+  const envResolver = resolveEnv || envFrom(env || process.env);
+  if (plan.commands.length) ensureDir(path.join(baseDir, 'commands'));
+  if (plan.droids.length) ensureDir(path.join(baseDir, 'droids'));
+  if (plan.hooks.length) ensureDir(path.join(baseDir, 'hooks'));
+  if (plan.skills.length) ensureDir(path.join(baseDir, 'skills'));
+
+  const results = { commands: new Map(), droids: new Map(), hooks: new Map(), skills: new Map(), mcp: new Map() };
+  const offlineMisses = [];
+  const done = (kind, map, item, result, existed, error) => {
+    map.set(item, { result, existed, error });
+    onResult(kind, item, result, error);
+  };
+
+  // Commands and droids (convert Claude commands/agents → Factory format)
+  const files = [...plan.commands.map((item) => ['command', item, results.commands]), ...plan.droids.map((item) => ['droid', item, results.droids])];
+  await mapLimit(files, async ([kind, item, map]) => {
+    const existed = fs.existsSync(item.dest);
+    let result = keptResult(item);
+    let error = null;
+    try {
+      if (item.renderError) throw new Error(item.renderError);
+      if (!existed || force || item.state) {
+        if (item.content === undefined) item.content = await renderFile(kind, item, { debug, ...conversion });
+        const status = item.state?.status;
+        if (!existed || force || status === 'update') {
+          ensureDir(path.dirname(item.dest));
+          fs.writeFileSync(item.dest, item.content, 'utf8');
+          result = 'written';
+        } else if (status === 'merge' || status === 'conflict') {
+          item.sidecar = writeMerged(baseDir, item.state.key, item.dest, item.state.merge);
+          result = 'merged';
+        }
+      }
+    } catch (e) {
+      if (e?.code === 'EOFFLINE') offlineMisses.push(item);
+      result = 'failed';
+      error = e?.message || String(e);
+    }
+    done(kind, map, item, result, existed, error);
+  });
+  // Hooks (hooks.json → hooks/<plugin>/ plus entries in settings.json):
+  // staged side by side, then installed one at a time as they share settings.json
+  const staging = await mapLimit(plan.hooks, async (item) => {
+    if (fs.existsSync(item.dest) && !force) return null;
+    try {
+      return { staged: await stageHooks(item, { baseDir, debug }) };
+    } catch (e) {
+      return { staged: null, error: e };
+    }
+  });
+  for (const [i, item] of plan.hooks.entries()) {
+    const existed = fs.existsSync(item.dest);
+    let result = 'skipped-existing';
+    let error = null;
+    if (staging[i]) {
+      const { staged } = staging[i];
+      try {
+        if (staging[i].error) throw staging[i].error;
+        fs.rmSync(item.dest, { recursive: true, force: true });
+        fs.cpSync(staged.path, item.dest, { recursive: true });
+        updateSettingsHooks(baseDir, lock.items[lockKey(baseDir, item.dest)]?.hooks, staged.hooks);
+        item.hooks = staged.hooks;
+        item.notes = staged.notes;
+        result = 'written';
+      } catch (e) {
+        if (e?.code === 'EOFFLINE') offlineMisses.push(item);
+        result = 'failed';
+        error = e?.message || String(e);
+      } finally {
+        if (staged) fs.rmSync(staged.dir, { recursive: true, force: true });
+      }
+    }
+    done('hook', results.hooks, item, result, existed, error);
+  }
+  // Skills (copy directories as-is; remote skills download + unpack)
+  await mapLimit(plan.skills, async (item) => {
+    const existed = fs.existsSync(item.dest);
+    let result = 'skipped-existing';
+    let error = null;
+    if (!existed || force) {
+      try {
+        if (item.srcType === 'local') {
+          if (!fs.existsSync(item.src)) throw new Error(`source not found: ${item.src}`);
+          result = copyDirectory(item.src, item.dest, force);
+        } else {
+          // Remote skills: download tarball-less tree by copying raw files under the directory path
+          result = await downloadDirectory(item.src, item.dest, force, { debug });
+          if (result === 'skipped') throw new Error(`download failed: ${item.src}`);
+        }
+      } catch (e) {
+        if (e?.code === 'EOFFLINE') offlineMisses.push(item);
+        result = 'failed';
+        error = e?.message || String(e);
+      }
+    }
+    done('skill', results.skills, item, result, existed, error);
+  });
+  // MCP servers (an entry in mcp.json; referenced plugin files under mcp/<name>/)
+  for (const item of plan.mcp) {
+    const existed = item.exists;
+    let result = 'skipped-existing';
+    let error = null;
+    if (!existed || force) {
+      let staged = null;
+      try {
+        staged = await stageMcp(item, { baseDir, debug });
+        const { server, missing, filled = [] } = await envResolver(item, staged);
+        if (missing.length) throw new Error(`missing environment variables: ${missing.join(', ')}`);
+        const filesDir = mcpFilesDir(baseDir, item.name);
+        fs.rmSync(filesDir, { recursive: true, force: true });
+        if (staged.scripts.length) fs.cpSync(staged.path, filesDir, { recursive: true });
+        const unchanged = existed && hashServer(installedMcp[item.name]) === hashServer(server);
+        if (!unchanged) setMcpServer(baseDir, item.name, server);
+        item.secrets = projectSecrets(baseDir, filled);
+        item.content = JSON.stringify(server);
+        item.sourceHash = staged.sourceHash;
+        result = unchanged && !staged.scripts.length ? 'unchanged' : 'written';
+      } catch (e) {
+        if (e?.code === 'EOFFLINE') offlineMisses.push(item);
+        result = 'failed';
+        error = e?.message || String(e);
+      } finally {
+        if (staged) fs.rmSync(staged.dir, { recursive: true, force: true });
+      }
+    }
+    done('mcp', results.mcp, item, result, existed, error);
+  }
+
+  // Record everything written this run in the scope's lockfile
+  let recorded = 0;
+  for (const [kind, key] of PLAN_KINDS) {
+    for (const item of plan[key]) {
+      if (!wasWritten(results[key].get(item)?.result)) continue;
+      recordItem(lock, baseDir, { kind, name: item.name, plugin: item.plugin, marketplace: plan.marketplace, marketplaceRef: plan.marketplaceRef, ref: item.ref || plan.marketplaceRef, commit: item.commit, source: item.src, dest: item.dest, content: item.content, hooks: item.hooks, sourceHash: item.sourceHash, flatten: item.namespace ? plan.flatten || '__' : undefined, modelPolicy: kind === 'droid' && conversion.modelPolicy && conversion.modelPolicy !== 'map' ? conversion.modelPolicy : undefined, frontmatter: (kind === 'command' || kind === 'droid') && conversion.frontmatter && conversion.frontmatter !== 'namespace' ? conversion.frontmatter : undefined, renamedFrom: item.renamedFrom });
+      recorded++;
+    }
+  }
+  // The selection each plugin was installed with, so update leaves out what it filtered
+  let selected = false;
+  const plugins = new Set(PLAN_KINDS.flatMap(([, key]) => plan[key].map((item) => item.plugin)));
+  for (const plugin of plugins) if (recordSelection(lock, plan.marketplace, plugin, plan.filters)) selected = true;
+  if (recorded || selected) writeLockfile(baseDir, lock);
+
+  const maps = PLAN_KINDS.map(([, key]) => results[key]);
+  const counts = countResults(...maps);
+  // Components a name collision left out of the plan count as skipped too
+  counts.skipped += collisionSkips(plan.collisions);
+  const failures = collectFailures(...PLAN_KINDS.map(([, key]) => [plan[key], results[key]]));
+  return { results, counts, failures, offlineMisses };
+}
+
+module.exports = { PLAN_KINDS, wasWritten, keptResult, countResults, collectFailures, planMarketplaceInstall, applyMarketplaceInstall };
@@ -0,0 +1,201 @@
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { fetchRawFile, fetchRawText } = require('./archive');
+const { copyDirectory, downloadDirectory, isContainedPath } = require('./fs-utils');
+const { convertAgentMarkdownToDroid } = require('./agent-convert');
+const { convertCommandMarkdownToFactory } = require('./command-convert');
+const { convertClaudeHooks } = require('./hook-convert');
+const { convertMcpServer, mcpFilesDir, readMcpServers } = require('./mcp');
+const { hashContent, hashPath, lockKey, readBaseSnapshot } = require('./lockfile');
+const { mergeMarkdown } = require('./merge');
+const { mapLimit } = require('./scheduler');
+
+const CONFLICTS_DIR = '.conflicts';
+
+async function fetchSourceText(item, opts = {}) {
+  if (item.srcType === 'local') {
+    if (!fs.existsSync(item.src)) throw new Error(`source not found: ${item.src}`);
+    return fs.readFileSync(item.src, 'utf8');
+  }
+  return fetchRawText(item.src, { debug: opts.debug });
+}
+
+// Produce the exact text droid-factory would write for a file component.
+// `opts.toolMap`, `opts.modelMap`, `opts.modelPolicy` and `opts.frontmatter` steer the conversion
+// (see config.readConversion); lossy translations land in item.notes.
+async function renderFile(kind, item, opts = {}) {
+  const srcText = await fetchSourceText(item, opts);
+  const notes = [];
+  let text = srcText;
+  if (kind === 'command') text = convertCommandMarkdownToFactory(srcText, { toolMap: opts.toolMap, frontmatter: opts.frontmatter, notes });
+  else if (kind === 'droid') text = convertAgentMarkdownToDroid(srcText, { fallbackName: path.posix.basename(item.name), name: item.renamedFrom ? path.posix.basename(item.name) : undefined, toolMap: opts.toolMap, modelPolicy: opts.modelPolicy, modelMap: opts.modelMap, frontmatter: opts.frontmatter, notes });
+  item.notes = notes;
+  // Kept for --diff, which shows how conversion changed the frontmatter
+  item.sourceText = srcText;
+  return text;
+}
+
+// Materialise a skill directory somewhere temporary so it can be hashed and
+// compared before touching the installed copy. Caller removes `dir` when done.
+async function stageSkill(item, opts = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'droid-factory-'));
+  const dest = path.join(dir, item.name);
+  let result;
+  if (item.srcType === 'local') {
+    if (!fs.existsSync(item.src)) { fs.rmSync(dir, { recursive: true, force: true }); throw new Error(`source not found: ${item.src}`); }
+    result = copyDirectory(item.src, dest, true);
+  } else {
+    result = await downloadDirectory(item.src, dest, true, { debug: opts.debug });
+  }
+  if (result !== 'written') { fs.rmSync(dir, { recursive: true, force: true }); throw new Error(`failed to download skill ${item.name}`); }
+  return { dir, path: dest };
+}
+
+// How hook commands reach hooks/<plugin>/: through $HOME for the personal
+// scope and $FACTORY_PROJECT_DIR for a project, so the committed
+// settings.json works in every checkout.
+function installedHooksRoot(baseDir, plugin) {
+  if (path.resolve(baseDir) === path.join(os.homedir(), '.factory')) return `\${HOME}/.factory/hooks/${plugin}`;
+  return `\${FACTORY_PROJECT_DIR}/.factory/hooks/${plugin}`;
+}
+
+async function fetchPluginFile(item, rel, opts) {
+  if (item.srcType === 'local') {
+    const src = path.join(item.root, ...rel.split('/'));
+    if (!fs.existsSync(src)) throw new Error(`plugin file not found: ${src}`);
+    return { body: fs.readFileSync(src), mode: fs.statSync(src).mode };
+  }
+  const { body, mode } = await fetchRawFile(`${item.root}/${rel}`, { debug: opts.debug });
+  if (mode) return { body, mode };
+  // Raw downloads carry no file mode; scripts with a shebang are made executable.
+  return { body, mode: body.slice(0, 2).toString() === '#!' ? 0o755 : 0o644 };
+}
+
+// Convert a plugin's hooks.json into a staged hooks/<plugin>/ directory: the
+// converted hooks.json plus every script its commands reference, at the same
+// path relative to the plugin root. Caller removes `dir` when done.
+async function stageHooks(item, { baseDir, debug } = {}) {
+  let json;
+  try {
+    json = JSON.parse(await fetchSourceText(item, { debug }));
+  } catch (e) {
+    if (e instanceof SyntaxError) throw new Error(`invalid hooks.json: ${e.message}`);
+    throw e;
+  }
+  const converted = convertClaudeHooks(json, { pluginRoot: installedHooksRoot(baseDir, item.plugin) });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'droid-factory-'));
+  const dest = path.join(dir, item.name);
+  try {
+    fs.mkdirSync(dest, { recursive: true });
+    fs.writeFileSync(path.join(dest, 'hooks.json'), JSON.stringify({ hooks: converted.hooks }, null, 2) + '\n', 'utf8');
+    await copyPluginFiles(item, converted.scripts, dest, { debug, label: 'hook script' });
+  } catch (e) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw e;
+  }
+  return { dir, path: dest, hooks: converted.hooks, notes: converted.notes };
+}
+
+// Copy plugin files (`rels`, relative to the plugin root) into `dest`,
+// keeping their relative paths and executable bit.
+async function copyPluginFiles(item, rels, dest, { debug, label }) {
+  for (const rel of rels) if (!isContainedPath(rel)) throw new Error(`${label} outside the plugin: ${rel}`);
+  await mapLimit(rels, async (rel) => {
+    const { body, mode } = await fetchPluginFile(item, rel, { debug });
+    const file = path.join(dest, ...rel.split('/'));
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, body);
+    fs.chmodSync(file, mode & 0o777);
+  });
+}
+
+// Convert one MCP server definition and stage the plugin files it references
+// for mcp/<name>/. Stdio servers are launched directly rather than through a
+// shell, so ${CLAUDE_PLUGIN_ROOT} becomes the absolute install path. Env
+// placeholders are left for the caller to resolve. Caller removes `dir`.
+async function stageMcp(item, { baseDir, debug } = {}) {
+  const converted = convertMcpServer(item.server, { pluginRoot: path.resolve(mcpFilesDir(baseDir, item.name)) });
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'droid-factory-'));
+  const dest = path.join(dir, item.name);
+  try {
+    fs.mkdirSync(dest, { recursive: true });
+    await copyPluginFiles(item, converted.scripts, dest, { debug, label: 'MCP server file' });
+  } catch (e) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw e;
+  }
+  // Upstream identity of the server: its definition plus the files it ships.
+  const sourceHash = hashContent(JSON.stringify({ server: converted.server, files: hashPath(dest) }));
+  return { dir, path: dest, server: converted.server, env: converted.env, scripts: converted.scripts, sourceHash };
+}
+
+// Whether a planned component would replace something this plugin did not
+// install: a user's own file, a template, or another plugin's component.
+// With `force` existing files are overwritten, so nothing counts.
+function foreignCheck({ baseDir, lock, force }) {
+  let servers = null;
+  return (kind, item) => {
+    if (force) return false;
+    if (kind === 'mcp') {
+      if (!servers) { try { servers = readMcpServers(baseDir); } catch { servers = {}; } }
+      if (servers[item.name] === undefined) return false;
+    } else if (!fs.existsSync(item.dest)) {
+      return false;
+    }
+    const entry = lock.items[lockKey(baseDir, item.dest)];
+    return !entry || entry.plugin !== item.plugin;
+  };
+}
+
+function conflictSidecarPath(baseDir, key) {
+  return path.join(baseDir, CONFLICTS_DIR, ...key.split('/'));
+}
+
+// Three-way merge of the installed snapshot, the file on disk and the new
+// upstream content. Returns null when no snapshot exists to merge against.
+function mergeInstalled(baseDir, key, dest, content) {
+  const base = readBaseSnapshot(baseDir, key);
+  if (base === null) return null;
+  return mergeMarkdown(base, fs.readFileSync(dest, 'utf8'), content);
+}
+
+// Decide how new content relates to an existing droid/command:
+//   new        nothing at dest yet
+//   unowned    dest exists but droid-factory did not write it
+//   unchanged  upstream output matches what is installed (or on disk)
+//   update     upstream changed and the installed copy is untouched
+//   merge      both changed; merged cleanly
+//   conflict   both changed; overlapping edits (local side kept)
+//   modified   both changed but no snapshot to merge against
+function classifyInstalled({ baseDir, lock, dest, content }) {
+  const key = lockKey(baseDir, dest);
+  const entry = lock.items[key];
+  if (!fs.existsSync(dest)) return { key, status: 'new' };
+  if (!entry) return { key, status: 'unowned' };
+  const newHash = hashContent(content);
+  const diskHash = hashPath(dest);
+  if (newHash === entry.hash || newHash === diskHash) return { key, status: 'unchanged' };
+  if (diskHash === entry.hash) return { key, status: 'update' };
+  const merge = mergeInstalled(baseDir, key, dest, content);
+  if (!merge) return { key, status: 'modified' };
+  return { key, status: merge.conflicts.length ? 'conflict' : 'merge', merge };
+}
+
+// Write a merge result. Overlapping edits keep the local side in place and
+// the marked-up version goes to .factory/.conflicts/<key> for review.
+function writeMerged(baseDir, key, dest, merge) {
+  fs.writeFileSync(dest, merge.text, 'utf8');
+  const sidecar = conflictSidecarPath(baseDir, key);
+  if (merge.conflicts.length) {
+    fs.mkdirSync(path.dirname(sidecar), { recursive: true });
+    fs.writeFileSync(sidecar, merge.marked, 'utf8');
+    return sidecar;
+  }
+  fs.rmSync(sidecar, { force: true });
+  return null;
+}
+
+module.exports = { fetchSourceText, renderFile, stageSkill, stageHooks, stageMcp, foreignCheck, conflictSidecarPath, mergeInstalled, classifyInstalled, writeMerged };
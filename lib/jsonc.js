@@ -0,0 +1,226 @@
+"use strict";
+
+// Minimal JSON-with-comments support for settings files: parse into a tree
+// that remembers source offsets, and apply edits to the original text so
+// comments, key order and formatting outside the edited value survive.
+
+function locate(text, pos) {
+  const before = text.slice(0, pos).split('\n');
+  return `line ${before.length}, column ${before[before.length - 1].length + 1}`;
+}
+
+// Nodes: { type, offset, length, value } for scalars, plus `children` for
+// objects ({ key, offset, end, value: node }) and arrays (nodes).
+function parseTree(text) {
+  let pos = 0;
+  const fail = (message) => { throw new SyntaxError(`${message} at ${locate(text, pos)}`); };
+
+  function skip() {
+    for (;;) {
+      while (pos < text.length && /\s/.test(text[pos])) pos++;
+      if (text.startsWith('//', pos)) {
+        const nl = text.indexOf('\n', pos);
+        pos = nl === -1 ? text.length : nl + 1;
+      } else if (text.startsWith('/*', pos)) {
+        const close = text.indexOf('*/', pos + 2);
+        if (close === -1) fail('Unterminated comment');
+        pos = close + 2;
+      } else {
+        return;
+      }
+    }
+  }
+
+  function string() {
+    const start = pos++;
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\\') pos++;
+      else if (text[pos] === '\n') fail('Unterminated string');
+      pos++;
+    }
+    if (pos >= text.length) fail('Unterminated string');
+    pos++;
+    return JSON.parse(text.slice(start, pos));
+  }
+
+  function value() {
+    skip();
+    const start = pos;
+    const ch = text[pos];
+    if (ch === '{' || ch === '[') {
+      const isObject = ch === '{';
+      const close = isObject ? '}' : ']';
+      const children = [];
+      pos++;
+      skip();
+      while (text[pos] !== close) {
+        if (pos >= text.length) fail(`Expected '${close}'`);
+        if (isObject) {
+          if (text[pos] !== '"') fail('Expected a property name');
+          const keyStart = pos;
+          const key = string();
+          skip();
+          if (text[pos] !== ':') fail("Expected ':'");
+          pos++;
+          const node = value();
+          children.push({ key, offset: keyStart, end: node.offset + node.length, value: node });
+        } else {
+          children.push(value());
+        }
+        skip();
+        if (text[pos] === ',') { pos++; skip(); continue; } // trailing commas are tolerated
+        if (text[pos] !== close) fail(`Expected ',' or '${close}'`);
+      }
+      pos++;
+      return { type: isObject ? 'object' : 'array', offset: start, length: pos - start, children };
+    }
+    if (ch === '"') {
+      const v = string();
+      return { type: 'string', offset: start, length: pos - start, value: v };
+    }
+    const literal = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(pos, pos + 64));
+    if (!literal) fail(pos >= text.length ? 'Unexpected end of input' : `Unexpected character '${ch}'`);
+    pos += literal[0].length;
+    const v = JSON.parse(literal[0]);
+    return { type: v === null ? 'null' : typeof v, offset: start, length: pos - start, value: v };
+  }
+
+  const root = value();
+  skip();
+  if (pos < text.length) fail('Unexpected content after the top-level value');
+  return root;
+}
+
+function toValue(node) {
+  if (node.type === 'object') {
+    const out = {};
+    for (const prop of node.children) out[prop.key] = toValue(prop.value);
+    return out;
+  }
+  if (node.type === 'array') return node.children.map(toValue);
+  return node.value;
+}
+
+function parse(text) {
+  return toValue(parseTree(text));
+}
+
+function lineStart(text, pos) {
+  return text.lastIndexOf('\n', pos - 1) + 1;
+}
+
+function indentAt(text, pos) {
+  return /^[ \t]*/.exec(text.slice(lineStart(text, pos)))[0];
+}
+
+// The file's own indent unit, taken from the first indented property.
+function detectIndent(text) {
+  const m = /\n([ \t]+)"/.exec(text);
+  return m ? m[1] : '  ';
+}
+
+function format(value, indent, unit) {
+  return JSON.stringify(value, null, unit).split('\n').join(`\n${indent}`);
+}
+
+// Position just after `from`, skipping blanks and comments on the same line.
+function restOfLine(text, from) {
+  const m = /^[ \t]*(?:,[ \t]*)?(?:\/\/[^\n]*|\/\*[^\n]*?\*\/[ \t]*)?(\r?\n|$)/.exec(text.slice(from));
+  return m ? from + m[0].length : -1;
+}
+
+// Object properties and array elements as { offset, end } spans.
+function entriesOf(node) {
+  if (node.type === 'object') return node.children;
+  return node.children.map((c) => ({ offset: c.offset, end: c.offset + c.length, value: c }));
+}
+
+function removeEntry(text, container, index) {
+  const entries = entriesOf(container);
+  const entry = entries[index];
+  const prev = entries[index - 1];
+  const next = entries[index + 1];
+  const start = lineStart(text, entry.offset);
+  const end = restOfLine(text, entry.end);
+  const ownLines = !text.slice(start, entry.offset).trim() && end !== -1;
+  if (!ownLines) {
+    if (prev) return text.slice(0, prev.end) + text.slice(entry.end);
+    if (next) return text.slice(0, entry.offset) + text.slice(next.offset);
+    const empty = container.type === 'object' ? '{}' : '[]';
+    return text.slice(0, container.offset) + empty + text.slice(container.offset + container.length);
+  }
+  let out = text.slice(0, start) + text.slice(end);
+  if (!next && !prev) {
+    // Collapse a container left holding only whitespace to {} / [].
+    const close = container.offset + container.length - (end - start);
+    if (!out.slice(container.offset + 1, close - 1).trim()) out = out.slice(0, container.offset + 1) + out.slice(close - 1);
+    return out;
+  }
+  if (!next && prev && !/^[ \t]*,/.test(text.slice(entry.end))) {
+    // The new last entry must not keep a dangling comma, unless the file
+    // puts one after its last entries anyway.
+    const comma = out.indexOf(',', prev.end);
+    if (comma !== -1 && !out.slice(prev.end, comma).trim()) out = out.slice(0, comma) + out.slice(comma + 1);
+  }
+  return out;
+}
+
+function appendEntry(text, container, key, value, unit) {
+  const entries = entriesOf(container);
+  const last = entries[entries.length - 1];
+  const entry = (indent, compact) => `${key === null ? '' : `${JSON.stringify(key)}: `}${compact ? JSON.stringify(value) : format(value, indent, unit)}`;
+  if (!last) {
+    const indent = indentAt(text, container.offset);
+    const [open, close] = container.type === 'object' ? ['{', '}'] : ['[', ']'];
+    const body = `${open}\n${indent}${unit}${entry(indent + unit)}\n${indent}${close}`;
+    return text.slice(0, container.offset) + body + text.slice(container.offset + container.length);
+  }
+  const inline = lineStart(text, last.offset) === lineStart(text, container.offset);
+  const eol = inline ? -1 : restOfLine(text, last.end);
+  if (eol === -1) return text.slice(0, last.end) + ', ' + entry('', inline) + text.slice(last.end);
+  // Go below the last entry, leaving a trailing comment on its line in place.
+  const indent = indentAt(text, last.offset);
+  // A trailing comma after the last entry carries over to the new one.
+  const tail = text.slice(last.end, eol).replace(/\r?\n$/, '');
+  const trailing = /^[ \t]*,/.test(tail);
+  const lineEnd = last.end + tail.length;
+  return text.slice(0, last.end) + (trailing ? '' : ',') + tail + `\n${indent}${entry(indent)}${trailing ? ',' : ''}` + text.slice(lineEnd);
+}
+
+// Set (or with `value === undefined`, delete) the value at `keys` and return
+// the new text. String keys address object properties and are created along
+// the way when missing; number keys address array elements, where the
+// array's length appends.
+function modify(text, keys, value) {
+  if (!text.trim()) text = '{}\n';
+  const unit = detectIndent(text);
+  let node = parseTree(text);
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    const isIndex = typeof key === 'number';
+    if (node.type !== (isIndex ? 'array' : 'object')) {
+      throw new Error(`Cannot set ${keys.join('.')}: ${keys.slice(0, i).join('.') || 'the root'} is not an ${isIndex ? 'array' : 'object'}`);
+    }
+    const index = isIndex ? (key < node.children.length ? key : -1) : node.children.findIndex((p) => p.key === key);
+    if (index === -1) {
+      if (value === undefined) return text;
+      if (isIndex && key !== node.children.length) throw new Error(`Cannot set ${keys.join('.')}: index out of range`);
+      let nested = value;
+      for (let j = keys.length - 1; j > i; j--) {
+        if (typeof keys[j] === 'number') throw new Error(`Cannot set ${keys.join('.')}: ${keys.slice(0, j).join('.')} does not exist`);
+        nested = { [keys[j]]: nested };
+      }
+      return appendEntry(text, node, isIndex ? null : key, nested, unit);
+    }
+    const entry = entriesOf(node)[index];
+    if (i === keys.length - 1) {
+      if (value === undefined) return removeEntry(text, node, index);
+      const replacement = format(value, indentAt(text, entry.offset), unit);
+      return text.slice(0, entry.value.offset) + replacement + text.slice(entry.value.offset + entry.value.length);
+    }
+    node = entry.value;
+  }
+  throw new Error('modify needs at least one key');
+}
+
+module.exports = { parse, parseTree, modify };
@@ -0,0 +1,176 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const matter = require('gray-matter');
+const { TOOL_CATEGORIES, FACTORY_TOOLS } = require('./tool-map');
+const { splitTools } = require('./command-convert');
+
+// Checks converted output the way Factory will read it. Each finding is
+// { file, line, severity: 'error' | 'warning', rule, message }.
+const MAX_DESCRIPTION = { droid: 500, command: 500, skill: 1024 };
+const SKILL_NAME_RE = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DROID_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9_.-]*$/;
+const SUBAGENT_RE = /subagent_type`?["']?\s*[:=]\s*[`"']?([A-Za-z0-9_.-]+)/g;
+
+// 1-based line of `key:` in a file whose frontmatter starts on line 2.
+function keyLine(frontmatterLines, key) {
+  const idx = frontmatterLines.findIndex((line) => line.startsWith(`${key}:`));
+  return idx === -1 ? 1 : idx + 2;
+}
+
+function parseMarkdown(text) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(text);
+  const frontmatter = m ? m[1].split(/\r?\n/) : null;
+  const bodyStart = m ? m[0].split('\n').length - (m[0].endsWith('\n') ? 1 : 0) + 1 : 1;
+  try {
+    const parsed = matter(text);
+    return { data: m ? parsed.data || {} : null, body: parsed.content || '', frontmatter, bodyStart };
+  } catch (e) {
+    // js-yaml marks are 0-based within the frontmatter; errors at its end
+    // point past the closing ---
+    const last = frontmatter ? frontmatter.length + 1 : 1;
+    const line = e.mark && typeof e.mark.line === 'number' ? Math.min(e.mark.line + 2, last) : 1;
+    return { error: { line, message: String(e.reason || e.message).split('\n')[0] }, frontmatter, bodyStart };
+  }
+}
+
+// Tool ids a converted file may use: Factory's own plus whatever the tool map
+// (droid-factory.json "tools") translates to.
+function knownTools(toolMap) {
+  return new Set([...FACTORY_TOOLS, ...Object.values(toolMap || {}).flat().filter(Boolean)]);
+}
+
+// Returns { findings, name, nameLine, body, bodyStart }: name is the droid or
+// skill name and body the prompt, for the checks across files.
+function lintFile(kind, text, { file, toolMap } = {}) {
+  const findings = [];
+  const add = (severity, rule, line, message) => findings.push({ file, line, severity, rule, message });
+  const parsed = parseMarkdown(String(text || ''));
+  if (parsed.error) {
+    add('error', 'yaml', parsed.error.line, `frontmatter is not valid YAML: ${parsed.error.message}`);
+    return { findings, name: null, body: '', bodyStart: 1 };
+  }
+  const { data, body, frontmatter, bodyStart } = parsed;
+  if (!data) {
+    if (kind === 'command') add('warning', 'frontmatter', 1, 'no frontmatter; the command has no description');
+    else add('error', 'frontmatter', 1, 'missing frontmatter');
+  }
+  const fm = data || {};
+  const at = (key) => keyLine(frontmatter || [], key);
+
+  const required = kind === 'command' ? [] : kind === 'skill' ? ['name', 'description'] : ['name'];
+  for (const key of required) if (data && (fm[key] === undefined || fm[key] === null || fm[key] === '')) add('error', 'required', 1, `missing required key "${key}"`);
+  if (data && kind !== 'skill' && (fm.description === undefined || fm.description === '')) add('warning', 'description', 1, 'no description; Factory shows it when picking a ' + kind);
+
+  if (fm.description !== undefined && fm.description !== null && typeof fm.description !== 'string') {
+    add('error', 'description', at('description'), `description parses as ${Array.isArray(fm.description) ? 'a list' : typeof fm.description}; quote it`);
+  } else if (typeof fm.description === 'string') {
+    if (fm.description.length > MAX_DESCRIPTION[kind]) add('warning', 'description', at('description'), `description is ${fm.description.length} characters (over ${MAX_DESCRIPTION[kind]})`);
+    if (/\n/.test(fm.description.trim())) add('warning', 'description', at('description'), 'description spans several lines');
+  }
+
+  if (fm.name !== undefined && fm.name !== null) {
+    if (typeof fm.name !== 'string') add('error', 'name', at('name'), 'name must be a string; quote it');
+    else if (kind === 'skill' && (!SKILL_NAME_RE.test(fm.name) || fm.name.length > 64)) add('warning', 'name', at('name'), `skill name "${fm.name}" should be lowercase letters, digits and hyphens (at most 64)`);
+    else if (kind === 'droid' && !DROID_NAME_RE.test(fm.name)) add('warning', 'name', at('name'), `droid name "${fm.name}" has characters Factory may not accept`);
+  }
+
+  const known = knownTools(toolMap);
+  if (kind === 'droid' && fm.tools !== undefined && fm.tools !== null) {
+    if (typeof fm.tools === 'string') {
+      if (!TOOL_CATEGORIES[fm.tools] && !known.has(fm.tools)) add('error', 'tools', at('tools'), `unknown tool category "${fm.tools}" (${Object.keys(TOOL_CATEGORIES).join(', ')})`);
+    } else if (!Array.isArray(fm.tools)) {
+      add('error', 'tools', at('tools'), 'tools must be a list of tool ids or a category name');
+    } else {
+      for (const tool of fm.tools) if (!known.has(String(tool)) || TOOL_CATEGORIES[tool]) add('error', 'tools', at('tools'), `unknown tool "${tool}"`);
+    }
+  }
+  if (kind === 'droid' && fm.model !== undefined && fm.model !== null && typeof fm.model !== 'string') add('error', 'model', at('model'), 'model must be a string');
+  if (kind === 'command' && typeof fm['allowed-tools'] === 'string') {
+    for (const tool of splitTools(fm['allowed-tools'])) {
+      if (!known.has(tool.replace(/\(.*\)$/, ''))) add('warning', 'tools', at('allowed-tools'), `unknown tool "${tool}" in allowed-tools`);
+    }
+  }
+
+  if (!body.trim()) add(kind === 'command' ? 'warning' : 'error', 'body', bodyStart, `empty body; the ${kind === 'droid' ? 'system prompt' : 'prompt'} is missing`);
+
+  return { findings, name: typeof fm.name === 'string' ? fm.name : null, nameLine: at('name'), body, bodyStart };
+}
+
+// Lint `files` ({ kind, file, text }) and check across them: duplicate droid
+// and skill names, and subagent_type references to droids that are neither
+// linted here nor in `droidNames`.
+function lintFiles(files, { toolMap, droidNames = [] } = {}) {
+  const findings = [];
+  const results = files.map((f) => ({ ...f, ...lintFile(f.kind, f.text, { file: f.file, toolMap }) }));
+  for (const r of results) findings.push(...r.findings);
+
+  for (const kind of ['droid', 'skill']) {
+    const seen = new Map();
+    for (const r of results.filter((x) => x.kind === kind && x.name)) {
+      if (seen.has(r.name)) findings.push({ file: r.file, line: r.nameLine, severity: 'error', rule: 'duplicate', message: `${kind} name "${r.name}" is also used by ${path.basename(seen.get(r.name))}` });
+      else seen.set(r.name, r.file);
+    }
+  }
+
+  const droids = new Set([...droidNames, ...results.filter((r) => r.kind === 'droid' && r.name).map((r) => r.name)]);
+  for (const r of results.filter((x) => x.body)) {
+    r.body.split('\n').forEach((line, i) => {
+      for (const m of line.matchAll(SUBAGENT_RE)) {
+        if (!droids.has(m[1])) findings.push({ file: r.file, line: r.bodyStart + i, severity: 'warning', rule: 'reference', message: `refers to droid "${m[1]}", which is not installed` });
+      }
+    });
+  }
+  return findings.sort((a, b) => a.file.localeCompare(b.file) || a.line - b.line);
+}
+
+function markdownFiles(dir, rel = '') {
+  const full = path.join(dir, rel);
+  if (!fs.existsSync(full) || !fs.statSync(full).isDirectory()) return [];
+  const out = [];
+  for (const entry of fs.readdirSync(full, { withFileTypes: true })) {
+    const child = rel ? path.join(rel, entry.name) : entry.name;
+    if (entry.isDirectory()) out.push(...markdownFiles(dir, child));
+    else if (entry.name.endsWith('.md')) out.push(child);
+  }
+  return out.sort();
+}
+
+// The droids, commands and skills under a .factory/ directory, as lintFiles input.
+function collectLintFiles(baseDir) {
+  const files = [];
+  const read = (kind, file) => files.push({ kind, file, text: fs.readFileSync(file, 'utf8') });
+  for (const rel of markdownFiles(path.join(baseDir, 'droids'))) read('droid', path.join(baseDir, 'droids', rel));
+  for (const rel of markdownFiles(path.join(baseDir, 'commands'))) read('command', path.join(baseDir, 'commands', rel));
+  const skillsDir = path.join(baseDir, 'skills');
+  if (fs.existsSync(skillsDir)) {
+    for (const entry of fs.readdirSync(skillsDir, { withFileTypes: true })) {
+      if (!entry.isDirectory()) continue;
+      const file = path.join(skillsDir, entry.name, 'SKILL.md');
+      if (fs.existsSync(file)) read('skill', file);
+      else files.push({ kind: 'skill', file: path.join(skillsDir, entry.name), text: null });
+    }
+  }
+  return files;
+}
+
+// Lint a .factory/ directory. A skill directory without SKILL.md is an error.
+function lintTree(baseDir, { toolMap } = {}) {
+  const files = collectLintFiles(baseDir);
+  const missing = files.filter((f) => f.text === null);
+  const findings = lintFiles(files.filter((f) => f.text !== null), { toolMap });
+  for (const f of missing) findings.push({ file: f.file, line: 1, severity: 'error', rule: 'required', message: 'skill directory has no SKILL.md' });
+  return { files: files.length, findings };
+}
+
+// Names of the droids already in baseDir/droids, except the files in
+// `replaced` (about to be overwritten), so planned output can refer to them.
+function installedDroidNames(baseDir, replaced = []) {
+  return collectLintFiles(baseDir)
+    .filter((f) => f.kind === 'droid' && !replaced.includes(f.file))
+    .map((f) => lintFile('droid', f.text, { file: f.file }).name)
+    .filter(Boolean);
+}
+
+module.exports = { lintFile, lintFiles, lintTree, installedDroidNames };
@@ -0,0 +1,225 @@
+"use strict";
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const LOCKFILE_NAME = 'droid-factory.lock.json';
+const LOCKFILE_VERSION = 1;
+// Snapshots of installed droids/commands, the merge base for later updates
+const BASE_SNAPSHOT_DIR = path.join('.droid-factory', 'base');
+const SNAPSHOT_KINDS = ['command', 'droid'];
+
+function lockfilePath(baseDir) {
+  return path.join(baseDir, LOCKFILE_NAME);
+}
+
+function emptyLock() {
+  return { version: LOCKFILE_VERSION, items: {}, selections: {} };
+}
+
+function readLockfile(baseDir) {
+  const file = lockfilePath(baseDir);
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return emptyLock();
+    throw err;
+  }
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Lockfile is not valid JSON (${file}): ${err.message}`);
+  }
+  if (!data || typeof data !== 'object' || !data.items || typeof data.items !== 'object') return emptyLock();
+  if (data.version > LOCKFILE_VERSION) {
+    throw new Error(`Lockfile ${file} was written by a newer droid-factory (version ${data.version})`);
+  }
+  const selections = data.selections && typeof data.selections === 'object' ? data.selections : {};
+  return { version: LOCKFILE_VERSION, items: data.items, selections };
+}
+
+function writeLockfile(baseDir, lock) {
+  const file = lockfilePath(baseDir);
+  const items = {};
+  for (const key of Object.keys(lock.items || {}).sort()) items[key] = lock.items[key];
+  // Selections are kept while their plugin still has installed components
+  const selections = {};
+  for (const marketplace of Object.keys(lock.selections || {}).sort()) {
+    for (const plugin of Object.keys(lock.selections[marketplace]).sort()) {
+      if (!Object.values(items).some((e) => e.marketplace === marketplace && e.plugin === plugin)) continue;
+      (selections[marketplace] = selections[marketplace] || {})[plugin] = lock.selections[marketplace][plugin];
+    }
+  }
+  const data = { version: LOCKFILE_VERSION, items, ...(Object.keys(selections).length ? { selections } : {}) };
+  fs.mkdirSync(baseDir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(data, null, 2) + '\n', 'utf8');
+  return file;
+}
+
+function hashContent(content) {
+  return 'sha256-' + crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function listFilesRecursive(dir, rel = '') {
+  const out = [];
+  for (const entry of fs.readdirSync(path.join(dir, rel), { withFileTypes: true })) {
+    const relPath = rel ? `${rel}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) out.push(...listFilesRecursive(dir, relPath));
+    else if (entry.isFile()) out.push(relPath);
+  }
+  return out.sort();
+}
+
+// Files hash their bytes; directories (skills) hash the sorted list of
+// relative paths together with each file's hash so renames count as changes.
+function hashPath(p) {
+  let stat;
+  try { stat = fs.statSync(p); } catch { return null; }
+  if (stat.isFile()) return hashContent(fs.readFileSync(p));
+  if (!stat.isDirectory()) return null;
+  const h = crypto.createHash('sha256');
+  for (const rel of listFilesRecursive(p)) {
+    h.update(rel + '\0' + hashContent(fs.readFileSync(path.join(p, rel))) + '\n');
+  }
+  return 'sha256-' + h.digest('hex');
+}
+
+function lockKey(baseDir, dest) {
+  return path.relative(baseDir, dest).split(path.sep).join('/');
+}
+
+// A local marketplace inside the project is recorded relative to the project
+// root (the directory holding .factory/) as ./<path>, so the committed
+// lockfile works in every checkout. Other sources are recorded as given.
+function lockMarketplace(baseDir, marketplace) {
+  const resolved = path.resolve(baseDir);
+  if (!marketplace || !path.isAbsolute(marketplace) || resolved === path.join(os.homedir(), '.factory')) return marketplace;
+  const rel = path.relative(path.dirname(resolved), marketplace);
+  if (rel === '..' || rel.startsWith(`..${path.sep}`) || path.isAbsolute(rel)) return marketplace;
+  return `./${rel.split(path.sep).join('/')}`;
+}
+
+// Where to load a recorded marketplace from (see lockMarketplace).
+function marketplaceSource(baseDir, marketplace) {
+  return marketplace && marketplace.startsWith('./') ? path.resolve(path.dirname(path.resolve(baseDir)), marketplace) : marketplace;
+}
+
+function baseSnapshotPath(baseDir, key) {
+  return path.join(baseDir, BASE_SNAPSHOT_DIR, ...key.split('/'));
+}
+
+function readBaseSnapshot(baseDir, key) {
+  try { return fs.readFileSync(baseSnapshotPath(baseDir, key), 'utf8'); } catch { return null; }
+}
+
+function removeBaseSnapshot(baseDir, key) {
+  fs.rmSync(baseSnapshotPath(baseDir, key), { force: true });
+}
+
+// `content` is the upstream text that was installed. When a merge kept local
+// edits the file on disk differs from it, and the recorded hash must still
+// describe upstream so the edits keep showing up as local modifications.
+// `hooks` (hook kind) are the groups merged into settings.json, kept so they
+// can be swapped or removed exactly. `sourceHash` (mcp kind) identifies the
+// upstream definition, since the installed one has env values filled in.
+// `flatten` is the naming style of a namespaced command or droid, and
+// `renamedFrom` the original name of a component prefixed after a name
+// collision, so update finds both under the same name. `modelPolicy` (droid
+// kind) is a --model-policy other than the default and `frontmatter`
+// (command and droid kinds) a --frontmatter other than the default, so
+// update and sync convert alike.
+function recordItem(lock, baseDir, { kind, name, plugin, marketplace, marketplaceRef, ref, commit, source, dest, content, hooks, sourceHash, flatten, modelPolicy, frontmatter, renamedFrom }) {
+  const key = lockKey(baseDir, dest);
+  if (SNAPSHOT_KINDS.includes(kind)) {
+    const snapshot = content !== undefined ? content : fs.readFileSync(dest, 'utf8');
+    const snapshotPath = baseSnapshotPath(baseDir, key);
+    fs.mkdirSync(path.dirname(snapshotPath), { recursive: true });
+    fs.writeFileSync(snapshotPath, snapshot, 'utf8');
+  }
+  lock.items[key] = {
+    kind,
+    name,
+    plugin: plugin || null,
+    marketplace: marketplace || null,
+    marketplaceRef: marketplaceRef || null,
+    ref: ref || null,
+    commit: commit || null,
+    source: source || null,
+    hash: content !== undefined ? hashContent(content) : hashPath(dest),
+    installedAt: new Date().toISOString(),
+    ...(hooks ? { hooks } : {}),
+    ...(sourceHash ? { sourceHash } : {}),
+    ...(flatten ? { flatten } : {}),
+    ...(modelPolicy ? { modelPolicy } : {}),
+    ...(frontmatter ? { frontmatter } : {}),
+    ...(renamedFrom ? { renamedFrom } : {}),
+  };
+  return key;
+}
+
+// The names one kind filter ({ include, exclude }, see config.kindFilters)
+// lets through, or null when it only excludes.
+function allowedNames(filter) {
+  return Array.isArray(filter.include) ? filter.include.filter((name) => !(filter.exclude || []).includes(name)) : null;
+}
+
+// A filter letting through what either `a` or `b` does; undefined lets everything through.
+function mergeKindFilter(a, b) {
+  if (!a || !b) return undefined;
+  const listA = allowedNames(a);
+  const listB = allowedNames(b);
+  if (listA && listB) return { include: Array.from(new Set([...listA, ...listB])).sort() };
+  const exclude = listA || listB
+    ? ((listA ? b : a).exclude || []).filter((name) => !(listA || listB).includes(name))
+    : (a.exclude || []).filter((name) => (b.exclude || []).includes(name));
+  return exclude.length ? { exclude } : undefined;
+}
+
+// Remember the kind filters a plugin was installed with, so update only adds
+// components that selection would have installed. Filters of repeated installs
+// are merged. Returns whether the recorded selection changed.
+function recordSelection(lock, marketplace, plugin, filters = {}) {
+  if (!marketplace || !plugin) return false;
+  lock.selections = lock.selections || {};
+  const byPlugin = lock.selections[marketplace] = lock.selections[marketplace] || {};
+  const previous = byPlugin[plugin];
+  const next = {};
+  for (const kind of Object.keys(previous ? { ...previous, ...filters } : filters)) {
+    const merged = previous ? mergeKindFilter(previous[kind], filters[kind]) : mergeKindFilter(filters[kind], filters[kind]);
+    if (merged) next[kind] = merged;
+  }
+  const changed = JSON.stringify(previous) !== JSON.stringify(next);
+  byPlugin[plugin] = next;
+  return changed;
+}
+
+// Whether the recorded selection of a plugin covers a component (`kind` as
+// in the filters: commands, droids, hooks, skills, mcp). Plugins installed
+// before selections were recorded cover everything.
+function selectionAllows(lock, marketplace, plugin, kind, name) {
+  const filter = lock.selections?.[marketplace]?.[plugin]?.[kind];
+  if (!filter) return true;
+  if (Array.isArray(filter.include) && !filter.include.includes(name)) return false;
+  return !(Array.isArray(filter.exclude) && filter.exclude.includes(name));
+}
+
+module.exports = {
+  LOCKFILE_NAME,
+  lockfilePath,
+  readLockfile,
+  writeLockfile,
+  hashContent,
+  hashPath,
+  lockKey,
+  lockMarketplace,
+  marketplaceSource,
+  recordItem,
+  recordSelection,
+  selectionAllows,
+  readBaseSnapshot,
+  removeBaseSnapshot,
+};
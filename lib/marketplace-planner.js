@@ -1,43 +1,80 @@
 "use strict";
 
 const path = require('path');
+const { mcpDest } = require('./mcp');
+const { isContainedPath, isSafeName } = require('./fs-utils');
 
-function flattenName(src, kind) {
+// How namespaced commands and agents (commands/git/commit.md) are named:
+// '__' → git__commit.md, '-' → git-commit.md, 'preserve' → git/commit.md.
+const FLATTEN_STYLES = ['__', '-', 'preserve'];
+
+// Path segments of `src` below its section directory (`root` when the scanner
+// knows it, else the first /<kind>/ in the path), without the .md extension.
+function nestedParts(src, kind, root) {
   // Normalize separators to posix for consistent parsing
   const s = (src || '').replace(/\\/g, '/').replace(/\/+/, '/');
-  const needle = `/${kind}/`;
-  const idx = s.indexOf(needle);
+  const prefix = root ? root.replace(/\\/g, '/').replace(/\/+$/, '') + '/' : null;
   let rel = '';
-  if (idx !== -1) {
-    rel = s.slice(idx + needle.length).replace(/^\//, '').replace(/\/$/, '');
+  if (prefix && s.startsWith(prefix)) {
+    rel = s.slice(prefix.length);
+  } else {
+    const needle = `/${kind}/`;
+    const idx = s.indexOf(needle);
+    if (idx !== -1) rel = s.slice(idx + needle.length).replace(/^\//, '').replace(/\/$/, '');
   }
   if (!rel) {
     rel = path.basename(s).replace(/\.md$/i, '').replace(/\/$/, '');
   }
   // Drop extension if present (for files)
   rel = rel.replace(/\.md$/i, '');
-  // Replace any remaining slashes with double underscores to keep hierarchy info flat
-  return rel.split('/').filter(Boolean).join('__');
+  return rel.split('/').filter(Boolean);
+}
+
+function flattenName(src, kind, { root, style = '__' } = {}) {
+  const parts = nestedParts(src, kind, root);
+  return parts.join(style === 'preserve' ? '/' : style);
+}
+
+// A command or droid item; `namespace` is the subdirectory it came from.
+function fileItem(p, src, kind, destDir, { ref, commit, flatten }) {
+  const isUrl = /^https?:\/\//i.test(src);
+  const parts = nestedParts(src, kind, p.roots?.[kind]);
+  const name = flattenName(src, kind, { root: p.roots?.[kind], style: flatten });
+  const dest = path.join(destDir, ...name.split('/')) + '.md';
+  const namespace = parts.length > 1 ? parts.slice(0, -1).join('/') : null;
+  return { plugin: p.name, name, ref, commit, src, srcType: isUrl ? 'remote' : 'local', dest, ...(namespace ? { namespace } : {}) };
 }
 
-function computeMarketplacePlan({ selectedPlugins, discovered, destCommandsDir, destDroidsDir, destHooksDir, destSkillsDir }) {
+// Prefer hooks/hooks.json; a plugin may also point at another .json file.
+function hooksConfigOf(files) {
+  const list = Array.isArray(files) ? files : [];
+  const base = (f) => f.replace(/\\/g, '/').split('/').pop().toLowerCase();
+  return list.find((f) => base(f) === 'hooks.json') || list.find((f) => base(f).endsWith('.json')) || null;
+}
+
+function computeMarketplacePlan({ selectedPlugins, discovered, destCommandsDir, destDroidsDir, destHooksDir, destSkillsDir, baseDir, flatten = '__' }) {
   const selected = (selectedPlugins === 'all')
     ? discovered
     : discovered.filter((p) => selectedPlugins.includes(p.name));
 
   const unresolved = [];
+  const sources = new Map();
   const commands = [];
   const droids = [];
   const hooks = [];
   const skills = [];
+  const mcp = [];
 
   for (const p of selected) {
     const res = p.resolved || { kind: 'unsupported', reason: 'Unknown' };
+    const ref = res.github?.ref || res.gitlab?.ref || null;
+    const commit = res.github?.sha || res.gitlab?.sha || null;
     const errors = Array.isArray(p.errors) ? p.errors.filter(Boolean) : [];
     const hasCommands = Array.isArray(p.commands) && p.commands.length > 0;
     const hasAgents = Array.isArray(p.agents) && p.agents.length > 0;
-    const hasHooks = Array.isArray(p.hooks) && p.hooks.length > 0;
+    const hasHooks = !!hooksConfigOf(p.hooks);
     const hasSkills = Array.isArray(p.skills) && p.skills.length > 0;
+    const mcpNames = Object.keys(p.mcpServers || {});
 
     if (errors.length) {
       for (const err of errors) {
@@ -45,35 +82,53 @@ function computeMarketplacePlan({ selectedPlugins, discovered, destCommandsDir,
       }
     }
 
-    if (!hasCommands && !hasAgents && !hasHooks && !hasSkills) {
+    // The plugin name becomes hooks/<plugin>/ and a prefix on renamed components
+    if (!isSafeName(p.name)) {
+      unresolved.push({ plugin: p.name, reason: `plugin name '${p.name}' is not a safe directory name` });
+      continue;
+    }
+
+    if (!hasCommands && !hasAgents && !hasHooks && !hasSkills && !mcpNames.length) {
       if (!errors.length) {
         unresolved.push({ plugin: p.name, reason: res.reason || 'No components found' });
       }
       continue;
     }
 
+    const repo = res.github ? `${res.github.owner}/${res.github.repo}` : (res.gitlab ? res.gitlab.namespacePath : null);
+    if (repo) {
+      const id = `${repo}@${ref}`;
+      if (!sources.has(id)) sources.set(id, { repo, ref, commit, plugins: [] });
+      sources.get(id).plugins.push(p.name);
+    }
+
+    // Component names come from paths the marketplace lists; ones that would
+    // land outside their directory are left out
+    const contained = (item, label) => {
+      if (isContainedPath(item.name)) return true;
+      unresolved.push({ plugin: p.name, reason: `${label} '${item.name}' would be written outside .factory/` });
+      return false;
+    };
+
     // Commands
     for (const c of (p.commands || [])) {
-      const isUrl = /^https?:\/\//i.test(c);
-      const name = flattenName(c, 'commands');
-      const dest = path.join(destCommandsDir, `${name}.md`);
-      commands.push({ plugin: p.name, name, src: c, srcType: isUrl ? 'remote' : 'local', dest });
+      const item = fileItem(p, c, 'commands', destCommandsDir, { ref, commit, flatten });
+      if (contained(item, 'command')) commands.push(item);
     }
 
     // Agents → droids
     for (const a of (p.agents || [])) {
-      const isUrl = /^https?:\/\//i.test(a);
-      const name = flattenName(a, 'agents');
-      const dest = path.join(destDroidsDir, `${name}.md`);
-      droids.push({ plugin: p.name, name, src: a, srcType: isUrl ? 'remote' : 'local', dest });
+      const item = fileItem(p, a, 'agents', destDroidsDir, { ref, commit, flatten });
+      if (contained(item, 'droid')) droids.push(item);
     }
 
-    // Hooks
-    for (const h of (p.hooks || [])) {
-      const isUrl = /^https?:\/\//i.test(h);
-      const name = flattenName(h, 'hooks');
-      const dest = path.join(destHooksDir, `${name}.md`);
-      hooks.push({ plugin: p.name, name, src: h, srcType: isUrl ? 'remote' : 'local', dest });
+    // Hooks: the plugin's hooks.json becomes one hooks/<plugin>/ directory;
+    // the scripts it references are copied in at install time
+    const hooksConfig = hooksConfigOf(p.hooks);
+    if (hooksConfig) {
+      const isUrl = /^https?:\/\//i.test(hooksConfig);
+      const dest = path.join(destHooksDir, p.name);
+      hooks.push({ plugin: p.name, name: p.name, ref, commit, src: hooksConfig, srcType: isUrl ? 'remote' : 'local', root: p.root, dest, isHooks: true });
     }
 
     // Skills (allow remote via download; still copy local directories when provided)
@@ -82,11 +137,118 @@ function computeMarketplacePlan({ selectedPlugins, discovered, destCommandsDir,
       const name = flattenName(s, 'skills');
       const dest = path.join(destSkillsDir, name);
       const srcType = isUrl ? 'remote' : 'local';
-      skills.push({ plugin: p.name, name, src: s, srcType, dest, isSkill: true });
+      const item = { plugin: p.name, name, ref, commit, src: s, srcType, dest, isSkill: true };
+      if (contained(item, 'skill')) skills.push(item);
+    }
+
+    // MCP servers are entries in mcp.json rather than files; their name also
+    // names mcp/<name>/, so it must be a plain path segment
+    for (const name of mcpNames) {
+      if (!isSafeName(name)) {
+        unresolved.push({ plugin: p.name, reason: `MCP server name '${name}' is not a safe directory name` });
+        continue;
+      }
+      const src = p.mcpSource || 'marketplace.json';
+      const isUrl = /^https?:\/\//i.test(p.root || '');
+      mcp.push({ plugin: p.name, name, ref, commit, src, srcType: isUrl ? 'remote' : 'local', root: p.root, server: p.mcpServers[name], dest: mcpDest(baseDir, name), isMcp: true });
+    }
+  }
+
+  return { commands, droids, hooks, skills, mcp, unresolved, sources: Array.from(sources.values()) };
+}
+
+const PLAN_KINDS = ['commands', 'droids', 'hooks', 'skills', 'mcp'];
+
+// What to do with a component whose name is already taken: 'skip' it (the
+// default, so the first plugin in marketplace order wins), 'prefix' it with
+// its plugin name, or 'prompt' for each one.
+const COLLISION_STRATEGIES = ['skip', 'prefix', 'prompt'];
+
+// Components that would land on the same name, in plan order:
+//   plugins   two selected plugins ship the same component (first one keeps it)
+//   existing  the destination already holds something this plugin did not
+//             install (`isForeign(kind, item)` decides)
+//   kinds     a command and a droid share a name; reported only, as both
+//             still install
+function findCollisions(plan, { isForeign = () => false } = {}) {
+  const collisions = [];
+  for (const kind of PLAN_KINDS) {
+    const byDest = new Map();
+    for (const item of plan[kind] || []) {
+      if (!byDest.has(item.dest)) byDest.set(item.dest, []);
+      byDest.get(item.dest).push(item);
+    }
+    for (const items of byDest.values()) {
+      if (isForeign(kind, items[0])) collisions.push({ reason: 'existing', kind, name: items[0].name, keep: null, items });
+      else if (items.length > 1) collisions.push({ reason: 'plugins', kind, name: items[0].name, keep: items[0], items: items.slice(1) });
     }
   }
+  const commandNames = new Map((plan.commands || []).map((item) => [item.name, item]));
+  for (const item of plan.droids || []) {
+    if (commandNames.has(item.name)) collisions.push({ reason: 'kinds', kind: 'droids', name: item.name, keep: commandNames.get(item.name), items: [item] });
+  }
+  return collisions;
+}
 
-  return { commands, droids, hooks, skills, unresolved };
+function renamedDest(kind, item, name) {
+  if (kind === 'mcp') return `${item.dest.slice(0, item.dest.lastIndexOf('#'))}#${name}`;
+  const depth = item.name.split('/').length;
+  let dir = item.dest;
+  for (let i = 0; i < depth; i++) dir = path.dirname(dir);
+  return path.join(dir, ...name.split('/')) + (kind === 'commands' || kind === 'droids' ? '.md' : '');
+}
+
+// Apply `decide(collision, item)` ('prefix' or 'skip') to every losing item:
+// prefixed items are renamed to <plugin>__<name> (joined the way `flatten`
+// joins namespaces), skipped ones leave
+// the plan. Hooks are named after their plugin and can only be skipped, as is
+// anything whose prefixed name is taken too. Records the outcome on each
+// collision (`results`) and returns the plan with `plan.collisions` set.
+function resolveCollisions(plan, collisions, { decide, flatten = '__', isForeign = () => false }) {
+  const separator = flatten === 'preserve' ? '/' : flatten;
+  const skipped = new Set();
+  const taken = new Set(PLAN_KINDS.flatMap((kind) => (plan[kind] || []).map((item) => item.dest)));
+  for (const c of collisions) {
+    c.results = [];
+    if (c.reason === 'kinds') continue;
+    for (const item of c.items) {
+      let resolution = c.kind === 'hooks' ? 'skip' : decide(c, item);
+      if (resolution === 'prefix') {
+        const name = `${item.plugin}${separator}${item.name}`;
+        const dest = renamedDest(c.kind, item, name);
+        if (taken.has(dest) || isForeign(c.kind, { ...item, name, dest })) {
+          resolution = 'skip';
+        } else {
+          taken.add(dest);
+          item.renamedFrom = item.name;
+          item.name = name;
+          item.dest = dest;
+          c.results.push({ item, resolution, name });
+          continue;
+        }
+      }
+      skipped.add(item);
+      c.results.push({ item, resolution: 'skip' });
+    }
+  }
+  for (const kind of PLAN_KINDS) plan[kind] = (plan[kind] || []).filter((item) => !skipped.has(item));
+  plan.collisions = collisions;
+  return plan;
+}
+
+// Narrow a plan per kind: filters.commands/droids/hooks/skills/mcp may carry
+// `include` ('all' or a name list) and `exclude` (a name list).
+function filterMarketplacePlan(plan, filters = {}) {
+  for (const kind of PLAN_KINDS) {
+    const f = filters[kind];
+    if (!f) continue;
+    plan[kind] = plan[kind].filter((item) => {
+      if (Array.isArray(f.include) && !f.include.includes(item.name)) return false;
+      if (Array.isArray(f.exclude) && f.exclude.includes(item.name)) return false;
+      return true;
+    });
+  }
+  return plan;
 }
 
-module.exports = { computeMarketplacePlan };
+module.exports = { FLATTEN_STYLES, COLLISION_STRATEGIES, computeMarketplacePlan, filterMarketplacePlan, findCollisions, resolveCollisions };
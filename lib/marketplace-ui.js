@@ -14,10 +14,10 @@ function formatFooter(p) {
   const parts = [];
   const cmdCount = (p.commands || []).length;
   const agentCount = (p.agents || []).length;
-  const hookCount = (p.hooks || []).length;
+  const hasHooks = (p.hooks || []).some((f) => /\.json$/i.test(f));
   if (cmdCount) parts.push(`${cmdCount} ${plural(cmdCount, 'command')}`);
   if (agentCount) parts.push(`${agentCount} ${plural(agentCount, 'agent')}`);
-  if (hookCount) parts.push(`${hookCount} ${plural(hookCount, 'hook')} (not installed)`);
+  if (hasHooks) parts.push('hooks');
   const counts = parts.length ? parts.join(', ') : 'No installable templates';
   const desc = p.description ? ` — ${p.description}` : '';
   const error = Array.isArray(p.errors) && p.errors.length ? ` — Error: ${p.errors[0]}` : '';
@@ -82,13 +82,15 @@ async function guidedMarketplaceFlowFromScope({ scope, initialInput, debug = fal
       const totalCounts = discovered.reduce((acc, p) => {
         acc.commands += (p.commands || []).length;
         acc.agents += (p.agents || []).length;
-        acc.hooks += (p.hooks || []).length;
+        if ((p.hooks || []).some((f) => /\.json$/i.test(f))) acc.hooks++;
+        acc.mcp += Object.keys(p.mcpServers || {}).length;
         return acc;
-      }, { commands: 0, agents: 0, hooks: 0 });
+      }, { commands: 0, agents: 0, hooks: 0, mcp: 0 });
       const sections = [`${discovered.length} ${plural(discovered.length, 'plugin')}`];
       if (totalCounts.commands) sections.push(`${totalCounts.commands} ${plural(totalCounts.commands, 'command')}`);
       if (totalCounts.agents) sections.push(`${totalCounts.agents} ${plural(totalCounts.agents, 'agent')}`);
-      if (totalCounts.hooks) sections.push(`${totalCounts.hooks} ${plural(totalCounts.hooks, 'hook')}`);
+      if (totalCounts.hooks) sections.push(`hooks from ${totalCounts.hooks} ${plural(totalCounts.hooks, 'plugin')}`);
+      if (totalCounts.mcp) sections.push(`${totalCounts.mcp} MCP ${plural(totalCounts.mcp, 'server')}`);
       const installAllPrompt = new Confirm({
         name: 'all',
         message: 'Step 4/6 — Install all plugins?',
@@ -2,109 +2,105 @@
 
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
+const { httpGetText, getLastRateLimit } = require('./http');
+const { serversOf } = require('./mcp');
+const { mapLimit } = require('./scheduler');
+const { usingArchives, archiveTree, fetchRawText } = require('./archive');
+const {
+  repoLabel, parseRepoUrl, parseRawUrl, githubRawUrl, gitlabRawUrl,
+  githubCommitSha, gitlabCommitSha, githubTree, githubContents, gitlabTree,
+} = require('./hosts');
 
 const githubTreeCache = new Map();
-let lastRateLimit = null;
-
-function updateRateLimit(headers) {
-  if (!headers) return;
-  const limit = headers['x-ratelimit-limit'];
-  const remaining = headers['x-ratelimit-remaining'];
-  const reset = headers['x-ratelimit-reset'];
-  if (limit === undefined && remaining === undefined && reset === undefined) return;
-  lastRateLimit = {
-    limit: limit !== undefined ? Number(limit) : undefined,
-    remaining: remaining !== undefined ? Number(remaining) : undefined,
-    reset: reset !== undefined ? Number(reset) : undefined,
-    fetchedAt: Date.now(),
-  };
-}
+const commitCache = new Map();
 
+// `debug` is true for console output, or a function (the Node API's logger).
 function debugLog(debug, ...args) {
-  if (debug) console.log('[debug]', ...args);
+  if (typeof debug === 'function') debug(...args);
+  else if (debug) console.log('[debug]', ...args);
 }
 
 function isUrl(input) {
   return /^https?:\/\//i.test(input || '');
 }
 
+// owner/repo, unless a local path of that name exists. GitHub owners never
+// start with a dot, so ./mp and ../mp are always paths.
 function isOwnerRepoShorthand(input) {
-  return /^[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+$/.test(input || '');
+  return /^[A-Za-z0-9][A-Za-z0-9-]*\/[A-Za-z0-9_.-]+$/.test(input || '') && !fs.existsSync(input);
 }
 
-function httpGetText(url, headers = {}, maxRedirects = 5, opts = {}) {
-  const debug = !!opts.debug;
-  debugLog(debug, 'httpGetText →', url);
-  return new Promise((resolve, reject) => {
-    const req = https.get(url, { headers: { 'User-Agent': 'droid-factory', ...headers } }, (res) => {
-      debugLog(debug, 'httpGetText status', res.statusCode, url);
-      updateRateLimit(res.headers || {});
-      // Handle redirects
-      if ([301, 302, 303, 307, 308].includes(res.statusCode)) {
-        const location = res.headers.location;
-        if (location && maxRedirects > 0) {
-          const nextUrl = new URL(location, url).toString();
-          res.resume(); // discard
-          debugLog(debug, 'httpGetText redirect →', nextUrl);
-          httpGetText(nextUrl, headers, maxRedirects - 1, opts).then(resolve, reject);
-          return;
-        }
+// Concurrent lookups of one key share a single request; failures are not kept.
+function memoize(cache, key, fn) {
+  if (!cache.has(key)) {
+    const pending = fn();
+    cache.set(key, pending);
+    pending.catch(() => cache.delete(key));
+  }
+  return cache.get(key);
+}
+
+// `gh` specs ({ host, owner, repo }) cover GitHub, GitHub Enterprise and
+// Gitea repositories; `gl` specs ({ host, namespacePath, repo }) GitLab ones.
+function githubGetRepoTree(gh, ref, opts = {}) {
+  return memoize(githubTreeCache, `${repoLabel(gh)}@${ref}`, async () => {
+    let tree;
+    try {
+      tree = await githubTree(gh, ref, opts);
+    } catch (e) {
+      const status = e?.statusCode || e?.status;
+      if (status === 404) {
+        const err = new Error(`GitHub ref not found: ${repoLabel(gh)}@${ref}`);
+        err.statusCode = 404;
+        throw err;
       }
-      let data = '';
-      res.on('data', (d) => (data += d));
-      res.on('end', () => {
-        if (res.statusCode && res.statusCode >= 200 && res.statusCode < 300) {
-          debugLog(debug, 'httpGetText success', url);
-          resolve(data);
-        } else {
-          debugLog(debug, 'httpGetText error', res.statusCode, url);
-          const err = new Error(`HTTP ${res.statusCode} for ${url}`);
-          err.statusCode = res.statusCode;
-          err.url = url;
-          err.headers = res.headers;
-          reject(err);
-        }
-      });
-    });
-    req.on('error', (err) => {
-      debugLog(debug, 'httpGetText request error', err?.message || err);
-      reject(err);
-    });
+      throw e;
+    }
+    if (!tree) throw new Error(`GitHub tree response malformed for ${repoLabel(gh)}@${ref}`);
+    return tree;
   });
 }
 
-async function httpGetJson(url, headers = {}, opts = {}) {
-  const text = await httpGetText(url, headers, undefined, opts);
-  return JSON.parse(text);
+function isCommitSha(ref) {
+  return /^[0-9a-f]{40}$/i.test(ref || '');
 }
 
-async function githubGetRepoTree(owner, repo, ref, token, opts = {}) {
-  const key = `${owner}/${repo}@${ref}`;
-  if (githubTreeCache.has(key)) {
-    return githubTreeCache.get(key);
-  }
-  const headers = token ? { Authorization: `Bearer ${token}` } : {};
-  const url = `https://api.github.com/repos/${owner}/${repo}/git/trees/${encodeURIComponent(ref)}?recursive=1`;
-  let json;
+// Resolve a branch/tag to the commit it points at right now, once per run, so
+// every later raw/tree request reads the same snapshot.
+async function githubResolveCommit(gh, ref, opts = {}) {
+  if (isCommitSha(ref)) return ref.toLowerCase();
+  return memoize(commitCache, `github:${repoLabel(gh)}@${ref}`, async () => {
+    const sha = await githubCommitSha(gh, ref, opts);
+    if (!isCommitSha(sha)) throw new Error(`GitHub returned an unexpected commit for ${repoLabel(gh)}@${ref}`);
+    return sha.toLowerCase();
+  });
+}
+
+async function gitlabResolveCommit(gl, ref, opts = {}) {
+  if (isCommitSha(ref)) return ref.toLowerCase();
+  return memoize(commitCache, `gitlab:${repoLabel(gl)}@${ref}`, async () => {
+    const sha = await gitlabCommitSha(gl, ref, opts);
+    if (!isCommitSha(sha)) throw new Error(`GitLab returned an unexpected commit for ${repoLabel(gl)}@${ref}`);
+    return sha.toLowerCase();
+  });
+}
+
+// Pinning is best effort: a missing ref is an error, but a rate-limited or
+// failed lookup falls back to the moving ref (recorded as commit: null).
+async function tryResolveCommit(resolver, label, opts) {
   try {
-    json = await httpGetJson(url, headers, opts);
+    return await resolver();
   } catch (e) {
-    const status = e?.statusCode || e?.status;
-    if (status === 404) {
-      const err = new Error(`GitHub ref not found: ${owner}/${repo}@${ref}`);
+    if (e?.code === 'EOFFLINE') throw e;
+    const status = e?.statusCode;
+    if (status === 404 || status === 422) {
+      const err = new Error(`Ref not found: ${label}`);
       err.statusCode = 404;
       throw err;
     }
-    throw e;
-  }
-  if (!json || !Array.isArray(json.tree)) {
-    const err = new Error(`GitHub tree response malformed for ${owner}/${repo}@${ref}`);
-    err.response = json;
-    throw err;
+    debugLog(opts.debug, `Could not pin ${label} to a commit`, e?.message || e);
+    return null;
   }
-  githubTreeCache.set(key, json.tree);
-  return json.tree;
 }
 
 function readLocalJson(filePath) {
@@ -112,50 +108,30 @@ function readLocalJson(filePath) {
   return JSON.parse(raw);
 }
 
-function parseGitHubRawUrl(u) {
-  try {
-    const url = new URL(u);
-    if (url.hostname !== 'raw.githubusercontent.com') return null;
-    const parts = url.pathname.split('/').filter(Boolean);
-    if (parts.length < 3) return null;
-    const owner = parts[0];
-    const repo = parts[1];
-    const ref = parts[2];
-    const filePath = parts.slice(3).join('/');
-    return { owner, repo, ref, filePath };
-  } catch { return null; }
-}
-
-function parseGitRepoUrl(u) {
-  try {
-    const url = new URL(u);
-    const host = url.hostname.toLowerCase();
-    let pathname = url.pathname.replace(/\.git$/i, '');
-    // Remove trailing slash
-    pathname = pathname.replace(/\/$/, '');
-    const parts = pathname.split('/').filter(Boolean);
-    if (!parts.length) return null;
-    if (host === 'github.com') {
-      const owner = parts[0];
-      const repo = parts[1];
-      if (!owner || !repo) return null;
-      return { provider: 'github', owner, repo };
-    }
-    if (host === 'gitlab.com') {
-      if (parts.length < 2) return null;
-      const namespacePath = parts.join('/');
-      const repo = parts[parts.length - 1];
-      return { provider: 'gitlab', namespacePath, repo };
-    }
-    return null;
-  } catch { return null; }
+// A marketplace.json inside a repository, pinned to the commit of the first
+// ref that serves it. `kind` is 'github' or 'gitlab' (see hosts.js).
+async function loadRepoMarketplace(kind, repo, refsToTry, filePath, basePath, debug) {
+  let lastErr = null;
+  for (const r of refsToTry) {
+    try {
+      const sha = kind === 'gitlab'
+        ? await tryResolveCommit(() => gitlabResolveCommit(repo, r, { debug }), `${repoLabel(repo)}@${r}`, { debug })
+        : await tryResolveCommit(() => githubResolveCommit(repo, r, { debug }), `${repoLabel(repo)}@${r}`, { debug });
+      const rawUrl = kind === 'gitlab' ? gitlabRawUrl(repo, sha || r, filePath) : githubRawUrl(repo, sha || r, filePath);
+      debugLog(debug, 'Attempt marketplace fetch', rawUrl);
+      const json = JSON.parse(await fetchRawText(rawUrl, { debug }));
+      const spec = { ...repo, ref: r, sha, basePath };
+      return { json, context: kind === 'gitlab' ? { kind, gl: spec } : { kind, gh: spec } };
+    } catch (e) { lastErr = e; }
+  }
+  throw lastErr || new Error(`Failed to load marketplace from ${repoLabel(repo)}`);
 }
 
 async function loadMarketplace(input, ref, opts = {}) {
-  const debug = !!opts.debug;
+  const debug = opts.debug || false;
   debugLog(debug, 'loadMarketplace input', input, 'ref', ref);
   // Returns: { json, context }
-  // context: { kind: 'local'|'github-raw'|'github-shorthand'|'url', baseDir?, gh?: {owner,repo,ref,basePath} }
+  // context: { kind: 'local'|'github'|'gitlab'|'url', baseDir?, gh?: {host,owner,repo,ref,sha,basePath}, gl?: {host,namespacePath,repo,ref,sha,basePath} }
   if (!input) throw new Error('No marketplace input provided');
 
   // Local directory or file
@@ -169,65 +145,31 @@ async function loadMarketplace(input, ref, opts = {}) {
     debugLog(debug, 'Loading local marketplace file', file);
     const json = readLocalJson(file);
     const baseDir = path.dirname(file);
-    return { json, context: { kind: 'local', baseDir } };
+    // The marketplace root holds .claude-plugin/; Claude Code resolves plugin sources against it
+    const rootDir = path.basename(baseDir) === '.claude-plugin' ? path.dirname(baseDir) : baseDir;
+    return { json, context: { kind: 'local', baseDir, rootDir } };
   }
 
   // GitHub shorthand owner/repo
   if (isOwnerRepoShorthand(input)) {
     const [owner, repo] = input.split('/');
-    const refsToTry = ref ? [ref] : ['main', 'master'];
-    let lastErr = null;
-    for (const r of refsToTry) {
-      const rawUrl = `https://raw.githubusercontent.com/${owner}/${repo}/${r}/.claude-plugin/marketplace.json`;
-      debugLog(debug, 'Attempt GitHub shorthand fetch', rawUrl);
-      try {
-        const text = await httpGetText(rawUrl, undefined, undefined, { debug });
-        const json = JSON.parse(text);
-        return { json, context: { kind: 'github', gh: { owner, repo, ref: r, basePath: '' } } };
-      } catch (e) { lastErr = e; }
-    }
-    throw lastErr || new Error('Failed to load marketplace from GitHub shorthand');
+    return loadRepoMarketplace('github', { host: 'github.com', owner, repo }, ref ? [ref] : ['main', 'master'], '.claude-plugin/marketplace.json', '', debug);
   }
 
   // URL
   if (isUrl(input)) {
-    const ghParsed = parseGitHubRawUrl(input);
-    if (ghParsed) {
-      debugLog(debug, 'Detected GitHub raw URL', input, ghParsed);
-      const text = await httpGetText(input, undefined, undefined, { debug });
-      const json = JSON.parse(text);
-      // base path is directory of filePath
-      const basePath = ghParsed.filePath ? path.posix.dirname(ghParsed.filePath) : '';
-      return { json, context: { kind: 'github', gh: { owner: ghParsed.owner, repo: ghParsed.repo, ref: ghParsed.ref, basePath } } };
+    // A raw file on a known host: its ref is pinned and plugin paths are relative to its directory
+    const raw = parseRawUrl(input);
+    if (raw && raw.path) {
+      debugLog(debug, 'Detected raw marketplace URL', input, raw);
+      return loadRepoMarketplace(raw.kind, raw.repo, [raw.ref], raw.path, path.posix.dirname(raw.path).replace(/^\.$/, ''), debug);
     }
-    const gitRepo = parseGitRepoUrl(input);
-    if (gitRepo && gitRepo.provider === 'github') {
-      const refsToTry = ref ? [ref] : ['main', 'master'];
-      let lastErr = null;
-      for (const r of refsToTry) {
-        const rawUrl = `https://raw.githubusercontent.com/${gitRepo.owner}/${gitRepo.repo}/${r}/.claude-plugin/marketplace.json`;
-        debugLog(debug, 'Attempt GitHub git URL fetch', rawUrl);
-        try {
-          const text = await httpGetText(rawUrl, undefined, undefined, { debug });
-          const json = JSON.parse(text);
-          return { json, context: { kind: 'github', gh: { owner: gitRepo.owner, repo: gitRepo.repo, ref: r, basePath: '' } } };
-        } catch (e) { lastErr = e; }
-      }
-      throw lastErr || new Error('Failed to load marketplace from GitHub git URL');
+    const gitRepo = parseRepoUrl(input);
+    if (gitRepo && gitRepo.kind === 'github') {
+      return loadRepoMarketplace('github', gitRepo.repo, ref ? [ref] : ['main', 'master'], '.claude-plugin/marketplace.json', '', debug);
     }
-    if (gitRepo && gitRepo.provider === 'gitlab') {
-      const refsToTry = [ref, 'main', 'master'].filter(Boolean);
-      let lastErr = null;
-      for (const r of refsToTry) {
-        const rawUrl = `https://gitlab.com/${gitRepo.namespacePath}/-/raw/${encodeURIComponent(r)}/.claude-plugin/marketplace.json`;
-        debugLog(debug, 'Attempt GitLab git URL fetch', rawUrl);
-        try {
-          const text = await httpGetText(rawUrl, undefined, undefined, { debug });
-          const json = JSON.parse(text);
-          return { json, context: { kind: 'gitlab', gl: { namespacePath: gitRepo.namespacePath, repo: gitRepo.repo, ref: r, basePath: '' } } };
-        } catch (e) { lastErr = e; }
-      }
-      throw lastErr || new Error('Failed to load marketplace from GitLab git URL');
+    if (gitRepo && gitRepo.kind === 'gitlab') {
+      return loadRepoMarketplace('gitlab', gitRepo.repo, [ref, 'main', 'master'].filter(Boolean), '.claude-plugin/marketplace.json', '', debug);
     }
     // Generic URL to marketplace.json
     const text = await httpGetText(input, undefined, undefined, { debug });
@@ -265,8 +207,9 @@ function resolvePluginSource(plugin, context) {
   if (typeof src === 'string') {
     // Relative path
     if (context.kind === 'local') {
-      const base = path.resolve(path.join(context.baseDir, pluginRoot || ''));
-      return { kind: 'local', localDir: path.resolve(base, src), overrides };
+      // Against the marketplace root, falling back to the marketplace.json directory
+      const dirs = [context.rootDir || context.baseDir, context.baseDir].map((dir) => path.resolve(path.join(dir, pluginRoot || ''), src));
+      return { kind: 'local', localDir: dirs.find((dir) => fs.existsSync(dir)) || dirs[0], overrides };
     }
     if (context.kind === 'github' && context.gh) {
       const basePath = path.posix.join(context.gh.basePath || '', pluginRoot || '');
@@ -287,22 +230,22 @@ function resolvePluginSource(plugin, context) {
       const repo = src.repo || src.repository;
       if (!repo) return { kind: 'unsupported', reason: 'Missing GitHub repo', overrides };
       const [owner, repoName] = repo.split('/');
-      const ref = src.ref || context.gh?.ref || 'main';
+      const ref = src.sha || src.ref || context.gh?.ref || 'main';
       const basePath = src.path || '';
-      return { kind: 'github', github: { owner, repo: repoName, ref, path: basePath }, overrides };
+      return { kind: 'github', github: { host: 'github.com', owner, repo: repoName, ref, path: basePath }, overrides };
     }
     if (type === 'git' || type === 'url') {
       const url = src.url || src.href || '';
-      const repo = parseGitRepoUrl(url);
-      if (repo && repo.provider === 'github') {
-        const ref = src.ref || context.gh?.ref || 'main';
+      const parsed = parseRepoUrl(url);
+      if (parsed && parsed.kind === 'github') {
+        const ref = src.sha || src.ref || context.gh?.ref || 'main';
         const basePath = src.path || '';
-        return { kind: 'github', github: { owner: repo.owner, repo: repo.repo, ref, path: basePath }, overrides };
+        return { kind: 'github', github: { ...parsed.repo, ref, path: basePath }, overrides };
       }
-      if (repo && repo.provider === 'gitlab') {
-        const ref = src.ref || context.gl?.ref || 'main';
+      if (parsed && parsed.kind === 'gitlab') {
+        const ref = src.sha || src.ref || context.gl?.ref || 'main';
         const basePath = src.path || '';
-        return { kind: 'gitlab', gitlab: { namespacePath: repo.namespacePath, repo: repo.repo, ref, path: basePath }, overrides };
+        return { kind: 'gitlab', gitlab: { ...parsed.repo, ref, path: basePath }, overrides };
       }
       return { kind: 'unsupported', reason: 'Unsupported git/url provider', overrides };
     }
@@ -310,13 +253,17 @@ function resolvePluginSource(plugin, context) {
   return { kind: 'unsupported', reason: 'Unknown source type', overrides };
 }
 
+// Commands and agents may be namespaced in subdirectories (commands/git/commit.md).
 function listMarkdownFilesLocal(dir) {
   try {
     if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) return [];
-    return fs.readdirSync(dir)
-      .filter((f) => f.endsWith('.md'))
-      .map((f) => path.join(dir, f))
-      .sort();
+    const out = [];
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) out.push(...listMarkdownFilesLocal(full));
+      else if (entry.name.endsWith('.md')) out.push(full);
+    }
+    return out.sort();
   } catch { return []; }
 }
 
@@ -344,35 +291,75 @@ function listSkillsLocal(dir) {
   } catch { return []; }
 }
 
-async function githubListDir(owner, repo, ref, repoPath, token, opts = {}) {
-  const headers = token ? { Authorization: `Bearer ${token}` } : {};
-  const encPath = encodeURIComponent(repoPath).replace(/%2F/g, '/');
-  const url = `https://api.github.com/repos/${owner}/${repo}/contents/${encPath}?ref=${encodeURIComponent(ref)}`;
-  const result = await httpGetJson(url, headers, opts);
-  return result;
+const MCP_FILE = '.mcp.json';
+
+// MCP servers come from the marketplace entry's inline `mcpServers` object or
+// from the plugin's .mcp.json (or the file a string `mcpServers` names).
+async function loadPluginMcp(resolved, scan, opts) {
+  const inline = resolved.overrides?.mcpServers;
+  if (inline && typeof inline === 'object') return { source: null, servers: serversOf(inline) };
+  const file = (scan.mcp || [])[0];
+  if (!file) return null;
+  const text = /^https?:\/\//i.test(file) ? await fetchRawText(file, opts) : fs.readFileSync(file, 'utf8');
+  try {
+    return { source: file, servers: serversOf(JSON.parse(text)) };
+  } catch (e) {
+    throw new Error(`Invalid MCP config ${file}: ${e.message}`);
+  }
 }
 
-function toRawUrl(owner, repo, ref, repoPath) {
-  const safe = repoPath.replace(/^\//, '');
-  return `https://raw.githubusercontent.com/${owner}/${repo}/${ref}/${safe}`;
+// A string `hooks` override may name the hooks.json file instead of a directory.
+function isHooksConfigPath(p) {
+  return /\.json$/i.test(p);
 }
 
-async function gitlabListDir(namespacePath, ref, repoPath, opts = {}) {
-  // GitLab repository tree API (public repos)
-  const project = encodeURIComponent(namespacePath);
-  const encPath = encodeURIComponent(repoPath);
-  const url = `https://gitlab.com/api/v4/projects/${project}/repository/tree?path=${encPath}&ref=${encodeURIComponent(ref)}&per_page=100`;
-  const result = await httpGetJson(url, undefined, opts);
-  return result;
+// Where ${CLAUDE_PLUGIN_ROOT} points: a local directory or a raw-file URL prefix.
+function pluginRootOf(resolved) {
+  if (resolved.kind === 'local') return resolved.localDir;
+  if (resolved.kind === 'github') {
+    const gh = resolved.github;
+    return githubRawUrl(gh, gh.sha || gh.ref, gh.path || '').replace(/\/$/, '');
+  }
+  if (resolved.kind === 'gitlab') {
+    const gl = resolved.gitlab;
+    return gitlabRawUrl(gl, gl.sha || gl.ref, gl.path || '').replace(/\/$/, '');
+  }
+  return null;
 }
 
-function toGitlabRawUrl(namespacePath, ref, repoPath) {
-  const safe = repoPath.replace(/^\//, '');
-  return `https://gitlab.com/${namespacePath}/-/raw/${ref}/${safe}`;
+// Repo paths of the files directly under `pathInRepo` (the repository root
+// when empty) in a git/trees-shaped tree, or under it at any depth.
+function treeFiles(tree, pathInRepo, filterFn, recursive) {
+  const normalized = pathInRepo.replace(/^\/+/, '').replace(/\/+/g, '/').replace(/\/+$/, '');
+  const prefix = normalized ? normalized + '/' : '';
+  const results = [];
+  for (const entry of tree) {
+    if (!entry || entry.type !== 'blob' || typeof entry.path !== 'string') continue;
+    if (!entry.path.startsWith(prefix)) continue;
+    const remainder = entry.path.slice(prefix.length);
+    if (!remainder || (!recursive && remainder.includes('/'))) continue;
+    if (filterFn && !filterFn(entry.path)) continue;
+    results.push(entry.path);
+  }
+  return results;
+}
+
+// Repo paths of the skill directories (ones holding a SKILL.md) under `pathInRepo`.
+function treeSkillDirs(tree, pathInRepo) {
+  const normalized = pathInRepo.replace(/^\/+/, '').replace(/\/+/g, '/').replace(/\/+$/, '');
+  const prefix = normalized ? normalized + '/' : '';
+  const skillDirs = new Set();
+  for (const entry of tree) {
+    if (!entry || typeof entry.path !== 'string') continue;
+    if (!entry.path.startsWith(prefix)) continue;
+    const parts = entry.path.slice(prefix.length).split('/');
+    if (parts.length >= 2 && parts[1] === 'SKILL.md') skillDirs.add(parts[0]);
+  }
+  return Array.from(skillDirs).sort().map((dir) => `${prefix}${dir}`);
 }
 
 async function scanPluginLocal(localDir, overrides, opts = {}) {
-  const debug = !!opts.debug;
+  const debug = opts.debug || false;
   debugLog(debug, 'scanPluginLocal', localDir);
   const errors = [];
   if (!fs.existsSync(localDir) || !fs.statSync(localDir).isDirectory()) {
@@ -393,20 +380,23 @@ async function scanPluginLocal(localDir, overrides, opts = {}) {
     : listMarkdownFilesLocal(agentsDir);
   const hooks = Array.isArray(overrides?.hooks)
     ? overrides.hooks.map((p) => path.resolve(localDir, p)).filter((p) => fs.existsSync(p) && fs.statSync(p).isFile())
-    : listFilesLocal(hooksDir);
+    : (isHooksConfigPath(hooksDir) ? [hooksDir].filter((p) => fs.existsSync(p)) : listFilesLocal(hooksDir));
   const skills = Array.isArray(overrides?.skills)
     ? overrides.skills.map((p) => path.resolve(localDir, p)).filter((p) => fs.existsSync(p) && fs.statSync(p).isDirectory())
     : listSkillsLocal(skillsDir);
 
-  debugLog(debug, 'scanPluginLocal results', { commands, agents, hooks, skills });
+  const mcpPath = typeof overrides?.mcpServers === 'string' ? path.resolve(localDir, overrides.mcpServers) : path.join(localDir, MCP_FILE);
+  const mcp = fs.existsSync(mcpPath) && fs.statSync(mcpPath).isFile() ? [mcpPath] : [];
+
+  debugLog(debug, 'scanPluginLocal results', { commands, agents, hooks, skills, mcp });
 
-  return { commands, agents, hooks, skills, errors };
+  const roots = { commands: Array.isArray(overrides?.commands) ? null : commandsDir, agents: Array.isArray(overrides?.agents) ? null : agentsDir };
+  return { commands, agents, hooks, skills, mcp, roots, errors };
 }
 
 async function scanPluginGithub(gh, overrides, opts = {}) {
-  const debug = !!opts.debug;
+  const debug = opts.debug || false;
   debugLog(debug, 'scanPluginGithub', gh);
-  const token = opts.token || process.env.GITHUB_TOKEN || process.env.GH_TOKEN || '';
   // Build candidate paths
   const base = gh.path || '';
   const commandsPath = typeof overrides?.commands === 'string' ? path.posix.join(base, overrides.commands) : path.posix.join(base, 'commands');
@@ -415,47 +405,45 @@ async function scanPluginGithub(gh, overrides, opts = {}) {
   const skillsPath = typeof overrides?.skills === 'string' ? path.posix.join(base, overrides.skills) : path.posix.join(base, 'skills');
 
   const errors = [];
+  const at = gh.sha || gh.ref; // pinned commit when known
   let tree = null;
   let treeFailed = false;
   try {
-    tree = await githubGetRepoTree(gh.owner, gh.repo, gh.ref, token, opts);
-    debugLog(debug, `Loaded GitHub tree for ${gh.owner}/${gh.repo}@${gh.ref}`, { size: tree.length });
+    tree = usingArchives()
+      ? await archiveTree('github', gh, at, opts)
+      : await githubGetRepoTree(gh, at, opts);
+    debugLog(debug, `Loaded GitHub tree for ${repoLabel(gh)}@${gh.ref}`, { size: tree.length });
   } catch (e) {
     treeFailed = true;
-    debugLog(debug, `GitHub tree fetch failed for ${gh.owner}/${gh.repo}@${gh.ref}`, e?.message || e);
+    debugLog(debug, `GitHub tree fetch failed for ${repoLabel(gh)}@${gh.ref}`, e?.message || e);
   }
 
   const isMarkdown = (repoPath) => /\.md$/i.test(repoPath);
 
-  function listFromTree(pathInRepo, filterFn = isMarkdown) {
+  function listFromTree(pathInRepo, filterFn = isMarkdown, recursive = false) {
     if (!tree || !Array.isArray(tree)) return null;
-    const normalized = pathInRepo.replace(/^\/+/, '').replace(/\/+/g, '/').replace(/\/+$/, '');
-    if (!normalized) return [];
-    const prefix = normalized + '/';
-    const results = [];
-    for (const entry of tree) {
-      if (!entry || entry.type !== 'blob' || typeof entry.path !== 'string') continue;
-      if (!entry.path.startsWith(prefix)) continue;
-      const remainder = entry.path.slice(prefix.length);
-      if (!remainder || remainder.includes('/')) continue; // direct children only
-      if (filterFn && !filterFn(entry.path)) continue;
-      results.push(toRawUrl(gh.owner, gh.repo, gh.ref, entry.path));
-    }
-    return results;
+    return treeFiles(tree, pathInRepo, filterFn, recursive).map((repoPath) => githubRawUrl(gh, at, repoPath));
   }
 
-  async function listViaApi(pathInRepo, label, filterFn = isMarkdown) {
+  async function listViaApi(pathInRepo, label, filterFn = isMarkdown, recursive = false) {
     try {
-      const entries = await githubListDir(gh.owner, gh.repo, gh.ref, pathInRepo, token, opts);
+      const entries = await githubContents(gh, at, pathInRepo, opts);
       if (!Array.isArray(entries)) {
         const msg = `GitHub API unexpected response for ${label}`;
         errors.push(msg);
         debugLog(debug, msg);
         return [];
       }
-      return entries
-        .filter((e) => e && e.type === 'file' && (!filterFn || filterFn(e.path || e.download_url || e.name)))
-        .map((e) => e.download_url || toRawUrl(gh.owner, gh.repo, gh.ref, path.posix.join(pathInRepo, e.name)));
+      const urls = entries
+        .filter((e) => e && e.type === 'file' && (!filterFn || filterFn(e.path || e.name)))
+        .map((e) => githubRawUrl(gh, at, e.path || path.posix.join(pathInRepo, e.name)));
+      if (recursive) {
+        for (const e of entries.filter((x) => x && x.type === 'dir')) {
+          const sub = path.posix.join(pathInRepo, e.name);
+          urls.push(...await listViaApi(sub, `${label}/${e.name}`, filterFn, true));
+        }
+      }
+      return urls.sort();
     } catch (e) {
       if (e && e.statusCode === 404) {
         debugLog(debug, `GitHub path not found (${label}) — treating as empty`);
@@ -468,61 +456,46 @@ async function scanPluginGithub(gh, overrides, opts = {}) {
     }
   }
 
-  async function resolveSection(pathInRepo, overrideValue, label, filterFn = isMarkdown) {
+  async function resolveSection(pathInRepo, overrideValue, label, filterFn = isMarkdown, recursive = false) {
     if (Array.isArray(overrideValue)) {
       return overrideValue
         .map((p) => path.posix.join(base, p))
         .filter((repoPath) => !filterFn || filterFn(repoPath))
-        .map((repoPath) => toRawUrl(gh.owner, gh.repo, gh.ref, repoPath));
+        .map((repoPath) => githubRawUrl(gh, at, repoPath));
     }
-    let urls = listFromTree(pathInRepo, filterFn);
+    let urls = listFromTree(pathInRepo, filterFn, recursive);
     if (urls === null || (urls && urls.length === 0 && treeFailed)) {
-      urls = await listViaApi(pathInRepo, label, filterFn);
+      urls = await listViaApi(pathInRepo, label, filterFn, recursive);
     }
-    if (urls === null) urls = await listViaApi(pathInRepo, label, filterFn);
+    if (urls === null) urls = await listViaApi(pathInRepo, label, filterFn, recursive);
     return urls || [];
   }
 
   // Skills require special handling - need to find directories with SKILL.md
   function listSkillsFromTree(pathInRepo) {
     if (!tree || !Array.isArray(tree)) return null;
-    const normalized = pathInRepo.replace(/^\/+/, '').replace(/\/+/g, '/').replace(/\/+$/, '');
-    if (!normalized) return [];
-    const prefix = normalized + '/';
-    const skillDirs = new Set();
-
-    for (const entry of tree) {
-      if (!entry || typeof entry.path !== 'string') continue;
-      if (!entry.path.startsWith(prefix)) continue;
-      const remainder = entry.path.slice(prefix.length);
-      const parts = remainder.split('/');
-      if (parts.length >= 2 && parts[1] === 'SKILL.md') {
-        skillDirs.add(parts[0]);
-      }
-    }
-
-    return Array.from(skillDirs).sort().map(dir => toRawUrl(gh.owner, gh.repo, gh.ref, `${prefix}${dir}`));
+    return treeSkillDirs(tree, pathInRepo).map((repoPath) => githubRawUrl(gh, at, repoPath));
   }
 
   async function resolveSkills(pathInRepo, overrideValue, label) {
     if (Array.isArray(overrideValue)) {
       return overrideValue
         .map((p) => path.posix.join(base, p))
-        .map((repoPath) => toRawUrl(gh.owner, gh.repo, gh.ref, repoPath));
+        .map((repoPath) => githubRawUrl(gh, at, repoPath));
     }
     let urls = listSkillsFromTree(pathInRepo);
     if (urls === null || (urls && urls.length === 0 && treeFailed)) {
       // Fallback to API approach
       try {
-        const entries = await githubListDir(gh.owner, gh.repo, gh.ref, pathInRepo, token, opts);
+        const entries = await githubContents(gh, at, pathInRepo, opts);
         if (Array.isArray(entries)) {
           const skillDirs = [];
           for (const e of entries) {
             if (e && e.type === 'dir') {
               const skillMdPath = path.posix.join(pathInRepo, e.name, 'SKILL.md');
               try {
-                await githubListDir(gh.owner, gh.repo, gh.ref, skillMdPath, token, opts);
-                skillDirs.push(toRawUrl(gh.owner, gh.repo, gh.ref, path.posix.join(pathInRepo, e.name)));
+                await githubContents(gh, at, skillMdPath, opts);
+                skillDirs.push(githubRawUrl(gh, at, path.posix.join(pathInRepo, e.name)));
               } catch { /* not a skill */ }
             }
           }
@@ -542,17 +515,25 @@ async function scanPluginGithub(gh, overrides, opts = {}) {
     return urls || [];
   }
 
-  const commands = await resolveSection(commandsPath, overrides?.commands, `${gh.repo}/${commandsPath}`);
-  const agents = await resolveSection(agentsPath, overrides?.agents, `${gh.repo}/${agentsPath}`);
-  const hooks = await resolveSection(hooksPath, overrides?.hooks, `${gh.repo}/${hooksPath}`, null);
+  const commands = await resolveSection(commandsPath, overrides?.commands, `${gh.repo}/${commandsPath}`, isMarkdown, true);
+  const agents = await resolveSection(agentsPath, overrides?.agents, `${gh.repo}/${agentsPath}`, isMarkdown, true);
+  const hooks = isHooksConfigPath(hooksPath) ? [githubRawUrl(gh, at, hooksPath)] : await resolveSection(hooksPath, overrides?.hooks, `${gh.repo}/${hooksPath}`, null);
   const skills = await resolveSkills(skillsPath, overrides?.skills, `${gh.repo}/${skillsPath}`);
 
-  debugLog(debug, 'scanPluginGithub discovered', { commands, agents, hooks, skills, errors });
-  return { commands, agents, hooks, skills, errors };
+  const mcpPath = path.posix.join(base, typeof overrides?.mcpServers === 'string' ? overrides.mcpServers : MCP_FILE);
+  let mcp;
+  if (typeof overrides?.mcpServers === 'string') mcp = [githubRawUrl(gh, at, mcpPath)];
+  else if (tree && Array.isArray(tree)) mcp = tree.some((e) => e && e.type === 'blob' && e.path === mcpPath.replace(/^\/+/, '')) ? [githubRawUrl(gh, at, mcpPath)] : [];
+  else mcp = await listViaApi(base, `${gh.repo}/${mcpPath}`, (p) => path.posix.basename(p) === MCP_FILE);
+
+  debugLog(debug, 'scanPluginGithub discovered', { commands, agents, hooks, skills, mcp, errors });
+  const rootOf = (override, repoPath) => (Array.isArray(override) ? null : githubRawUrl(gh, at, repoPath));
+  const roots = { commands: rootOf(overrides?.commands, commandsPath), agents: rootOf(overrides?.agents, agentsPath) };
+  return { commands, agents, hooks, skills, mcp, roots, errors };
 }
 
 async function scanPluginGitlab(gl, overrides, opts = {}) {
-  const debug = !!opts.debug;
+  const debug = opts.debug || false;
   debugLog(debug, 'scanPluginGitlab', gl);
   const base = gl.path || '';
   const commandsPath = typeof overrides?.commands === 'string' ? path.posix.join(base, overrides.commands) : path.posix.join(base, 'commands');
@@ -561,16 +542,27 @@ async function scanPluginGitlab(gl, overrides, opts = {}) {
   const skillsPath = typeof overrides?.skills === 'string' ? path.posix.join(base, overrides.skills) : path.posix.join(base, 'skills');
 
   const errors = [];
+  const at = gl.sha || gl.ref; // pinned commit when known
+  // With the tarball transport everything is listed from the repository archive
+  let tree = null;
+  if (usingArchives()) {
+    try {
+      tree = await archiveTree('gitlab', gl, at, opts);
+    } catch (e) {
+      debugLog(debug, `GitLab archive failed for ${repoLabel(gl)}@${gl.ref}, using the API`, e?.message || e);
+    }
+  }
 
-  async function resolveSection(pathInRepo, overrideValue, label, filterFn = (name) => /\.md$/i.test(name)) {
+  async function resolveSection(pathInRepo, overrideValue, label, filterFn = (name) => /\.md$/i.test(name), recursive = false) {
     if (Array.isArray(overrideValue)) {
       return overrideValue
         .map((p) => path.posix.join(base, p))
         .filter((repoPath) => !filterFn || filterFn(repoPath))
-        .map((repoPath) => toGitlabRawUrl(gl.namespacePath, gl.ref, repoPath));
+        .map((repoPath) => gitlabRawUrl(gl, at, repoPath));
     }
+    if (tree) return treeFiles(tree, pathInRepo, filterFn, recursive).map((repoPath) => gitlabRawUrl(gl, at, repoPath));
     try {
-      const entries = await gitlabListDir(gl.namespacePath, gl.ref, pathInRepo, opts);
+      const entries = await gitlabTree(gl, at, pathInRepo, { ...opts, recursive });
       if (!Array.isArray(entries)) {
         const msg = `GitLab API unexpected response for ${label}`;
         errors.push(msg);
@@ -579,7 +571,7 @@ async function scanPluginGitlab(gl, overrides, opts = {}) {
       }
       return entries
         .filter((e) => e && e.type === 'blob' && (!filterFn || filterFn(e.path || e.name)))
-        .map((e) => toGitlabRawUrl(gl.namespacePath, gl.ref, e.path || (pathInRepo + '/' + e.name)));
+        .map((e) => gitlabRawUrl(gl, at, e.path || (pathInRepo + '/' + e.name)));
     } catch (e) {
       if (e && e.statusCode === 404) {
         debugLog(debug, `GitLab path not found (${label}) — treating as empty`);
@@ -596,27 +588,19 @@ async function scanPluginGitlab(gl, overrides, opts = {}) {
     if (Array.isArray(overrideValue)) {
       return overrideValue
         .map((p) => path.posix.join(base, p))
-        .map((repoPath) => toGitlabRawUrl(gl.namespacePath, gl.ref, repoPath));
+        .map((repoPath) => gitlabRawUrl(gl, at, repoPath));
     }
+    if (tree) return treeSkillDirs(tree, pathInRepo).map((repoPath) => gitlabRawUrl(gl, at, repoPath));
     try {
-      const entries = await gitlabListDir(gl.namespacePath, gl.ref, pathInRepo, opts);
+      // One recursive listing finds every SKILL.md below the skills directory
+      const entries = await gitlabTree(gl, at, pathInRepo, { ...opts, recursive: true });
       if (!Array.isArray(entries)) {
         const msg = `GitLab API unexpected response for ${label}`;
         errors.push(msg);
         debugLog(debug, msg);
         return [];
       }
-      const skillDirs = [];
-      for (const e of entries) {
-        if (e && e.type === 'tree') {
-          const skillMdPath = path.posix.join(pathInRepo, e.name, 'SKILL.md');
-          try {
-            await gitlabListDir(gl.namespacePath, gl.ref, skillMdPath, opts);
-            skillDirs.push(toGitlabRawUrl(gl.namespacePath, gl.ref, path.posix.join(pathInRepo, e.name)));
-          } catch { /* not a skill */ }
-        }
-      }
-      return skillDirs;
+      return treeSkillDirs(entries, pathInRepo).map((repoPath) => gitlabRawUrl(gl, at, repoPath));
     } catch (e) {
       if (e && e.statusCode === 404) {
         debugLog(debug, `GitLab path not found (${label}) — treating as empty`);
@@ -629,49 +613,77 @@ async function scanPluginGitlab(gl, overrides, opts = {}) {
     }
   }
 
-  const commands = await resolveSection(commandsPath, overrides?.commands, `${gl.repo}/${commandsPath}`);
-  const agents = await resolveSection(agentsPath, overrides?.agents, `${gl.repo}/${agentsPath}`);
-  const hooks = await resolveSection(hooksPath, overrides?.hooks, `${gl.repo}/${hooksPath}`, null);
+  const isMarkdown = (name) => /\.md$/i.test(name);
+  const commands = await resolveSection(commandsPath, overrides?.commands, `${gl.repo}/${commandsPath}`, isMarkdown, true);
+  const agents = await resolveSection(agentsPath, overrides?.agents, `${gl.repo}/${agentsPath}`, isMarkdown, true);
+  const hooks = isHooksConfigPath(hooksPath) ? [gitlabRawUrl(gl, at, hooksPath)] : await resolveSection(hooksPath, overrides?.hooks, `${gl.repo}/${hooksPath}`, null);
   const skills = await resolveSkills(skillsPath, overrides?.skills, `${gl.repo}/${skillsPath}`);
+  const mcp = typeof overrides?.mcpServers === 'string'
+    ? [gitlabRawUrl(gl, at, path.posix.join(base, overrides.mcpServers))]
+    : await resolveSection(base, undefined, `${gl.repo}/${base}`, (name) => path.posix.basename(name) === MCP_FILE);
+
+  debugLog(debug, 'scanPluginGitlab discovered', { commands, agents, hooks, skills, mcp, errors });
+  const rootOf = (override, repoPath) => (Array.isArray(override) ? null : gitlabRawUrl(gl, at, repoPath));
+  const roots = { commands: rootOf(overrides?.commands, commandsPath), agents: rootOf(overrides?.agents, agentsPath) };
+  return { commands, agents, hooks, skills, mcp, roots, errors };
+}
 
-  debugLog(debug, 'scanPluginGitlab discovered', { commands, agents, hooks, skills, errors });
-  return { commands, agents, hooks, skills, errors };
+// Plugins living in the marketplace repo inherit its pinned commit; sources in
+// other repos are resolved here (cached per repo@ref).
+async function pinPluginSource(resolved, context, opts) {
+  if (resolved.kind === 'github' && !resolved.github.sha) {
+    const gh = resolved.github;
+    const ctx = context?.gh;
+    if (ctx && ctx.sha && repoLabel(ctx) === repoLabel(gh) && ctx.ref === gh.ref) gh.sha = ctx.sha;
+    else gh.sha = await tryResolveCommit(() => githubResolveCommit(gh, gh.ref, opts), `${repoLabel(gh)}@${gh.ref}`, opts);
+  } else if (resolved.kind === 'gitlab' && !resolved.gitlab.sha) {
+    const gl = resolved.gitlab;
+    const ctx = context?.gl;
+    if (ctx && ctx.sha && repoLabel(ctx) === repoLabel(gl) && ctx.ref === gl.ref) gl.sha = ctx.sha;
+    else gl.sha = await tryResolveCommit(() => gitlabResolveCommit(gl, gl.ref, opts), `${repoLabel(gl)}@${gl.ref}`, opts);
+  }
 }
 
 async function discoverPlugins(marketplaceJson, context, opts = {}) {
-  const debug = !!opts.debug;
+  const debug = opts.debug || false;
   debugLog(debug, 'discoverPlugins start', { contextKind: context?.kind });
-  const token = opts.token || process.env.GITHUB_TOKEN || process.env.GH_TOKEN || '';
   const normalized = normalizePlugins(marketplaceJson);
-  const results = [];
-  for (const p of normalized) {
+  // Plugins are scanned side by side; results keep the marketplace order
+  return mapLimit(normalized, async (p) => {
     const resolved = resolvePluginSource(p, context);
     debugLog(debug, `Plugin ${p.name} resolved`, resolved);
     let scan = { commands: [], agents: [], hooks: [], errors: [] };
+    let mcp = null;
     try {
+      await pinPluginSource(resolved, context, { debug });
       if (resolved.kind === 'local') {
         scan = await scanPluginLocal(resolved.localDir, resolved.overrides, opts);
       } else if (resolved.kind === 'github') {
-        scan = await scanPluginGithub(resolved.github, resolved.overrides, { ...opts, token });
+        scan = await scanPluginGithub(resolved.github, resolved.overrides, opts);
       } else if (resolved.kind === 'gitlab') {
         scan = await scanPluginGitlab(resolved.gitlab, resolved.overrides, opts);
       }
+      if (resolved.kind !== 'unsupported') mcp = await loadPluginMcp(resolved, scan, opts);
     } catch (e) {
       debugLog(debug, `Plugin ${p.name} scan error`, e?.message || e);
+      scan.errors = [...(scan.errors || []), e?.message || String(e)];
     }
-    debugLog(debug, `Plugin ${p.name} discovered counts`, { commands: scan.commands.length, agents: scan.agents.length, hooks: scan.hooks?.length || 0, skills: scan.skills?.length || 0, errors: scan.errors?.length || 0 });
-    results.push({
+    debugLog(debug, `Plugin ${p.name} discovered counts`, { commands: scan.commands.length, agents: scan.agents.length, hooks: scan.hooks?.length || 0, skills: scan.skills?.length || 0, mcpServers: mcp ? Object.keys(mcp.servers).length : 0, errors: scan.errors?.length || 0 });
+    return {
       name: p.name,
       description: p.description,
       resolved,
+      root: pluginRootOf(resolved),
       commands: scan.commands,
       agents: scan.agents,
       hooks: scan.hooks,
       skills: scan.skills,
+      roots: scan.roots || {},
+      mcpServers: mcp ? mcp.servers : {},
+      mcpSource: mcp ? mcp.source : null,
       errors: scan.errors || [],
-    });
-  }
-  return results;
+    };
+  });
 }
 
 function basenameNoExt(p) { return path.basename(p).replace(/\.md$/i, ''); }
@@ -681,5 +693,5 @@ module.exports = {
   discoverPlugins,
   basenameNoExt,
   httpGetText,
-  getLastRateLimit: () => lastRateLimit,
+  getLastRateLimit,
 };
@@ -0,0 +1,140 @@
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJsonFile, editJsonFile } = require('./settings');
+const { isSafeName } = require('./fs-utils');
+const { referencedScripts, replacePluginRoot } = require('./hook-convert');
+const { hashContent } = require('./lockfile');
+
+// Factory reads MCP servers from mcp.json in each .factory/ directory:
+// { "mcpServers": { "<name>": { "type": "stdio", "command", "args", "env" } | { "type": "http", "url", "headers" } } }
+const MCP_CONFIG_NAME = 'mcp.json';
+const MCP_FILES_DIR = 'mcp';
+
+// ${VAR} and ${VAR:-default}, as in Claude Code's .mcp.json.
+const PLACEHOLDER_RE = /\$\{([A-Za-z_][A-Za-z0-9_]*)(?::-([^}]*))?\}/g;
+
+function mcpConfigPath(baseDir) {
+  return path.join(baseDir, MCP_CONFIG_NAME);
+}
+
+// MCP servers have no file of their own; plan items use
+// `<baseDir>/mcp.json#<name>` so lockfile keys read `mcp.json#<name>`.
+function mcpDest(baseDir, name) {
+  return `${mcpConfigPath(baseDir)}#${name}`;
+}
+
+function mcpNameFromKey(key) {
+  return key.slice(key.indexOf('#') + 1);
+}
+
+// Plugin files referenced through ${CLAUDE_PLUGIN_ROOT} go to mcp/<name>/.
+// The plan leaves out unsafe names; this guards every other caller too.
+function mcpFilesDir(baseDir, name) {
+  if (!isSafeName(name)) throw new Error(`unsafe MCP server name: ${name}`);
+  return path.join(baseDir, MCP_FILES_DIR, name);
+}
+
+function readMcpServers(baseDir) {
+  const servers = readJsonFile(mcpConfigPath(baseDir)).mcpServers;
+  return servers && typeof servers === 'object' && !Array.isArray(servers) ? servers : {};
+}
+
+function mapStrings(value, fn) {
+  if (typeof value === 'string') return fn(value);
+  if (Array.isArray(value)) return value.map((v) => mapStrings(v, fn));
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) out[k] = mapStrings(v, fn);
+    return out;
+  }
+  return value;
+}
+
+// `.mcp.json` may wrap servers in "mcpServers" or list them directly.
+function serversOf(json) {
+  const servers = json && typeof json === 'object' && json.mcpServers ? json.mcpServers : json;
+  if (!servers || typeof servers !== 'object' || Array.isArray(servers)) throw new Error('expected an object of MCP servers');
+  return servers;
+}
+
+// Rewrite ${CLAUDE_PLUGIN_ROOT} to `pluginRoot` and fill in the transport
+// type Factory expects. Env placeholders are left for resolveMcpEnv.
+// Returns { server, scripts, env }: scripts are plugin files to copy, env the
+// placeholders ({ name, fallback }) the definition still needs.
+function convertMcpServer(def, { pluginRoot }) {
+  if (!def || typeof def !== 'object' || Array.isArray(def)) throw new Error('server definition must be an object');
+  if (!def.command && !def.url) throw new Error('server needs a "command" or a "url"');
+  const scripts = new Set();
+  const server = mapStrings({ type: def.command ? 'stdio' : 'http', ...def }, (s) => {
+    for (const rel of referencedScripts(s)) scripts.add(rel);
+    return replacePluginRoot(s, pluginRoot);
+  });
+  const env = new Map();
+  mapStrings(server, (s) => {
+    for (const m of s.matchAll(PLACEHOLDER_RE)) if (!env.has(m[1])) env.set(m[1], m[2]);
+    return s;
+  });
+  return { server, scripts: Array.from(scripts).sort(), env: Array.from(env, ([name, fallback]) => ({ name, fallback })) };
+}
+
+// Substitute env placeholders from `values`, then the placeholder's default.
+// Returns { server, missing, filled }: the names nothing could fill in, and
+// the ones filled from `values` (the environment or a prompt, so possibly
+// secrets; defaults come from the plugin and are not counted).
+function resolveMcpEnv(server, values) {
+  const missing = new Set();
+  const filled = new Set();
+  const resolved = mapStrings(server, (s) => s.replace(PLACEHOLDER_RE, (whole, name, fallback) => {
+    if (values[name] !== undefined && values[name] !== '') { filled.add(name); return values[name]; }
+    if (fallback !== undefined) return fallback;
+    missing.add(name);
+    return whole;
+  }));
+  return { server: resolved, missing: Array.from(missing), filled: Array.from(filled) };
+}
+
+// The `filled` env names that end up in a project's mcp.json, which is
+// committed along with .factory/. The personal scope keeps them on this machine.
+function projectSecrets(baseDir, filled) {
+  return path.resolve(baseDir) === path.join(os.homedir(), '.factory') ? [] : filled;
+}
+
+function hashServer(server) {
+  return hashContent(JSON.stringify(server));
+}
+
+function installedServerHash(baseDir, name) {
+  const servers = readMcpServers(baseDir);
+  return servers[name] === undefined ? null : hashServer(servers[name]);
+}
+
+function setMcpServer(baseDir, name, server) {
+  return editJsonFile(mcpConfigPath(baseDir), [{ keys: ['mcpServers', name], value: server }]);
+}
+
+function removeMcpServer(baseDir, name) {
+  const filesDir = mcpFilesDir(baseDir, name);
+  if (readMcpServers(baseDir)[name] !== undefined) editJsonFile(mcpConfigPath(baseDir), [{ keys: ['mcpServers', name], value: undefined }]);
+  fs.rmSync(filesDir, { recursive: true, force: true });
+  try { fs.rmdirSync(path.join(baseDir, MCP_FILES_DIR)); } catch { /* not empty or already gone */ }
+}
+
+module.exports = {
+  MCP_CONFIG_NAME,
+  mcpConfigPath,
+  mcpDest,
+  mcpNameFromKey,
+  mcpFilesDir,
+  readMcpServers,
+  serversOf,
+  convertMcpServer,
+  resolveMcpEnv,
+  projectSecrets,
+  hashServer,
+  installedServerHash,
+  setMcpServer,
+  removeMcpServer,
+};
@@ -0,0 +1,173 @@
+"use strict";
+
+// Three-way merge for installed droids/commands.
+// base   = what droid-factory last installed (snapshot)
+// local  = the file on disk, possibly edited by the user
+// remote = the freshly converted upstream content
+// Frontmatter merges per top-level key; the body merges line by line.
+
+const MARK_LOCAL = '<<<<<<< local';
+const MARK_SEP = '=======';
+const MARK_REMOTE = '>>>>>>> upstream';
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = String(text).split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+// For each index in `a`, the index of the matching line in `b` (or -1),
+// following a longest common subsequence.
+function lcsMatch(a, b) {
+  const n = a.length;
+  const m = b.length;
+  const width = m + 1;
+  const table = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i * width + j] = a[i] === b[j]
+        ? table[(i + 1) * width + j + 1] + 1
+        : Math.max(table[(i + 1) * width + j], table[i * width + j + 1]);
+    }
+  }
+  const match = new Array(n).fill(-1);
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) { match[i] = j; i++; j++; }
+    else if (table[(i + 1) * width + j] >= table[i * width + j + 1]) i++;
+    else j++;
+  }
+  return match;
+}
+
+function sameLines(x, y) {
+  if (x.length !== y.length) return false;
+  for (let i = 0; i < x.length; i++) if (x[i] !== y[i]) return false;
+  return true;
+}
+
+// Classic diff3 over lines: walk the base lines that are unchanged on both
+// sides and resolve each unstable chunk in between.
+function mergeLines(base, local, remote) {
+  const toLocal = lcsMatch(base, local);
+  const toRemote = lcsMatch(base, remote);
+  const clean = [];
+  const marked = [];
+  let conflicts = 0;
+  let ib = 0;
+  let il = 0;
+  let ir = 0;
+  for (;;) {
+    let i = ib;
+    while (i < base.length && (toLocal[i] === -1 || toRemote[i] === -1)) i++;
+    const lEnd = i < base.length ? toLocal[i] : local.length;
+    const rEnd = i < base.length ? toRemote[i] : remote.length;
+    const b = base.slice(ib, i);
+    const l = local.slice(il, lEnd);
+    const r = remote.slice(ir, rEnd);
+    if (sameLines(l, b) || sameLines(l, r)) { clean.push(...r); marked.push(...r); }
+    else if (sameLines(r, b)) { clean.push(...l); marked.push(...l); }
+    else {
+      conflicts++;
+      clean.push(...l);
+      marked.push(MARK_LOCAL, ...l, MARK_SEP, ...r, MARK_REMOTE);
+    }
+    if (i >= base.length) break;
+    clean.push(base[i]);
+    marked.push(base[i]);
+    ib = i + 1;
+    il = lEnd + 1;
+    ir = rEnd + 1;
+  }
+  return { clean, marked, conflicts };
+}
+
+function splitFrontmatter(text) {
+  const m = /^---\r?\n([\s\S]*?)\r?\n---[ \t]*(?:\r?\n|$)/.exec(String(text || ''));
+  if (!m) return { frontmatter: null, body: String(text || '') };
+  return { frontmatter: m[1], body: String(text).slice(m[0].length) };
+}
+
+// Group frontmatter lines into top-level key blocks; continuation lines
+// (indented values, list items, comments) stay with the preceding key.
+function frontmatterBlocks(fm) {
+  const blocks = new Map();
+  let current = null;
+  for (const line of splitLines(fm)) {
+    const km = /^([A-Za-z0-9_][A-Za-z0-9_.-]*)\s*:/.exec(line);
+    if (km) {
+      current = km[1];
+      blocks.set(current, [line]);
+    } else if (current) {
+      blocks.get(current).push(line);
+    } else {
+      blocks.set(`\0${blocks.size}`, [line]);
+    }
+  }
+  const out = new Map();
+  for (const [k, v] of blocks) out.set(k, v.join('\n'));
+  return out;
+}
+
+function mergeFrontmatter(base, local, remote) {
+  const b = frontmatterBlocks(base);
+  const l = frontmatterBlocks(local);
+  const r = frontmatterBlocks(remote);
+  const order = [...l.keys()];
+  for (const k of r.keys()) if (!l.has(k)) order.push(k);
+  const clean = [];
+  const marked = [];
+  const conflictKeys = [];
+  for (const key of order) {
+    const bv = b.get(key);
+    const lv = l.get(key);
+    const rv = r.get(key);
+    let value;
+    if (lv === rv || lv === bv) value = rv;
+    else if (rv === bv) value = lv;
+    else {
+      conflictKeys.push(key);
+      if (lv !== undefined) clean.push(lv);
+      marked.push(MARK_LOCAL, ...(lv !== undefined ? [lv] : []), MARK_SEP, ...(rv !== undefined ? [rv] : []), MARK_REMOTE);
+      continue;
+    }
+    if (value !== undefined) { clean.push(value); marked.push(value); }
+  }
+  return { clean: clean.join('\n'), marked: marked.join('\n'), conflictKeys };
+}
+
+// Returns { text, marked, conflicts } where `text` resolves every conflict in
+// favour of the local edit (safe to install) and `marked` carries git-style
+// conflict markers for the user to review. Line endings do not count as
+// edits; the result keeps CRLF when the local file uses it.
+function mergeMarkdown(baseText, localText, remoteText) {
+  const lf = (text) => String(text || '').replace(/\r\n/g, '\n');
+  const base = splitFrontmatter(lf(baseText));
+  const local = splitFrontmatter(lf(localText));
+  const remote = splitFrontmatter(lf(remoteText));
+  const conflicts = [];
+
+  let fmClean = null;
+  let fmMarked = null;
+  if (local.frontmatter !== null || remote.frontmatter !== null) {
+    const fm = mergeFrontmatter(base.frontmatter || '', local.frontmatter || '', remote.frontmatter || '');
+    fmClean = fm.clean;
+    fmMarked = fm.marked;
+    for (const key of fm.conflictKeys) conflicts.push(`frontmatter key '${key}'`);
+  }
+
+  const body = mergeLines(splitLines(base.body), splitLines(local.body), splitLines(remote.body));
+  if (body.conflicts) conflicts.push(`${body.conflicts} body ${body.conflicts === 1 ? 'hunk' : 'hunks'}`);
+
+  const eol = /\r\n/.test(localText || '') ? '\r\n' : '\n';
+  const assemble = (fm, lines) => {
+    const bodyText = lines.length ? lines.join('\n') + '\n' : '';
+    const text = fm === null ? bodyText : `---\n${fm}\n---\n${bodyText}`;
+    return eol === '\n' ? text : text.replace(/\n/g, eol);
+  };
+  return { text: assemble(fmClean, body.clean), marked: assemble(fmMarked, body.marked), conflicts };
+}
+
+module.exports = { mergeMarkdown, mergeLines, splitFrontmatter, splitLines, lcsMatch };
@@ -0,0 +1,47 @@
+"use strict";
+
+// What a converted droid's `model:` becomes:
+//   map       translate Claude aliases through the model map (default)
+//   preserve  copy the agent's model as written
+//   inherit   always `inherit` (use the session's model)
+const MODEL_POLICIES = ['map', 'preserve', 'inherit'];
+
+// Claude Code model alias → Factory model id.
+const DEFAULT_MODEL_MAP = {
+  sonnet: 'claude-sonnet-4-5-20250929',
+  opus: 'claude-opus-4-1-20250805',
+  opusplan: 'claude-opus-4-1-20250805',
+  haiku: 'claude-haiku-4-5-20251001',
+};
+
+// Overrides (droid-factory.json "models") win over the defaults.
+function buildModelMap(overrides) {
+  return { ...DEFAULT_MODEL_MAP, ...(overrides || {}) };
+}
+
+// Returns { model, note }; note is set when the agent's choice is not kept.
+// Under 'map', full model ids (anything with a version number) pass through
+// and aliases without a mapping fall back to inherit.
+function mapModel(model, { policy = 'map', modelMap = DEFAULT_MODEL_MAP } = {}) {
+  const src = model === undefined || model === null ? '' : String(model).trim();
+  if (!src || src === 'inherit') return { model: 'inherit', note: null };
+  if (policy === 'preserve') return { model: src, note: null };
+  if (policy === 'inherit') return { model: 'inherit', note: `model ${src} replaced by inherit (model policy inherit)` };
+  if (Object.prototype.hasOwnProperty.call(modelMap, src)) {
+    const mapped = modelMap[src];
+    return mapped ? { model: mapped, note: null } : { model: 'inherit', note: `model ${src} replaced by inherit (mapped to null)` };
+  }
+  if (/\d/.test(src)) return { model: src, note: null };
+  return { model: 'inherit', note: `model ${src} replaced by inherit (no mapping for it)` };
+}
+
+// A Factory model id back to its Claude alias (the first one mapping to it),
+// for export. Other ids are returned unchanged.
+function unmapModel(model) {
+  const id = model === undefined || model === null ? '' : String(model).trim();
+  if (!id) return null;
+  const alias = Object.keys(DEFAULT_MODEL_MAP).find((key) => DEFAULT_MODEL_MAP[key] === id);
+  return alias || id;
+}
+
+module.exports = { MODEL_POLICIES, DEFAULT_MODEL_MAP, buildModelMap, mapModel, unmapModel };
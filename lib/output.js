@@ -1,94 +1,548 @@
 "use strict";
 
+const path = require('path');
+
 function dim(str) { return `\x1b[2m${str}\x1b[0m`; }
 function green(str) { return `\x1b[32m${str}\x1b[0m`; }
 function cyan(str) { return `\x1b[36m${str}\x1b[0m`; }
 function bold(str) { return `\x1b[1m${str}\x1b[0m`; }
+function red(str) { return `\x1b[31m${str}\x1b[0m`; }
+function yellow(str) { return `\x1b[33m${str}\x1b[0m`; }
 
 const symbols = { CHECK: '*', ARROW: '>' };
 
+// With --json, human-readable output is suppressed and the caller emits one
+// JSON document on stdout instead.
+let jsonMode = false;
+
+function setJsonMode(enabled) { jsonMode = !!enabled; }
+
+function isJsonMode() { return jsonMode; }
+
+function log(...args) { if (!jsonMode) console.log(...args); }
+
+function error(message) {
+  if (jsonMode) emitJson({ version: JSON_VERSION, ok: false, error: message.replace(/^Error:\s*/, '') });
+  else console.error(message);
+}
+
+// Bump when a field is renamed or removed; adding fields is compatible.
+const JSON_VERSION = 1;
+
+function emitJson(doc) {
+  process.stdout.write(JSON.stringify({ version: JSON_VERSION, ...doc }, null, 2) + '\n');
+}
+
+// What an install would do with an item, before anything is written.
+function plannedAction(item, force) {
+  if (!item.exists) return 'create';
+  if (force) return 'overwrite';
+  const status = item.state?.status;
+  if (status === 'update' || status === 'merge' || status === 'conflict') return status;
+  return 'skip';
+}
+
+// One entry per planned component; `result`/`error` are filled in once the
+// install has run (null on dry runs).
+function installReport({ source, baseDir, kinds, force, dryRun, summary, unresolved, sources, collisions }) {
+  const items = [];
+  for (const [kind, list, results] of kinds) {
+    for (const item of list) {
+      const r = results ? results.get(item) : null;
+      items.push({
+        kind,
+        name: item.name,
+        plugin: item.plugin || null,
+        namespace: item.namespace || null,
+        renamedFrom: item.renamedFrom || null,
+        src: item.src,
+        dest: item.dest,
+        exists: !!item.exists,
+        action: plannedAction(item, force),
+        result: r ? r.result : null,
+        error: r && r.error ? r.error : item.renderError || null,
+        sidecar: item.sidecar || null,
+        notes: item.notes || [],
+        ...(item.secrets?.length && { secrets: item.secrets }),
+        ...(item.diff && { diff: item.diff }),
+      });
+    }
+  }
+  const report = { source, baseDir, dryRun: !!dryRun, items };
+  if (summary) report.summary = summary;
+  if (unresolved) report.unresolved = unresolved;
+  if (sources) report.sources = sources;
+  if (collisions) {
+    report.collisions = collisions.map((c) => ({
+      kind: c.kind,
+      name: c.name,
+      reason: c.reason,
+      keptBy: c.keep ? c.keep.plugin : null,
+      plugins: c.items.map((item) => item.plugin),
+      results: (c.results || []).map((r) => ({ plugin: r.item.plugin, resolution: r.resolution, name: r.name || null })),
+    }));
+  }
+  return report;
+}
+
 function plural(n, one, many) { return n === 1 ? one : (many || one + 's'); }
 
 function termWidth() { return (process.stdout && process.stdout.columns) ? process.stdout.columns : 80; }
 function truncate(str, max) { if (!str) return ''; if (str.length <= max) return str; return str.slice(0, Math.max(0, max - 1)) + '…'; }
 
+function stateNote(item) {
+  if (item.renderError) return ` (failed: ${item.renderError})`;
+  switch (item.state?.status) {
+    case 'update': return ' (update)';
+    case 'unchanged': return ' (unchanged)';
+    case 'merge': return ' (merge with local edits)';
+    case 'conflict': return ` (conflict: ${item.state.merge.conflicts.join(', ')}; local edits kept)`;
+    case 'modified': return ' (modified locally, will skip unless --force)';
+    default: return '';
+  }
+}
+
 function printPlan(plan, args, destCommands, destDroids) {
-  console.log('Install plan:');
+  log('Install plan:');
   if (!args.noCommands) {
-    console.log('  Commands:');
-    if (!plan.commands.length) console.log('    (none)');
-    else for (const item of plan.commands) console.log(`    - ${item.name}${item.exists ? ' (exists)' : ''}`);
+    log('  Commands:');
+    if (!plan.commands.length) log('    (none)');
+    else for (const item of plan.commands) log(`    - ${item.name}${item.state || item.renderError ? stateNote(item) : (item.exists ? ' (exists)' : '')}`);
   }
   if (!args.noDroids) {
-    console.log('  Droids:');
-    if (!plan.droids.length) console.log('    (none)');
-    else for (const item of plan.droids) console.log(`    - ${item.name}${item.exists ? ' (exists)' : ''}`);
+    log('  Droids:');
+    if (!plan.droids.length) log('    (none)');
+    else for (const item of plan.droids) log(`    - ${item.name}${item.state || item.renderError ? stateNote(item) : (item.exists ? ' (exists)' : '')}`);
   }
-  console.log('\nInstalling to:');
-  if (!args.noCommands) console.log(`  ${destCommands}`);
-  if (!args.noDroids) console.log(`  ${destDroids}`);
+  log('\nInstalling to:');
+  if (!args.noCommands) log(`  ${destCommands}`);
+  if (!args.noDroids) log(`  ${destDroids}`);
   const existsCount = plan.commands.filter((c) => c.exists).length + plan.droids.filter((d) => d.exists).length;
   const newCount = plan.commands.length + plan.droids.length - existsCount;
-  console.log(`\nSummary: ${newCount} new, ${existsCount} existing${existsCount && !args.force ? ' (will skip unless --force)' : ''}`);
+  log(`\nSummary: ${newCount} new, ${existsCount} existing${existsCount && !args.force ? ' (will skip unless --force)' : ''}`);
 }
 
-function printSummary({ guided, args, basePath, created, overwritten, skipped, customDroidsEnabled, plan }) {
+function completedLine({ created, overwritten, unchanged, skipped, failed }) {
+  const parts = [`${created} created`, `${overwritten} overwritten`];
+  if (unchanged) parts.push(`${unchanged} unchanged`);
+  parts.push(`${skipped} skipped`);
+  if (failed) parts.push(`${failed} failed`);
+  return `Completed — ${parts.join(', ')}.`;
+}
+
+function printSummary({ guided, args, basePath, created, overwritten, unchanged = 0, skipped, failed = 0, customDroidsEnabled, droidsInstalled, plan }) {
   const { CHECK, ARROW } = symbols;
+  const line = completedLine({ created, overwritten, unchanged, skipped, failed });
+  const done = failed ? `${ARROW} ${line}` : `${green(CHECK)} ${line}`;
   if (guided) {
     const allSelected = (args.commands === 'all' && args.droids === 'all');
     if (allSelected) {
-      console.log(`${green(CHECK)} ${bold('Step 3/4 — Select commands to install')} ${dim('·')} ${cyan('(skipped)')}`);
-      console.log(`${green(CHECK)} ${bold('Step 4/4 — Select droids to install')} ${dim('·')} ${cyan('(skipped)')}`);
+      log(`${green(CHECK)} ${bold('Step 3/4 — Select commands to install')} ${dim('·')} ${cyan('(skipped)')}`);
+      log(`${green(CHECK)} ${bold('Step 4/4 — Select droids to install')} ${dim('·')} ${cyan('(skipped)')}`);
     } else {
-      if (args.noCommands) console.log(`${green(CHECK)} ${bold('Step 3/4 — Select commands to install')} ${dim('·')} ${cyan('(skipped)')}`);
-      if (args.noDroids) console.log(`${green(CHECK)} ${bold('Step 4/4 — Select droids to install')} ${dim('·')} ${cyan('(skipped)')}`);
+      if (args.noCommands) log(`${green(CHECK)} ${bold('Step 3/4 — Select commands to install')} ${dim('·')} ${cyan('(skipped)')}`);
+      if (args.noDroids) log(`${green(CHECK)} ${bold('Step 4/4 — Select droids to install')} ${dim('·')} ${cyan('(skipped)')}`);
     }
-    console.log(`${ARROW} Installing to: ${cyan(basePath)}`);
+    log(`${ARROW} Installing to: ${cyan(basePath)}`);
     if (customDroidsEnabled) {
-      console.log(`${green(CHECK)} Custom droids are enabled in your settings.`);
+      log(`${green(CHECK)} Custom droids are enabled in your settings.`);
     } else {
-      console.log(`${ARROW} Custom droids need to be enabled in settings.`);
-      console.log(`${ARROW} Open /settings → Experimental → Custom Droids, or set enableCustomDroids: true in ~/.factory/settings.json`);
+      log(`${ARROW} Custom droids need to be enabled in settings.`);
+      log(`${ARROW} Open /settings → Experimental → Custom Droids, or rerun with --enable-custom-droids`);
     }
-    console.log(`${green(CHECK)} Completed — ${created} created, ${overwritten} overwritten, ${skipped} skipped.`);
-    if (!customDroidsEnabled) console.log(`${ARROW} Next: Enable Custom Droids as described above.`);
-    console.log(`${ARROW} Next: Restart Droid (Ctrl+C then relaunch) or run /commands and press R to reload.`);
+    log(done);
+    if (!customDroidsEnabled) log(`${ARROW} Next: Enable Custom Droids as described above.`);
+    log(`${ARROW} Next: Restart Droid (Ctrl+C then relaunch) or run /commands and press R to reload.`);
   } else {
-    console.log(`${green(CHECK)} Completed — ${created} created, ${overwritten} overwritten, ${skipped} skipped.`);
-    console.log(`${ARROW} Next: Restart Droid (Ctrl+C then relaunch) or run /commands and press R to reload.`);
+    log(done);
+    if (droidsInstalled && !customDroidsEnabled) log(`${ARROW} Next: Enable Custom Droids (/settings → Experimental, or rerun with --enable-custom-droids).`);
+    log(`${ARROW} Next: Restart Droid (Ctrl+C then relaunch) or run /commands and press R to reload.`);
   }
 }
 
 function printMarketplacePlan(plan, args, destCommands, destDroids, destHooks, destSkills) {
-  console.log('Install plan (marketplace):');
-  console.log('  Commands:');
-  if (!plan.commands.length) console.log('    (none)');
-  else for (const item of plan.commands) console.log(`    - ${item.name} [${item.plugin}]${args.verbose ? ` ← ${item.srcType}` : ''}`);
-  console.log('  Droids:');
-  if (!plan.droids.length) console.log('    (none)');
-  else for (const item of plan.droids) console.log(`    - ${item.name} [${item.plugin}]${args.verbose ? ` ← ${item.srcType}` : ''}`);
-  console.log('  Hooks:');
-  if (!plan.hooks.length) console.log('    (none)');
-  else for (const item of plan.hooks) console.log(`    - ${item.name} [${item.plugin}]${args.verbose ? ` ← ${item.srcType}` : ''}`);
-  console.log('  Skills:');
-  if (!plan.skills.length) console.log('    (none)');
-  else for (const item of plan.skills) console.log(`    - ${item.name} [${item.plugin}]${args.verbose ? ` ← ${item.srcType}` : ''}`);
+  log('Install plan (marketplace):');
+  if (plan.sources?.length) {
+    log('  Sources:');
+    for (const src of plan.sources) {
+      const pin = src.commit ? (src.commit === src.ref ? src.commit : `${src.commit} (${src.ref})`) : `${src.ref} (not pinned)`;
+      log(`    - ${src.repo}@${pin}${args.verbose ? ` [${src.plugins.join(', ')}]` : ''}`);
+    }
+  }
+  log('  Commands:');
+  if (!plan.commands.length) log('    (none)');
+  else for (const item of plan.commands) logFileItem(item, args);
+  log('  Droids:');
+  if (!plan.droids.length) log('    (none)');
+  else for (const item of plan.droids) logFileItem(item, args);
+  log('  Hooks:');
+  if (!plan.hooks.length) log('    (none)');
+  else for (const item of plan.hooks) log(`    - ${item.name} [${item.plugin}]${args.verbose ? ` ← ${item.srcType}` : ''}`);
+  log('  Skills:');
+  if (!plan.skills.length) log('    (none)');
+  else for (const item of plan.skills) log(`    - ${item.name} [${item.plugin}]${args.verbose ? ` ← ${item.srcType}` : ''}`);
+  if (plan.mcp?.length) {
+    log('  MCP servers:');
+    for (const item of plan.mcp) log(`    - ${item.name} [${item.plugin}]${args.verbose ? ` ← ${item.srcType}` : ''}${mcpNote(item)}`);
+  }
   if (plan.unresolved?.length) {
-    console.log('  Unresolved plugins:');
-    for (const u of plan.unresolved) console.log(`    - ${u.plugin}${u.reason ? ` (${u.reason})` : ''}`);
+    log('  Unresolved plugins:');
+    for (const u of plan.unresolved) log(`    - ${u.plugin}${u.reason ? ` (${u.reason})` : ''}`);
+  }
+  log('\nInstalling to:');
+  if (plan.commands.length) log(`  ${destCommands}`);
+  if (plan.droids.length) log(`  ${destDroids}`);
+  if (plan.hooks.length) log(`  ${destHooks}`);
+  if (plan.skills.length) log(`  ${destSkills}`);
+  if (plan.mcp?.length) log(`  ${plan.mcp[0].dest.slice(0, plan.mcp[0].dest.lastIndexOf('#'))}`);
+}
+
+function logFileItem(item, args) {
+  log(`    - ${item.name} [${namespaced(item)}]${args.verbose ? ` ← ${item.srcType}` : ''}${stateNote(item)}`);
+  for (const note of item.notes || []) log(`        note: ${note}`);
+}
+
+// plugin, or plugin:namespace for commands and agents from a subdirectory
+function namespaced(item) {
+  return item.namespace ? `${item.plugin}:${item.namespace}` : item.plugin;
+}
+
+function mcpNote(item) {
+  return item.exists ? ' (installed)' : '';
+}
+
+const KIND_LABELS = { commands: 'command', droids: 'droid', hooks: 'hooks', skills: 'skill', mcp: 'MCP server' };
+
+function collisionNote(c, r) {
+  const why = c.keep ? `${c.keep.plugin} keeps the name` : 'the name is taken by something droid-factory did not install here; --force overwrites';
+  return r.resolution === 'prefix' ? `installed as ${r.name} (${why})` : `skipped (${why})`;
+}
+
+function printCollisions(collisions) {
+  if (!collisions || !collisions.length) return;
+  log('\nName collisions:');
+  for (const c of collisions) {
+    const label = KIND_LABELS[c.kind] || c.kind;
+    if (c.reason === 'kinds') {
+      log(`  - ${c.name}: a command and a droid share this name [${c.keep.plugin}, ${c.items[0].plugin}]; both are installed`);
+      continue;
+    }
+    for (const r of c.results || []) log(`  - ${label} ${r.item.renamedFrom || c.name} [${r.item.plugin}]: ${collisionNote(c, r)}`);
+  }
+  if (collisions.some((c) => c.reason !== 'kinds' && c.results?.some((r) => r.resolution === 'skip'))) {
+    log('  Use --on-collision prefix to install skipped components under <plugin>__<name>.');
+  }
+}
+
+function printMergeWarnings(items) {
+  const conflicted = items.filter((it) => it.state?.status === 'conflict');
+  if (!conflicted.length) return;
+  log(`\nWarning: ${conflicted.length} ${plural(conflicted.length, 'file')} with local edits conflict with upstream changes:`);
+  for (const item of conflicted) log(`  - ${item.dest} (${item.state.merge.conflicts.join(', ')})`);
+  log('  Local edits will be kept; the marked-up merge is written to .factory/.conflicts/.');
+}
+
+// MCP servers whose env values were written into a project's mcp.json
+// (`secrets`, see mcp.projectSecrets).
+function printSecretWarnings(items) {
+  const exposed = items.filter((it) => it.secrets?.length);
+  if (!exposed.length) return;
+  log(`\nWarning: environment values were written into the project's mcp.json for ${exposed.length} MCP ${plural(exposed.length, 'server')}:`);
+  for (const item of exposed) log(`  - ${item.name}: ${item.secrets.join(', ')}`);
+  log('  Keep .factory/mcp.json out of version control if these are secrets, or install the servers with --scope personal.');
+}
+
+// Tools and models that did not survive conversion (the verbose plan lists
+// them per item).
+function printConversionNotes(items) {
+  const noted = items.filter((it) => it.notes?.length);
+  if (!noted.length) return;
+  log(`\nNote: ${noted.length} ${plural(noted.length, 'component')} changed in conversion to Factory:`);
+  for (const item of noted) log(`  - ${item.name} [${namespaced(item)}]: ${item.notes.join('; ')}`);
+  log('  Map names under "tools" and "models" in droid-factory.json, or pass --model-policy, to change this.');
+}
+
+const DIFF_ACTIONS = {
+  create: 'new file',
+  overwrite: 'overwrite',
+  update: 'update',
+  merge: 'merge with local edits',
+  conflict: 'merge; conflicting local edits are kept',
+  skip: 'kept; --force would write this',
+};
+
+// --diff: per droid/command, the frontmatter conversion changed, then a
+// unified diff against the file on disk (the whole file for new ones).
+// Colour only when writing to a terminal, so the output can be saved as a patch.
+function printDiffs(items) {
+  const tty = !!process.stdout.isTTY;
+  const paint = (fn, str) => (tty ? fn(str) : str);
+  const previews = items.filter((it) => it.diff);
+  if (!previews.length) return;
+  log('');
+  for (const item of previews) {
+    const { action, conversion, changes, patch } = item.diff;
+    log(paint(bold, `${item.dest}${item.plugin ? ` [${namespaced(item)}]` : ''} (${patch.length ? DIFF_ACTIONS[action] || action : 'no changes'})`));
+    if (conversion.length) log(paint(yellow, `  conversion: ${conversion.join('; ')}`));
+    if (changes.length) log(paint(yellow, `  frontmatter: ${changes.join('; ')}`));
+    if (!patch.length) { log(''); continue; }
+    log(`--- ${item.exists ? `a${item.dest}` : '/dev/null'}`);
+    log(`+++ b${item.dest}`);
+    for (const line of patch) {
+      if (line.startsWith('@@')) log(paint(cyan, line));
+      else if (line.startsWith('-')) log(paint(red, line));
+      else if (line.startsWith('+')) log(paint(green, line));
+      else log(line);
+    }
+    log('');
   }
-  console.log('\nInstalling to:');
-  if (plan.commands.length) console.log(`  ${destCommands}`);
-  if (plan.droids.length) console.log(`  ${destDroids}`);
-  if (plan.hooks.length) console.log(`  ${destHooks}`);
-  if (plan.skills.length) console.log(`  ${destSkills}`);
+}
+
+function printMergeConflicts(items) {
+  const { ARROW } = symbols;
+  const sidecars = items.filter((it) => it.sidecar);
+  if (!sidecars.length) return;
+  log(`${ARROW} ${sidecars.length} ${plural(sidecars.length, 'file')} kept local edits over conflicting upstream changes. Review:`);
+  for (const item of sidecars) log(`    ${item.sidecar}`);
+}
+
+const RESULT_LABELS = { written: 'wrote  ', merged: 'merged ', unchanged: 'same   ', failed: 'failed ' };
+
+function resultLabel(result) { return RESULT_LABELS[result] || 'skip   '; }
+
+function printFailures(failures, { offline } = {}) {
+  if (!failures.length) return;
+  log(`\nFailed: ${failures.length} ${plural(failures.length, 'component')} could not be installed:`);
+  for (const f of failures) log(`  - ${f.plugin ? `${f.plugin}/` : ''}${f.name}: ${f.error}`);
+  if (offline) log('  Run once without --offline to populate the download cache.');
+}
+
+function printUninstallPlan(plan, args) {
+  log('Uninstall plan:');
+  if (!plan.items.length && !(plan.skipped || []).length) { log('  (nothing installed matches the selection)'); return; }
+  for (const item of plan.items) {
+    let note = '';
+    if (item.status === 'modified') note = args.force ? ' (modified locally, --force)' : ' (modified locally, will keep unless --force)';
+    else if (item.status === 'missing') note = ' (already removed)';
+    log(`  - ${item.key}${item.plugin ? ` [${item.plugin}]` : ''}${note}`);
+  }
+  for (const key of plan.skipped || []) log(`  - ${key} (skipped: lockfile key is outside .factory/)`);
+}
+
+function printUninstallSummary(results) {
+  const { CHECK, ARROW } = symbols;
+  const removed = results.filter((r) => r.result === 'removed').length;
+  const kept = results.filter((r) => r.result === 'kept');
+  const failed = results.filter((r) => r.result === 'failed');
+  log(`${green(CHECK)} Uninstalled — ${removed} removed, ${kept.length} kept${failed.length ? `, ${failed.length} failed` : ''}.`);
+  if (kept.length) {
+    log(`${ARROW} Kept ${kept.length} locally modified ${plural(kept.length, 'file')}; re-run with --force to remove:`);
+    for (const item of kept) log(`    ${item.dest}`);
+  }
+  if (failed.length) {
+    log(`${ARROW} Could not remove ${failed.length} ${plural(failed.length, 'component')}:`);
+    for (const item of failed) log(`    ${item.key}: ${item.error}`);
+  }
+}
+
+const EXPORT_LABELS = { droid: 'agents', command: 'commands', skill: 'skills', hook: 'hooks' };
+
+function printExportPlan(plan, args) {
+  log(`Export plan (${plan.name} → ${plan.outDir}):`);
+  if (!plan.items.length) log('  (no droids, commands, skills or hooks found)');
+  for (const plugin of plan.plugins) {
+    log(`  Plugin ${plugin}:`);
+    for (const item of plan.items.filter((it) => it.plugin === plugin)) {
+      log(`    - ${EXPORT_LABELS[item.kind]}/${item.name}${item.error ? ` (${item.error})` : ''}${args.verbose ? ` ← ${item.src}` : ''}`);
+      for (const note of item.notes || []) log(`        note: ${note}`);
+    }
+  }
+  if (plan.skipped.length) {
+    log('  Not exported:');
+    for (const s of plan.skipped) log(`    - ${s.src} (${s.reason})`);
+  }
+}
+
+function printExportSummary(plan) {
+  const { CHECK, ARROW } = symbols;
+  const written = plan.items.filter((it) => it.result === 'written').length;
+  const failed = plan.items.filter((it) => it.result === 'failed');
+  log(`${failed.length ? ARROW : green(CHECK)} Exported ${written} ${plural(written, 'component')}${failed.length ? `, ${failed.length} failed` : ''} to ${plan.outDir}.`);
+  for (const item of failed) log(`    ${item.src}: ${item.error}`);
+  if (written) log(`${ARROW} Next: claude plugin marketplace add ${plan.outDir}, or npx droid-factory --marketplace ${plan.outDir}`);
+}
+
+function lintCounts(findings) {
+  const errors = findings.filter((f) => f.severity === 'error').length;
+  return { errors, warnings: findings.length - errors };
+}
+
+// One `file:line: severity: message (rule)` line per finding, paths relative
+// to the working directory.
+function printLintReport(findings, { files }) {
+  const { CHECK, ARROW } = symbols;
+  for (const f of findings) log(`${path.relative(process.cwd(), f.file) || f.file}:${f.line}: ${f.severity}: ${f.message} ${dim(`(${f.rule})`)}`);
+  const { errors, warnings } = lintCounts(findings);
+  if (!findings.length) log(`${green(CHECK)} Linted ${files} ${plural(files, 'file')}: no problems.`);
+  else log(`\n${ARROW} Linted ${files} ${plural(files, 'file')}: ${errors} ${plural(errors, 'error')}, ${warnings} ${plural(warnings, 'warning')}.`);
+}
+
+function lintReport(findings, { baseDir, files }) {
+  return { baseDir, files, ...lintCounts(findings), findings };
+}
+
+const UPDATE_SECTIONS = [
+  ['added', 'Added upstream'],
+  ['changed', 'Changed upstream'],
+  ['merge', 'Changed upstream and locally (will merge)'],
+  ['conflict', 'Conflicting local edits (local side kept; see .factory/.conflicts/)'],
+  ['removed-upstream', 'Removed upstream (still installed; run uninstall to remove)'],
+  ['locally-modified', 'Locally modified (kept unless --force)'],
+  ['unowned', 'Not installed by droid-factory (kept unless --force)'],
+  ['failed', 'Failed to fetch'],
+];
+
+function printUpdateReport(report, args) {
+  log('Update plan:');
+  for (const [status, title] of UPDATE_SECTIONS) {
+    const items = report.items.filter((e) => e.status === status);
+    if (!items.length) continue;
+    log(`  ${title}:`);
+    for (const e of items) {
+      let note = '';
+      if (status === 'locally-modified') note = e.upstreamChanged ? ' (upstream changed too)' : '';
+      else if (status === 'conflict') note = ` (${e.merge.conflicts.join(', ')})`;
+      else if (status === 'failed') note = ` (${e.error})`;
+      log(`    - ${e.key} [${e.item.plugin}]${note}`);
+    }
+  }
+  const unchanged = report.items.filter((e) => e.status === 'unchanged').length;
+  if (unchanged) log(`  Unchanged: ${unchanged} ${plural(unchanged, 'component')}`);
+  if (args.verbose) for (const e of report.items.filter((x) => x.status === 'unchanged')) log(`    - ${e.key} [${e.item.plugin}]`);
+  if (report.unresolved?.length) {
+    log('  Unresolved plugins:');
+    for (const u of report.unresolved) log(`    - ${u.plugin}${u.reason ? ` (${u.reason})` : ''}`);
+  }
+}
+
+function printUpdateSummary(report) {
+  const { CHECK, ARROW } = symbols;
+  const written = report.items.filter((e) => e.result === 'written' || e.result === 'merged');
+  const added = written.filter((e) => e.status === 'added').length;
+  const merged = written.filter((e) => e.result === 'merged').length;
+  const changed = written.length - added - merged;
+  const kept = report.items.filter((e) => e.result === 'skipped-existing' && (e.status === 'locally-modified' || e.status === 'unowned')).length;
+  log(`${green(CHECK)} Updated — ${added} added, ${changed} updated, ${merged} merged, ${kept} kept.`);
+  printMergeConflicts(report.items);
+  printSecretWarnings(report.items.map((e) => ({ name: e.item.name, secrets: e.secrets })));
+  const failed = report.items.filter((e) => e.result === 'failed' && e.status !== 'failed');
+  printFailures(failed.map((e) => ({ name: e.item.name, plugin: e.item.plugin, error: e.error })));
+  if (written.length) log(`${ARROW} Next: Restart Droid (Ctrl+C then relaunch) or run /commands and press R to reload.`);
+}
+
+function syncSections(args) {
+  return [
+    ['add', 'Add'],
+    ['update', 'Update'],
+    ['unowned', `Not installed by droid-factory (${args.force ? 'overwritten by --force' : 'kept unless --force'})`],
+    ['remove', args.prune ? 'Remove (--prune)' : 'No longer declared (kept; run sync --prune to remove)'],
+  ];
+}
+
+function printSyncPlan(report, args) {
+  log('Sync plan:');
+  for (const [action, title] of syncSections(args)) {
+    const items = report.actions.filter((a) => a.action === action);
+    if (!items.length) continue;
+    log(`  ${title}:`);
+    for (const a of items) {
+      let note = '';
+      if (a.status === 'modified') note = args.force ? ' (modified locally, --force)' : ' (modified locally, will keep unless --force)';
+      else if (a.status === 'missing') note = ' (already removed)';
+      log(`    - ${a.key}${a.plugin ? ` [${a.plugin}]` : ''}${note}`);
+    }
+  }
+  const unchanged = report.actions.filter((a) => a.action === 'unchanged');
+  if (unchanged.length) log(`  Unchanged: ${unchanged.length} ${plural(unchanged.length, 'component')}`);
+  if (args.verbose) for (const a of unchanged) log(`    - ${a.key}${a.plugin ? ` [${a.plugin}]` : ''}`);
+  printCollisions(report.collisions);
+}
+
+function uninstallReport(plan, results, { baseDir, dryRun }) {
+  const byKey = new Map((results || []).map((r) => [r.key, r]));
+  return {
+    baseDir,
+    dryRun: !!dryRun,
+    items: plan.items.map((it) => ({ kind: it.kind, name: it.name, plugin: it.plugin || null, key: it.key, dest: it.dest, status: it.status, result: byKey.get(it.key)?.result || null, error: byKey.get(it.key)?.error || null })),
+    skipped: plan.skipped || [],
+  };
+}
+
+function exportReport(plan, { baseDir, dryRun }) {
+  return {
+    baseDir,
+    dryRun: !!dryRun,
+    outDir: plan.outDir,
+    marketplace: plan.name,
+    plugins: plan.plugins,
+    items: plan.items.map((it) => ({ kind: it.kind, name: it.name, plugin: it.plugin, src: it.src, dest: it.dest, notes: it.notes || [], result: it.result || null, error: it.error || null })),
+    skipped: plan.skipped,
+  };
+}
+
+function updateReport(report, { baseDir, dryRun }) {
+  return {
+    baseDir,
+    dryRun: !!dryRun,
+    items: report.items.map((e) => ({
+      kind: e.kind,
+      name: e.item.name,
+      plugin: e.item.plugin || null,
+      key: e.key,
+      src: e.item.src || null,
+      dest: e.item.dest,
+      status: e.status,
+      result: e.result || null,
+      error: e.error || null,
+      sidecar: e.sidecar || null,
+      ...(e.secrets?.length && { secrets: e.secrets }),
+    })),
+    unresolved: report.unresolved || [],
+  };
 }
 
 module.exports = {
   colors: { dim, green, cyan, bold },
   symbols,
   helpers: { plural, termWidth, truncate },
+  setJsonMode,
+  isJsonMode,
+  log,
+  error,
+  emitJson,
+  installReport,
+  plannedAction,
+  uninstallReport,
+  updateReport,
   printPlan,
   printSummary,
+  printFailures,
+  resultLabel,
   printMarketplacePlan,
+  printCollisions,
+  printMergeWarnings,
+  printSecretWarnings,
+  printConversionNotes,
+  printMergeConflicts,
+  printDiffs,
+  printUninstallPlan,
+  printExportPlan,
+  printExportSummary,
+  exportReport,
+  printLintReport,
+  lintReport,
+  printUninstallSummary,
+  printUpdateReport,
+  printUpdateSummary,
+  printSyncPlan,
 };
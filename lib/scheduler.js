@@ -0,0 +1,56 @@
+"use strict";
+
+// Download scheduling shared by every run: at most `concurrency` HTTP
+// requests in flight, each given up after `timeout` ms without data, and
+// failed ones retried up to `retries` times (see http.js for which failures
+// are retried and how long it waits).
+const DEFAULT_CONCURRENCY = 6;
+const DEFAULT_TIMEOUT = 30 * 1000;
+const settings = { concurrency: DEFAULT_CONCURRENCY, retries: 4, timeout: DEFAULT_TIMEOUT };
+
+function configureDownloads(opts = {}) {
+  if (opts.concurrency !== undefined) settings.concurrency = Math.max(1, Math.floor(Number(opts.concurrency)) || DEFAULT_CONCURRENCY);
+  if (opts.retries !== undefined) settings.retries = Math.max(0, Math.floor(Number(opts.retries)) || 0);
+  if (opts.timeout !== undefined) settings.timeout = Math.max(1, Math.floor(Number(opts.timeout)) || DEFAULT_TIMEOUT);
+}
+
+function downloadConcurrency() { return settings.concurrency; }
+
+function downloadRetries() { return settings.retries; }
+
+function downloadTimeout() { return settings.timeout; }
+
+// run(fn) calls fn once fewer than `limit()` earlier calls are still
+// running and settles with its result.
+function createLimiter(limit) {
+  let active = 0;
+  const queue = [];
+  const next = () => {
+    if (active >= limit() || !queue.length) return;
+    active++;
+    const { fn, resolve, reject } = queue.shift();
+    Promise.resolve().then(fn).then(resolve, reject).finally(() => { active--; next(); });
+  };
+  return (fn) => new Promise((resolve, reject) => { queue.push({ fn, resolve, reject }); next(); });
+}
+
+// fn(item, index) for every item, `concurrency` at a time (default: the
+// download concurrency). Resolves with the results in item order.
+async function mapLimit(items, fn, concurrency = settings.concurrency) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, concurrency), items.length) }, worker));
+  return results;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+module.exports = { DEFAULT_CONCURRENCY, configureDownloads, downloadConcurrency, downloadRetries, downloadTimeout, createLimiter, mapLimit, sleep };
@@ -0,0 +1,168 @@
+"use strict";
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jsonc = require('./jsonc');
+
+const SETTINGS_NAME = 'settings.json';
+const BACKUP_SUFFIX = '.bak';
+// Beside the base snapshots (see lockfile.js), out of the files a project commits
+const BACKUP_DIR = path.join('.droid-factory', 'backup');
+
+function personalDir() {
+  return path.join(os.homedir(), '.factory');
+}
+
+function settingsPath(baseDir) {
+  return path.join(baseDir, SETTINGS_NAME);
+}
+
+// .factory/settings.json → .factory/.droid-factory/backup/settings.json.bak
+function backupPath(file) {
+  return path.join(path.dirname(file), BACKUP_DIR, path.basename(file) + BACKUP_SUFFIX);
+}
+
+function readSettingsText(file) {
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+function parseSettings(text, file) {
+  if (text === null || !text.trim()) return {};
+  let data;
+  try {
+    data = jsonc.parse(text);
+  } catch (e) {
+    throw new Error(`${file} is not valid JSON: ${e.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error(`${file} must contain a JSON object`);
+  return data;
+}
+
+// Factory accepts // and /* */ comments in its JSON files.
+function readJsonFile(file) {
+  return parseSettings(readSettingsText(file), file);
+}
+
+function readSettings(baseDir) {
+  return readJsonFile(settingsPath(baseDir));
+}
+
+// The same edit on plain data, to check the text edit against.
+function applyChange(data, keys, value) {
+  const parentKeys = keys.slice(0, -1);
+  const key = keys[keys.length - 1];
+  let node = data;
+  for (let i = 0; i < parentKeys.length; i++) {
+    if (node[parentKeys[i]] === undefined) node[parentKeys[i]] = {};
+    node = node[parentKeys[i]];
+  }
+  if (value !== undefined) node[key] = value;
+  else if (Array.isArray(node)) node.splice(key, 1);
+  else delete node[key];
+}
+
+// Apply `changes` ([{ keys: [...], value }], value undefined = delete) to a
+// JSONC file, keeping comments and layout. The result must parse back to
+// exactly the intended data before it replaces the file, and the previous
+// version is kept as a .bak (see backupPath).
+function editJsonFile(file, changes) {
+  const original = readSettingsText(file);
+  const expected = parseSettings(original, file);
+  let text = original === null ? '' : original;
+  for (const { keys, value } of changes) {
+    text = jsonc.modify(text, keys, value);
+    applyChange(expected, keys, value);
+  }
+  if (original !== null && text === original) return { file, changed: false, backup: null };
+  if (JSON.stringify(parseSettings(text, file)) !== JSON.stringify(expected)) {
+    throw new Error(`Could not update ${file} safely; the file was left unchanged`);
+  }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  let backup = null;
+  if (original !== null) {
+    backup = backupPath(file);
+    fs.mkdirSync(path.dirname(backup), { recursive: true });
+    fs.writeFileSync(backup, original, 'utf8');
+  }
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, text.endsWith('\n') ? text : text + '\n', 'utf8');
+  fs.renameSync(tmp, file);
+  return { file, changed: true, backup };
+}
+
+function editSettings(baseDir, changes) {
+  return editJsonFile(settingsPath(baseDir), changes);
+}
+
+const sameGroup = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Swap the hook groups droid-factory added earlier (`previous`, as recorded in
+// the lockfile) for `next`. Groups are matched exactly, so entries the user
+// wrote or edited are never touched, and other groups keep their formatting.
+function updateSettingsHooks(baseDir, previous, next) {
+  const current = readSettings(baseDir).hooks;
+  const hooks = current && typeof current === 'object' && !Array.isArray(current) ? current : {};
+  const prev = previous || {};
+  const want = next || {};
+  const changes = [];
+  const counts = {};
+  for (const event of Object.keys(hooks)) counts[event] = Array.isArray(hooks[event]) ? hooks[event].length : 1;
+  for (const event of new Set([...Object.keys(prev), ...Object.keys(want)])) {
+    const groups = Array.isArray(hooks[event]) ? hooks[event] : [];
+    const edits = [];
+    let count = groups.length;
+    // Remove from the end so earlier indexes stay valid, then append.
+    for (let i = groups.length - 1; i >= 0; i--) {
+      const stale = (prev[event] || []).some((g) => sameGroup(groups[i], g));
+      const wanted = (want[event] || []).some((g) => sameGroup(groups[i], g));
+      if (stale && !wanted) { edits.push({ keys: ['hooks', event, i], value: undefined }); count--; }
+    }
+    for (const g of want[event] || []) {
+      if (groups.some((e) => sameGroup(e, g))) continue;
+      edits.push({ keys: ['hooks', event, count], value: g });
+      count++;
+    }
+    if (!edits.length) continue;
+    counts[event] = count;
+    if (!count) changes.push({ keys: ['hooks', event], value: undefined });
+    else if (!Array.isArray(hooks[event])) changes.push({ keys: ['hooks', event], value: edits.map((e) => e.value) });
+    else changes.push(...edits);
+  }
+  if (!changes.length) return null;
+  if (!Object.values(counts).some(Boolean)) return editSettings(baseDir, [{ keys: ['hooks'], value: undefined }]);
+  return editSettings(baseDir, changes);
+}
+
+// Custom droids are a personal setting.
+function readCustomDroidsSetting(baseDir = personalDir()) {
+  const file = settingsPath(baseDir);
+  try {
+    const text = readSettingsText(file);
+    if (text === null) return { enabled: false, missing: true, path: file };
+    return { enabled: parseSettings(text, file).enableCustomDroids === true, path: file };
+  } catch (err) {
+    return { enabled: false, error: err, path: file };
+  }
+}
+
+function enableCustomDroids(baseDir = personalDir()) {
+  return editSettings(baseDir, [{ keys: ['enableCustomDroids'], value: true }]);
+}
+
+module.exports = {
+  SETTINGS_NAME,
+  settingsPath,
+  readJsonFile,
+  editJsonFile,
+  readSettings,
+  editSettings,
+  updateSettingsHooks,
+  readCustomDroidsSetting,
+  enableCustomDroids,
+};
@@ -2,12 +2,15 @@
 
 const SPIN_FRAMES = ['/', '-', '\\', '|'];
 
+// `label` is a string, or a function called every frame for labels that
+// change, such as "Installing... 3/12".
 function start(label) {
   if (!process.stdout.isTTY) return null;
   let frame = 0;
   const timer = setInterval(() => {
     const glyph = SPIN_FRAMES[frame = (frame + 1) % SPIN_FRAMES.length];
-    process.stdout.write(`\r${glyph} ${label}`);
+    const text = typeof label === 'function' ? label() : label;
+    process.stdout.write(`\r${glyph} ${text}\x1b[K`);
   }, 80);
   return timer;
 }
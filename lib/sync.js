@@ -0,0 +1,128 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const { loadMarketplace, discoverPlugins } = require('./marketplace');
+const { computeMarketplacePlan, filterMarketplacePlan, findCollisions, resolveCollisions } = require('./marketplace-planner');
+const { computePlan } = require('./planner');
+const { listBasenames } = require('./fs-utils');
+const { renderFile, foreignCheck } = require('./installer');
+const { hashContent, lockKey, lockMarketplace } = require('./lockfile');
+const { computeUninstallPlan } = require('./uninstall');
+const { installedServerHash } = require('./mcp');
+
+const TEMPLATES_DIR = path.join(__dirname, '..', 'templates');
+
+function kindDirs(baseDir) {
+  return {
+    destCommandsDir: path.join(baseDir, 'commands'),
+    destDroidsDir: path.join(baseDir, 'droids'),
+    destHooksDir: path.join(baseDir, 'hooks'),
+    destSkillsDir: path.join(baseDir, 'skills'),
+  };
+}
+
+function templatePlan(templates, baseDir) {
+  const pick = (selection, available) => (selection === 'all' ? available : selection.filter((n) => available.includes(n)));
+  const commandsDir = path.join(TEMPLATES_DIR, 'commands');
+  const droidsDir = path.join(TEMPLATES_DIR, 'droids');
+  const dirs = kindDirs(baseDir);
+  return computePlan({
+    selectedCommands: pick(templates.commands, listBasenames(commandsDir)),
+    selectedDroids: pick(templates.droids, listBasenames(droidsDir)),
+    templateCommandsDir: commandsDir,
+    templateDroidsDir: droidsDir,
+    destCommandsDir: dirs.destCommandsDir,
+    destDroidsDir: dirs.destDroidsDir,
+  });
+}
+
+// Compare one desired component with what is installed:
+//   add        nothing at the destination yet
+//   update     installed by droid-factory and the source output differs
+//   unchanged  installed and identical (skills, hooks and MCP servers are only checked for presence)
+//   unowned    a file droid-factory did not write sits at the destination
+async function classifyDesired(kind, item, { baseDir, lock, debug, template, conversion }) {
+  if (kind === 'mcp') {
+    if (installedServerHash(baseDir, item.name) === null) return 'add';
+    return lock.items[lockKey(baseDir, item.dest)] ? 'unchanged' : 'unowned';
+  }
+  if (!fs.existsSync(item.dest)) return 'add';
+  const entry = lock.items[lockKey(baseDir, item.dest)];
+  if (!entry) return 'unowned';
+  if (kind === 'skill' || kind === 'hook') return 'unchanged';
+  let content;
+  try {
+    content = template ? fs.readFileSync(item.src, 'utf8') : await renderFile(kind, item, { debug, ...conversion, modelPolicy: conversion.modelPolicy || entry.modelPolicy, frontmatter: conversion.frontmatter || entry.frontmatter });
+  } catch {
+    return 'unchanged'; // reported by the install step
+  }
+  return hashContent(content) === entry.hash ? 'unchanged' : 'update';
+}
+
+// Desired state = every declared marketplace plan (after include/exclude)
+// plus the declared templates. Lock entries outside it are stale and become
+// removals, except for plugins whose discovery failed this run: a partial scan
+// must not look like everything was removed upstream. A `partial` run (sync
+// --marketplace) only removes entries of the marketplaces it synced.
+async function planSync({ baseDir, lock, marketplaces, templates, partial = false, conversion, debug }) {
+  const sources = [];
+  const desired = new Set();
+  const actions = [];
+  const collisions = [];
+  const unsure = [];
+
+  for (const entry of marketplaces) {
+    const loaded = await loadMarketplace(entry.marketplace, entry.ref, { debug });
+    const discovered = await discoverPlugins(loaded.json, loaded.context, { debug });
+    const plan = computeMarketplacePlan({ selectedPlugins: entry.plugins, discovered, ...kindDirs(baseDir), baseDir, flatten: entry.flatten });
+    filterMarketplacePlan(plan, entry.filters);
+    // Same resolution as the install; prompts are answered with 'skip' here.
+    const isForeign = foreignCheck({ baseDir, lock, force: entry.overwrite === 'force' });
+    const decide = () => (entry.onCollision === 'prefix' ? 'prefix' : 'skip');
+    resolveCollisions(plan, findCollisions(plan, { isForeign }), { decide, flatten: entry.flatten, isForeign });
+    collisions.push(...plan.collisions);
+    sources.push({ entry, loaded, discovered, plan });
+    for (const p of discovered) {
+      if ((p.errors || []).length) unsure.push({ marketplace: lockMarketplace(baseDir, entry.marketplace), plugin: p.name });
+    }
+    for (const [kind, list] of [['command', plan.commands], ['droid', plan.droids], ['hook', plan.hooks], ['skill', plan.skills], ['mcp', plan.mcp]]) {
+      for (const item of list) {
+        const key = lockKey(baseDir, item.dest);
+        if (desired.has(key)) continue; // first declaration wins, matching install order
+        desired.add(key);
+        actions.push({ action: await classifyDesired(kind, item, { baseDir, lock, debug, conversion }), kind, key, name: item.name, plugin: item.plugin });
+      }
+    }
+  }
+
+  const tplPlan = templates ? templatePlan(templates, baseDir) : null;
+  if (tplPlan) {
+    for (const [kind, list] of [['command', tplPlan.commands], ['droid', tplPlan.droids]]) {
+      for (const item of list) {
+        const key = lockKey(baseDir, item.dest);
+        if (desired.has(key)) continue;
+        desired.add(key);
+        actions.push({ action: await classifyDesired(kind, item, { baseDir, lock, debug, template: true }), kind, key, name: item.name, plugin: null });
+      }
+    }
+  }
+
+  const synced = partial ? new Set(marketplaces.map((entry) => lockMarketplace(baseDir, entry.marketplace))) : null;
+  const staleItems = {};
+  for (const key of Object.keys(lock.items)) {
+    if (desired.has(key)) continue;
+    const entry = lock.items[key];
+    if (synced && !synced.has(entry.marketplace)) continue;
+    if (unsure.some((u) => u.marketplace === entry.marketplace && u.plugin === entry.plugin)) continue;
+    staleItems[key] = entry;
+  }
+  const removals = computeUninstallPlan({ baseDir, lock: { items: staleItems }, selection: { all: true } });
+  for (const item of removals.items) {
+    actions.push({ action: 'remove', kind: item.kind, key: item.key, name: item.name, plugin: item.plugin, status: item.status });
+  }
+
+  return { sources, templatePlan: tplPlan, actions, removals, collisions };
+}
+
+module.exports = { planSync };
@@ -0,0 +1,91 @@
+"use strict";
+
+const zlib = require('zlib');
+
+// A reader for the .tar.gz archives GitHub (codeload) and GitLab serve, using
+// only zlib: ustar headers, pax extended headers and GNU long names. Symlinks
+// and other special entries are skipped.
+
+const BLOCK = 512;
+
+function field(header, start, length) {
+  const raw = header.subarray(start, start + length);
+  const end = raw.indexOf(0);
+  return raw.subarray(0, end === -1 ? raw.length : end).toString('utf8');
+}
+
+// Octal, or base-256 when the top bit of the first byte is set (large files).
+function numeric(header, start, length) {
+  if (header[start] & 0x80) {
+    let value = header[start] & 0x7f;
+    for (let i = start + 1; i < start + length; i++) value = value * 256 + header[i];
+    return value;
+  }
+  const text = field(header, start, length).trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function checksumOk(header) {
+  let sum = 0;
+  for (let i = 0; i < BLOCK; i++) sum += i >= 148 && i < 156 ? 0x20 : header[i];
+  return sum === numeric(header, 148, 8);
+}
+
+// "<length> <key>=<value>\n" records.
+function paxRecords(body) {
+  const records = {};
+  let pos = 0;
+  while (pos < body.length) {
+    const space = body.indexOf(0x20, pos);
+    if (space === -1) break;
+    const length = parseInt(body.subarray(pos, space).toString('utf8'), 10);
+    if (!length) break;
+    const record = body.subarray(space + 1, pos + length - 1).toString('utf8');
+    const eq = record.indexOf('=');
+    if (eq !== -1) records[record.slice(0, eq)] = record.slice(eq + 1);
+    pos += length;
+  }
+  return records;
+}
+
+// Entries of an uncompressed tar: [{ path, type: 'file' | 'dir', mode, body }].
+function parseTar(buffer) {
+  const entries = [];
+  let pax = {};
+  let longName = null;
+  let pos = 0;
+  while (pos + BLOCK <= buffer.length) {
+    const header = buffer.subarray(pos, pos + BLOCK);
+    if (header.every((b) => b === 0)) break;
+    if (!checksumOk(header)) throw new Error(`corrupt tar archive (bad header at byte ${pos})`);
+    const size = numeric(header, 124, 12);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const body = buffer.subarray(pos + BLOCK, pos + BLOCK + size);
+    if (body.length < size) throw new Error('truncated tar archive');
+    pos += BLOCK + Math.ceil(size / BLOCK) * BLOCK;
+
+    if (type === 'x') { pax = paxRecords(body); continue; }
+    if (type === 'g') continue;
+    if (type === 'L') { longName = field(body, 0, body.length); continue; }
+
+    const prefix = field(header, 345, 155);
+    const name = pax.path || longName || (prefix ? `${prefix}/${field(header, 0, 100)}` : field(header, 0, 100));
+    pax = {};
+    longName = null;
+    if (type === '0' || type === '7') entries.push({ path: name, type: 'file', mode: numeric(header, 100, 8), body: Buffer.from(body) });
+    else if (type === '5') entries.push({ path: name.replace(/\/+$/, ''), type: 'dir', mode: numeric(header, 100, 8) });
+  }
+  return entries;
+}
+
+function readTarGz(buffer) {
+  let tar;
+  try {
+    tar = zlib.gunzipSync(buffer);
+  } catch (e) {
+    throw new Error(`not a gzip archive: ${e.message}`);
+  }
+  return parseTar(tar);
+}
+
+module.exports = { parseTar, readTarGz };
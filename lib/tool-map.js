@@ -0,0 +1,108 @@
+"use strict";
+
+// Factory tool ids by the category a droid's `tools:` may name instead of a list.
+const TOOL_CATEGORIES = {
+  'read-only': ['Read', 'LS', 'Grep', 'Glob'],
+  edit: ['Create', 'Edit', 'ApplyPatch'],
+  execute: ['Execute'],
+  web: ['WebSearch', 'FetchUrl'],
+};
+
+// Claude Code tool → Factory tool id; null drops the tool. Scoped forms such
+// as Bash(git:*) map through their base name. Anything not listed is dropped.
+const DEFAULT_TOOL_MAP = {
+  Read: 'Read',
+  LS: 'LS',
+  Grep: 'Grep',
+  Glob: 'Glob',
+  Write: 'Create',
+  Edit: 'Edit',
+  MultiEdit: 'Edit',
+  NotebookRead: 'Read',
+  NotebookEdit: 'Edit',
+  Bash: 'Execute',
+  WebFetch: 'FetchUrl',
+  WebSearch: 'WebSearch',
+  TodoWrite: 'TodoWrite',
+  Task: null,
+  BashOutput: null,
+  KillShell: null,
+  KillBash: null,
+  ExitPlanMode: null,
+  SlashCommand: null,
+};
+
+// Names that are already Factory's pass through unchanged.
+const FACTORY_TOOLS = new Set([...Object.keys(TOOL_CATEGORIES), ...Object.values(TOOL_CATEGORIES).flat(), 'TodoWrite']);
+
+// Overrides (droid-factory.json "tools") win over the defaults.
+function buildToolMap(overrides) {
+  return { ...DEFAULT_TOOL_MAP, ...(overrides || {}) };
+}
+
+function toolBase(tool) {
+  const m = /^([^(]+)\((.*)\)$/.exec(tool);
+  return m ? { base: m[1].trim(), scope: m[2].trim() } : { base: tool, scope: null };
+}
+
+// Translate Claude tool names to Factory ids. Returns { tools, notes }: tools
+// in first-seen order without duplicates, notes for every tool that was
+// dropped or lost its scope on the way.
+function mapTools(list, toolMap = DEFAULT_TOOL_MAP) {
+  const tools = [];
+  const notes = [];
+  const add = (id) => { if (!tools.includes(id)) tools.push(id); };
+  for (const tool of list) {
+    const { base, scope } = toolBase(tool);
+    const exact = Object.prototype.hasOwnProperty.call(toolMap, tool);
+    let target = exact ? toolMap[tool] : Object.prototype.hasOwnProperty.call(toolMap, base) ? toolMap[base] : undefined;
+    if (target === undefined && FACTORY_TOOLS.has(tool)) target = tool;
+    if (target === null || target === undefined || (Array.isArray(target) && !target.length)) {
+      notes.push(`dropped tool ${tool} (no Factory equivalent)`);
+      continue;
+    }
+    const ids = Array.isArray(target) ? target : [target];
+    for (const id of ids) add(id);
+    if (scope && !exact) notes.push(`mapped ${tool} to ${ids.join(', ')} (the ${scope} restriction is not kept)`);
+  }
+  return { tools, notes };
+}
+
+// Factory tool id → Claude Code tools, for export.
+const REVERSE_TOOL_MAP = {
+  Read: ['Read'],
+  LS: ['LS'],
+  Grep: ['Grep'],
+  Glob: ['Glob'],
+  Create: ['Write'],
+  Edit: ['Edit', 'MultiEdit'],
+  ApplyPatch: ['Edit'],
+  Execute: ['Bash'],
+  WebSearch: ['WebSearch'],
+  FetchUrl: ['WebFetch'],
+  TodoWrite: ['TodoWrite'],
+};
+
+// Factory tools (a list or a category name) back to Claude Code names.
+// Returns { tools, notes } like mapTools.
+function unmapTools(value) {
+  const ids = typeof value === 'string' && TOOL_CATEGORIES[value] ? TOOL_CATEGORIES[value] : [].concat(value);
+  const tools = [];
+  const notes = [];
+  for (const id of ids) {
+    const names = Object.prototype.hasOwnProperty.call(REVERSE_TOOL_MAP, id) ? REVERSE_TOOL_MAP[id] : null;
+    if (!names) { notes.push(`dropped tool ${id} (no Claude Code equivalent)`); continue; }
+    for (const name of names) if (!tools.includes(name)) tools.push(name);
+  }
+  return { tools, notes };
+}
+
+// The category whose tools are exactly `tools`, if any.
+function toolCategory(tools) {
+  for (const [category, ids] of Object.entries(TOOL_CATEGORIES)) {
+    if (ids.length > 1 && ids.length === tools.length && ids.every((id) => tools.includes(id))) return category;
+  }
+  return null;
+}
+
+module.exports = { TOOL_CATEGORIES, FACTORY_TOOLS, DEFAULT_TOOL_MAP, buildToolMap, mapTools, toolCategory, unmapTools };
@@ -0,0 +1,115 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const { hashPath, removeBaseSnapshot } = require('./lockfile');
+const { conflictSidecarPath } = require('./installer');
+const { updateSettingsHooks } = require('./settings');
+const { installedServerHash, removeMcpServer, mcpNameFromKey } = require('./mcp');
+const { isContainedPath } = require('./fs-utils');
+
+const KIND_FLAGS = { command: 'commands', droid: 'droids', hook: 'hooks', skill: 'skills', mcp: 'mcp' };
+
+function splitList(value) {
+  if (value === undefined || value === null) return null;
+  if (value === 'all') return 'all';
+  return String(value).split(',').map((s) => s.trim().replace(/\.md$/, '')).filter(Boolean);
+}
+
+function matchesSelection(entry, selection) {
+  if (selection.all) return true;
+  if (Array.isArray(selection.plugins) && entry.plugin && selection.plugins.includes(entry.plugin)) return true;
+  const names = selection[KIND_FLAGS[entry.kind]];
+  if (names === 'all') return true;
+  return Array.isArray(names) && names.includes(entry.name);
+}
+
+function selectionFromArgs(args) {
+  return {
+    all: !!args.all,
+    plugins: splitList(args.plugins),
+    commands: splitList(args.commands),
+    droids: splitList(args.droids),
+    hooks: splitList(args.hooks),
+    skills: splitList(args.skills),
+    mcp: splitList(args.mcp),
+  };
+}
+
+function hasSelection(selection) {
+  return selection.all || ['plugins', 'commands', 'droids', 'hooks', 'skills', 'mcp'].some((k) => selection[k] && selection[k].length);
+}
+
+// Status per entry: 'clean' (matches the recorded hash), 'modified' (edited
+// since install) or 'missing' (already gone; only the lock entry is dropped).
+// MCP servers are checked by their entry in mcp.json. Keys that do not name a
+// file below baseDir (a hand-edited lockfile) are listed in `skipped` and left
+// alone.
+function computeUninstallPlan({ baseDir, lock, selection }) {
+  const items = [];
+  const skipped = [];
+  for (const key of Object.keys(lock.items).sort()) {
+    const entry = lock.items[key];
+    if (!matchesSelection(entry, selection)) continue;
+    const segments = key.split('/');
+    if (!isContainedPath(key) || segments.some((seg) => !seg || seg === '.') || (entry.kind !== 'mcp' && segments.length < 2)) {
+      skipped.push(key);
+      continue;
+    }
+    const dest = path.join(baseDir, ...segments);
+    let status = 'clean';
+    if (entry.kind === 'mcp') {
+      const installed = installedServerHash(baseDir, mcpNameFromKey(key));
+      if (!installed) status = 'missing';
+      else if (entry.hash && installed !== entry.hash) status = 'modified';
+    } else if (!fs.existsSync(dest)) status = 'missing';
+    else if (entry.hash && hashPath(dest) !== entry.hash) status = 'modified';
+    items.push({ key, kind: entry.kind, name: entry.name, plugin: entry.plugin, dest, status });
+  }
+  return { items, skipped };
+}
+
+// Remove now-empty parent directories up to (not including) the kind root,
+// e.g. hooks/<plugin>/ once its last script is gone.
+function pruneEmptyParents(baseDir, dest) {
+  const stop = path.join(baseDir, path.relative(baseDir, dest).split(path.sep)[0]);
+  let dir = path.dirname(dest);
+  while (dir.startsWith(stop) && dir !== stop) {
+    try {
+      if (fs.readdirSync(dir).length) break;
+      fs.rmdirSync(dir);
+    } catch { break; }
+    dir = path.dirname(dir);
+  }
+}
+
+// An item that cannot be removed is reported as 'failed' and keeps its lock
+// entry; the rest of the plan still runs, so the caller can always write the
+// lockfile afterwards.
+function applyUninstall(plan, { baseDir, lock, force }) {
+  const results = [];
+  for (const item of plan.items) {
+    if (item.status === 'modified' && !force) {
+      results.push({ ...item, result: 'kept' });
+      continue;
+    }
+    try {
+      if (item.kind === 'mcp') {
+        removeMcpServer(baseDir, mcpNameFromKey(item.key));
+      } else if (item.status !== 'missing') {
+        fs.rmSync(item.dest, { recursive: true, force: true });
+        pruneEmptyParents(baseDir, item.dest);
+      }
+      if (lock.items[item.key]?.hooks) updateSettingsHooks(baseDir, lock.items[item.key].hooks, null);
+      removeBaseSnapshot(baseDir, item.key);
+      fs.rmSync(conflictSidecarPath(baseDir, item.key), { force: true });
+      delete lock.items[item.key];
+      results.push({ ...item, result: 'removed' });
+    } catch (e) {
+      results.push({ ...item, result: 'failed', error: e?.message || String(e) });
+    }
+  }
+  return results;
+}
+
+module.exports = { selectionFromArgs, hasSelection, computeUninstallPlan, applyUninstall };
@@ -0,0 +1,197 @@
+"use strict";
+
+const fs = require('fs');
+const path = require('path');
+const { loadMarketplace, discoverPlugins } = require('./marketplace');
+const { computeMarketplacePlan, findCollisions, resolveCollisions } = require('./marketplace-planner');
+const { renderFile, stageSkill, stageHooks, stageMcp, mergeInstalled, writeMerged } = require('./installer');
+const { ensureDir } = require('./fs-utils');
+const { hashContent, hashPath, lockKey, marketplaceSource, recordItem, selectionAllows } = require('./lockfile');
+const { updateSettingsHooks } = require('./settings');
+const { installedServerHash, resolveMcpEnv, projectSecrets, setMcpServer, mcpFilesDir } = require('./mcp');
+
+function kindDirs(baseDir) {
+  return {
+    destCommandsDir: path.join(baseDir, 'commands'),
+    destDroidsDir: path.join(baseDir, 'droids'),
+    destHooksDir: path.join(baseDir, 'hooks'),
+    destSkillsDir: path.join(baseDir, 'skills'),
+  };
+}
+
+// Lock entries are grouped by the marketplace (and ref) they came from so each
+// marketplace is loaded and discovered exactly once.
+function groupByMarketplace(lock, plugins) {
+  const groups = new Map();
+  for (const key of Object.keys(lock.items).sort()) {
+    const entry = lock.items[key];
+    if (!entry.marketplace || !entry.plugin) continue;
+    if (Array.isArray(plugins) && !plugins.includes(entry.plugin)) continue;
+    const id = `${entry.marketplace}\0${entry.marketplaceRef || ''}`;
+    if (!groups.has(id)) groups.set(id, { marketplace: entry.marketplace, ref: entry.marketplaceRef || undefined, plugins: new Set(), keys: [] });
+    const group = groups.get(id);
+    group.plugins.add(entry.plugin);
+    if (entry.flatten) group.flatten = entry.flatten;
+    group.keys.push(key);
+  }
+  return Array.from(groups.values());
+}
+
+// Statuses:
+//   added            new upstream component of an installed plugin that the
+//                    plugin's install selection (kinds and filters) covers
+//   changed          upstream differs from what was installed; local copy untouched
+//   unchanged        upstream output is identical to the installed content
+//   locally-modified the installed file was edited (or deleted) since install
+//   merge            edited locally and upstream; the edits merge cleanly
+//   conflict         edited locally and upstream in overlapping places
+//   unowned          a file not written by droid-factory already sits at the destination
+//   removed-upstream recorded in the lockfile but no longer shipped by the plugin
+//   failed           fetching or converting the new version failed
+async function planUpdate({ baseDir, lock, plugins, ref, flatten, conversion = {}, debug }) {
+  const items = [];
+  const unresolved = [];
+  const dirs = kindDirs(baseDir);
+
+  for (const group of groupByMarketplace(lock, plugins)) {
+    const loaded = await loadMarketplace(marketplaceSource(baseDir, group.marketplace), ref || group.ref, { debug });
+    const discovered = await discoverPlugins(loaded.json, loaded.context, { debug });
+    const marketplaceRef = loaded.context?.gh?.ref || loaded.context?.gl?.ref || null;
+    const style = flatten || group.flatten || '__';
+    const plan = computeMarketplacePlan({ selectedPlugins: Array.from(group.plugins), discovered, ...dirs, baseDir, flatten: style });
+    unresolved.push(...plan.unresolved);
+    // Components prefixed after a collision at install time keep their prefix.
+    const renamed = (item) => group.keys.some((k) => lock.items[k].plugin === item.plugin && lock.items[k].renamedFrom === item.name);
+    resolveCollisions(plan, findCollisions(plan), { decide: (c, item) => (renamed(item) ? 'prefix' : 'skip'), flatten: style });
+
+    const seen = new Set();
+    const kinds = [['command', 'commands'], ['droid', 'droids'], ['hook', 'hooks'], ['skill', 'skills'], ['mcp', 'mcp']];
+    for (const [kind, filterKind] of kinds) {
+      for (const item of plan[filterKind]) {
+        const key = lockKey(baseDir, item.dest);
+        if (seen.has(key)) continue; // first plugin wins, matching install order
+        const entry = lock.items[key];
+        // Components left out at install time (--no-<kind>, name filters) stay out
+        if (!entry && !selectionAllows(lock, group.marketplace, item.plugin, filterKind, item.name)) continue;
+        seen.add(key);
+        // --model-policy/--frontmatter or the config's, else the ones used at install
+        const modelPolicy = kind === 'droid' ? conversion.modelPolicy || entry?.modelPolicy : undefined;
+        const frontmatter = kind === 'command' || kind === 'droid' ? conversion.frontmatter || entry?.frontmatter : undefined;
+        const base = { kind, key, item, marketplace: group.marketplace, marketplaceRef, flatten: style, modelPolicy, frontmatter };
+        let staged;
+        try {
+          if (kind === 'skill') staged = await stageSkill(item, { debug });
+          else if (kind === 'hook') staged = await stageHooks(item, { baseDir, debug });
+          else if (kind === 'mcp') staged = await stageMcp(item, { baseDir, debug });
+          else staged = { content: await renderFile(kind, item, { debug, ...conversion, modelPolicy, frontmatter }) };
+        } catch (e) {
+          items.push({ ...base, status: 'failed', error: e?.message || String(e) });
+          continue;
+        }
+        // MCP servers are installed with env values filled in, so upstream is
+        // compared through sourceHash and local edits through the mcp.json entry.
+        const isMcp = kind === 'mcp';
+        const newHash = isMcp ? staged.sourceHash : staged.content !== undefined ? hashContent(staged.content) : hashPath(staged.path);
+        const installedHash = isMcp ? installedServerHash(baseDir, item.name) : fs.existsSync(item.dest) ? hashPath(item.dest) : null;
+        const exists = installedHash !== null;
+        const recordedHash = entry && (isMcp ? entry.sourceHash : entry.hash);
+        let status;
+        if (!entry) status = exists ? 'unowned' : 'added';
+        else if (!exists || installedHash !== entry.hash) status = 'locally-modified';
+        else status = newHash === recordedHash ? 'unchanged' : 'changed';
+        const upstreamChanged = !!entry && newHash !== recordedHash;
+        let merge = null;
+        if (status === 'locally-modified' && upstreamChanged && exists && staged.content !== undefined) {
+          merge = mergeInstalled(baseDir, key, item.dest, staged.content);
+          if (merge) status = merge.conflicts.length ? 'conflict' : 'merge';
+        }
+        items.push({ ...base, status, staged, merge, upstreamChanged });
+      }
+    }
+
+    // Only claim a removal when the owning plugin was discovered cleanly;
+    // a failed scan must not look like every component disappeared.
+    const cleanPlugins = new Set(discovered.filter((p) => !(p.errors || []).length).map((p) => p.name));
+    for (const key of group.keys) {
+      if (seen.has(key)) continue;
+      const entry = lock.items[key];
+      if (!cleanPlugins.has(entry.plugin) && discovered.some((p) => p.name === entry.plugin)) continue;
+      items.push({ kind: entry.kind, key, item: { name: entry.name, plugin: entry.plugin, dest: path.join(baseDir, ...key.split('/')) }, status: 'removed-upstream' });
+    }
+  }
+  return { items, unresolved };
+}
+
+function shouldApply(entry, force) {
+  if (entry.status === 'added' || entry.status === 'changed' || entry.status === 'merge' || entry.status === 'conflict') return true;
+  if (force && (entry.status === 'locally-modified' || entry.status === 'unowned')) return true;
+  return false;
+}
+
+// Result for an entry that was not applied.
+function keptResult(status) {
+  if (status === 'failed') return 'failed';
+  if (status === 'unchanged') return 'unchanged';
+  return 'skipped-existing';
+}
+
+// Updates never prompt: env placeholders come from the environment or their
+// defaults, and a server that still misses a value is left as it was.
+function applyMcp(entry, { baseDir, lock }) {
+  const { item, staged } = entry;
+  const values = {};
+  for (const { name } of staged.env) if (process.env[name]) values[name] = process.env[name];
+  const { server, missing, filled } = resolveMcpEnv(staged.server, values);
+  if (missing.length) {
+    entry.result = 'failed';
+    entry.error = `missing environment variables: ${missing.join(', ')}`;
+    return;
+  }
+  const filesDir = mcpFilesDir(baseDir, item.name);
+  fs.rmSync(filesDir, { recursive: true, force: true });
+  if (staged.scripts.length) fs.cpSync(staged.path, filesDir, { recursive: true });
+  setMcpServer(baseDir, item.name, server);
+  entry.secrets = projectSecrets(baseDir, filled);
+  recordItem(lock, baseDir, { kind: 'mcp', name: item.name, plugin: item.plugin, marketplace: entry.marketplace, marketplaceRef: entry.marketplaceRef, ref: item.ref || entry.marketplaceRef, commit: item.commit, source: item.src, dest: item.dest, content: JSON.stringify(server), sourceHash: staged.sourceHash, renamedFrom: item.renamedFrom });
+  entry.result = 'written';
+}
+
+// An entry that fails to write is reported as 'failed' (keeping its old lock
+// entry) and the rest still apply, so the caller can always write the lockfile.
+function applyUpdate(report, { baseDir, lock, force }) {
+  for (const entry of report.items) {
+    if (!shouldApply(entry, force)) { entry.result = keptResult(entry.status); continue; }
+    try {
+      applyEntry(entry, { baseDir, lock, force });
+    } catch (e) {
+      entry.result = 'failed';
+      entry.error = e?.message || String(e);
+    }
+  }
+  return report;
+}
+
+function applyEntry(entry, { baseDir, lock, force }) {
+  const { item } = entry;
+  if (entry.kind === 'mcp') { applyMcp(entry, { baseDir, lock }); return; }
+  ensureDir(path.dirname(item.dest));
+  if (entry.merge && !force) {
+    entry.sidecar = writeMerged(baseDir, entry.key, item.dest, entry.merge);
+  } else if (entry.staged.content !== undefined) {
+    fs.writeFileSync(item.dest, entry.staged.content, 'utf8');
+  } else {
+    fs.rmSync(item.dest, { recursive: true, force: true });
+    fs.cpSync(entry.staged.path, item.dest, { recursive: true });
+  }
+  if (entry.kind === 'hook') updateSettingsHooks(baseDir, lock.items[entry.key]?.hooks, entry.staged.hooks);
+  recordItem(lock, baseDir, { kind: entry.kind, name: item.name, plugin: item.plugin, marketplace: entry.marketplace, marketplaceRef: entry.marketplaceRef, ref: item.ref || entry.marketplaceRef, commit: item.commit, source: item.src, dest: item.dest, content: entry.staged.content, hooks: entry.staged.hooks, flatten: item.namespace ? entry.flatten : undefined, modelPolicy: entry.modelPolicy && entry.modelPolicy !== 'map' ? entry.modelPolicy : undefined, frontmatter: entry.frontmatter && entry.frontmatter !== 'namespace' ? entry.frontmatter : undefined, renamedFrom: item.renamedFrom });
+  entry.result = entry.merge && !force ? 'merged' : 'written';
+}
+
+function cleanupStaged(report) {
+  for (const entry of report.items) {
+    if (entry.staged && entry.staged.dir) fs.rmSync(entry.staged.dir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { planUpdate, applyUpdate, cleanupStaged };
@@ -0,0 +1,32 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const matter = require('gray-matter');
+const { convertAgentMarkdownToDroid, convertDroidToAgentMarkdown } = require('../lib/agent-convert');
+
+// `description` is not valid YAML, so the fallback parser reads the frontmatter.
+const MALFORMED = ['---', 'name: reviewer', 'description: Reviews: code [unclosed', 'color: blue', 'version: 1.2.0', 'model: inherit', '---', '', 'Review the diff.', ''].join('\n');
+
+test('the fallback parser keeps keys it does not translate', () => {
+  const droid = matter(convertAgentMarkdownToDroid(MALFORMED, { frontmatter: 'namespace' }));
+  assert.strictEqual(droid.data.name, 'reviewer');
+  assert.strictEqual(droid.data.version, '1.2.0');
+  assert.deepStrictEqual(droid.data['x-claude'], { color: 'blue' });
+  assert.match(droid.content, /Review the diff\./);
+  assert.doesNotMatch(droid.content, /color:/);
+});
+
+test('the fallback parser follows the preserve and drop policies', () => {
+  assert.strictEqual(matter(convertAgentMarkdownToDroid(MALFORMED, { frontmatter: 'preserve' })).data.color, 'blue');
+  const dropped = matter(convertAgentMarkdownToDroid(MALFORMED, { frontmatter: 'drop' })).data;
+  assert.strictEqual(dropped.color, undefined);
+  assert.strictEqual(dropped['x-claude'], undefined);
+});
+
+test('export and reinstall give back the installed droid', () => {
+  const installed = convertAgentMarkdownToDroid('---\nname: reviewer\ndescription: Reviews code\nmodel: inherit\n---\n\nReview the diff.\n');
+  const exported = convertDroidToAgentMarkdown(installed);
+  assert.match(exported, /---\n\nReview the diff\./);
+  assert.strictEqual(convertAgentMarkdownToDroid(exported), installed);
+});
@@ -0,0 +1,31 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const matter = require('gray-matter');
+const { convertCommandMarkdownToFactory, convertFactoryCommandToClaude } = require('../lib/command-convert');
+
+test('allowed-tools that all drop out become an empty allow-list', () => {
+  const notes = [];
+  const out = convertCommandMarkdownToFactory('---\nallowed-tools: Task, SlashCommand\n---\nRun it.\n', { notes });
+  assert.deepStrictEqual(matter(out).data['allowed-tools'], []);
+  assert.ok(notes.some((n) => /allowed none/.test(n)));
+});
+
+test('an empty allow-list stays empty on export', () => {
+  const out = convertCommandMarkdownToFactory('---\nallowed-tools: Task\n---\nRun it.\n', { frontmatter: 'drop' });
+  assert.deepStrictEqual(matter(convertFactoryCommandToClaude(out)).data['allowed-tools'], []);
+});
+
+test('mapped allowed-tools are kept as a list', () => {
+  const out = convertCommandMarkdownToFactory('---\nallowed-tools: Read, Task\n---\nRun it.\n');
+  assert.strictEqual(matter(out).data['allowed-tools'], 'Read');
+});
+
+test('export and reinstall give back the installed command', () => {
+  const source = '---\ndescription: Ship it\nargument-hint: <branch>\n---\n\nRun it.\n\nThen push.\n';
+  const installed = convertCommandMarkdownToFactory(source);
+  const exported = convertFactoryCommandToClaude(installed);
+  assert.strictEqual(exported, source);
+  assert.strictEqual(convertCommandMarkdownToFactory(exported), installed);
+});
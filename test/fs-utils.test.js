@@ -0,0 +1,146 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const https = require('https');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const EventEmitter = require('events');
+const { PassThrough } = require('stream');
+const { configureCache } = require('../lib/cache');
+const { configureTransport } = require('../lib/archive');
+const { isContainedPath, downloadDirectory } = require('../lib/fs-utils');
+const { parseTar, readTarGz } = require('../lib/tarball');
+
+// One tar entry: a ustar header (type '0' file, '5' dir, 'x' pax, 'L' GNU
+// long name) and its padded body. `base256` writes the size the way GNU tar
+// does for files over 8 GiB.
+function tarEntry(name, contents = '', { type = '0', mode = 0o644, base256 = false } = {}) {
+  const body = Buffer.from(contents);
+  const header = Buffer.alloc(512);
+  header.write(name, 0);
+  header.write(`${mode.toString(8).padStart(7, '0')}\0`, 100);
+  if (base256) {
+    header[124] = 0x80;
+    header.writeUInt32BE(body.length, 132);
+  } else {
+    header.write(`${body.length.toString(8).padStart(11, '0')}\0`, 124);
+  }
+  header.write('00000000000\0', 136);
+  header.write('        ', 148);
+  header.write(type, 156);
+  header.write('ustar\x0000', 257);
+  let sum = 0;
+  for (const b of header) sum += b;
+  header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+  return Buffer.concat([header, body, Buffer.alloc((512 - (body.length % 512)) % 512)]);
+}
+
+// A pax record: "<length> <key>=<value>\n", where length counts itself.
+function paxRecord(key, value) {
+  const rest = ` ${key}=${value}\n`;
+  let length = rest.length + 1;
+  while (String(length).length + rest.length !== length) length++;
+  return `${length}${rest}`;
+}
+
+// A gzipped ustar archive of regular files, { path: contents | [contents, mode] }.
+function tarGz(files) {
+  const blocks = Object.entries(files).map(([name, file]) => (Array.isArray(file) ? tarEntry(name, file[0], { mode: file[1] }) : tarEntry(name, file)));
+  return zlib.gzipSync(Buffer.concat([...blocks, Buffer.alloc(1024)]));
+}
+
+// What https.get returns, for stubs that answer at once.
+function fakeRequest() {
+  const req = new EventEmitter();
+  req.setTimeout = () => req;
+  return req;
+}
+
+let tmp;
+test.beforeEach(() => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'df-fs-'));
+  configureCache({ dir: path.join(tmp, 'cache') });
+});
+test.afterEach(() => {
+  configureTransport({ transport: 'api' });
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('paths that leave the directory are not contained', () => {
+  for (const rel of ['SKILL.md', 'refs/notes.md', 'a..b/c']) assert.ok(isContainedPath(rel), rel);
+  for (const rel of ['', '../x', 'a/../../x', 'a\\..\\x', '/etc/passwd', '\\share\\x', 'C:\\x', 'C:x']) assert.ok(!isContainedPath(rel), rel);
+});
+
+test('archive entries outside the skill directory are skipped', async (t) => {
+  const archive = tarGz({
+    'repo-main/skills/s/SKILL.md': 'skill',
+    'repo-main/skills/s/../../../escaped.md': 'escaped',
+  });
+  t.mock.method(https, 'get', (url, options, cb) => {
+    const res = new PassThrough();
+    res.statusCode = 200;
+    res.headers = {};
+    process.nextTick(() => { cb(res); res.end(archive); });
+    return fakeRequest();
+  });
+  configureTransport({ transport: 'tarball' });
+  const dest = path.join(tmp, 'out', 'skills', 's');
+  const result = await downloadDirectory('https://raw.githubusercontent.com/o/repo/main/skills/s', dest, false);
+  assert.strictEqual(result, 'written');
+  assert.strictEqual(fs.readFileSync(path.join(dest, 'SKILL.md'), 'utf8'), 'skill');
+  assert.ok(!fs.existsSync(path.join(tmp, 'escaped.md')));
+  assert.ok(!fs.existsSync(path.join(tmp, 'out', 'escaped.md')));
+});
+
+test('tar entries take their path from pax headers and GNU long names', () => {
+  const long = `repo-main/${'nested/'.repeat(20)}file.md`;
+  const entries = parseTar(Buffer.concat([
+    tarEntry('PaxHeaders/pax', paxRecord('path', long) + paxRecord('mtime', '1700000000.5'), { type: 'x' }),
+    tarEntry('repo-main/truncated', 'from pax'),
+    tarEntry('././@LongLink', `${long}.gnu\0`, { type: 'L' }),
+    tarEntry('repo-main/truncated', 'from gnu'),
+    tarEntry('repo-main/short.md', 'short'),
+    Buffer.alloc(1024),
+  ]));
+  assert.deepStrictEqual(entries.map((e) => [e.path, e.body.toString()]), [
+    [long, 'from pax'],
+    [`${long}.gnu`, 'from gnu'],
+    ['repo-main/short.md', 'short'],
+  ]);
+});
+
+test('tar sizes in base-256 are read like octal ones', () => {
+  const entries = readTarGz(zlib.gzipSync(Buffer.concat([
+    tarEntry('repo-main/big.bin', 'base-256 size', { base256: true }),
+    tarEntry('repo-main/dir/', '', { type: '5', mode: 0o755 }),
+    tarEntry('repo-main/after.md', 'after'),
+    Buffer.alloc(1024),
+  ])));
+  assert.deepStrictEqual(entries.map((e) => [e.path, e.type, e.body ? e.body.toString() : null]), [
+    ['repo-main/big.bin', 'file', 'base-256 size'],
+    ['repo-main/dir', 'dir', null],
+    ['repo-main/after.md', 'file', 'after'],
+  ]);
+});
+
+test('archived skill files keep their executable bit', { skip: process.platform === 'win32' }, async (t) => {
+  const archive = tarGz({
+    'repo-main/skills/s/SKILL.md': 'skill',
+    'repo-main/skills/s/run.sh': ['echo run\n', 0o755],
+  });
+  t.mock.method(https, 'get', (url, options, cb) => {
+    const res = new PassThrough();
+    res.statusCode = 200;
+    res.headers = {};
+    process.nextTick(() => { cb(res); res.end(archive); });
+    return fakeRequest();
+  });
+  configureTransport({ transport: 'tarball' });
+  const dest = path.join(tmp, 'out', 'skills', 's');
+  assert.strictEqual(await downloadDirectory('https://raw.githubusercontent.com/o/repo2/main/skills/s', dest, false), 'written');
+  assert.strictEqual(fs.statSync(path.join(dest, 'run.sh')).mode & 0o777, 0o755);
+  assert.strictEqual(fs.statSync(path.join(dest, 'SKILL.md')).mode & 0o777, 0o644);
+});
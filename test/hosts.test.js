@@ -0,0 +1,39 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { configureHosts, githubRawUrl, gitlabRawUrl, parseRawUrl, archiveRequest } = require('../lib/hosts');
+
+test.afterEach(() => configureHosts({}));
+
+test('raw URLs keep the slashes of a ref and parse back to it', () => {
+  const gh = { host: 'github.com', owner: 'o', repo: 'r' };
+  const url = githubRawUrl(gh, 'feature/new x', 'plugins/a/agents/b.md');
+  assert.strictEqual(url, 'https://raw.githubusercontent.com/o/r/feature/new%20x/plugins/a/agents/b.md');
+  assert.deepStrictEqual(parseRawUrl(url), { kind: 'github', repo: gh, ref: 'feature/new x', path: 'plugins/a/agents/b.md' });
+
+  const gl = { host: 'gitlab.com', namespacePath: 'group/sub/r', repo: 'r' };
+  const glUrl = gitlabRawUrl(gl, 'release/1.x', 'agents/b.md');
+  assert.strictEqual(glUrl, 'https://gitlab.com/group/sub/r/-/raw/release/1.x/agents/b.md');
+  assert.deepStrictEqual(parseRawUrl(glUrl), { kind: 'gitlab', repo: gl, ref: 'release/1.x', path: 'agents/b.md' });
+});
+
+test('refs without slashes parse as one segment', () => {
+  assert.deepStrictEqual(parseRawUrl('https://raw.githubusercontent.com/o/r/main/skills/s/'), { kind: 'github', repo: { host: 'github.com', owner: 'o', repo: 'r' }, ref: 'main', path: 'skills/s' });
+});
+
+test('archive URLs encode the ref like raw URLs', () => {
+  configureHosts({ 'git.example.org': { type: 'gitea', tokenEnv: ['DF_TEST_UNSET_TOKEN'] } });
+  const { url } = archiveRequest('github', { host: 'git.example.org', owner: 'o', repo: 'r' }, 'feature/a b');
+  assert.strictEqual(url, 'https://git.example.org/api/v1/repos/o/r/archive/feature/a%20b.tar.gz');
+});
+
+test('a slashed ref is only known to the repository and configuration it was used in', () => {
+  githubRawUrl({ host: 'github.com', owner: 'o', repo: 'a' }, 'docs/v2', 'README.md');
+  assert.deepStrictEqual(parseRawUrl('https://raw.githubusercontent.com/o/a/docs/v2/README.md').ref, 'docs/v2');
+  assert.deepStrictEqual(parseRawUrl('https://raw.githubusercontent.com/o/b/docs/v2/README.md'), { kind: 'github', repo: { host: 'github.com', owner: 'o', repo: 'b' }, ref: 'docs', path: 'v2/README.md' });
+  configureHosts({});
+  assert.strictEqual(parseRawUrl('https://raw.githubusercontent.com/o/a/docs/v2/README.md').ref, 'docs/v2');
+  configureHosts({ 'git.example.org': { type: 'gitea' } });
+  assert.strictEqual(parseRawUrl('https://raw.githubusercontent.com/o/a/docs/v2/README.md').ref, 'docs');
+});
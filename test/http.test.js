@@ -0,0 +1,72 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const https = require('https');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { PassThrough } = require('stream');
+const { configureCache } = require('../lib/cache');
+const { httpGetBuffer } = require('../lib/http');
+
+// Answers from `routes` (url → { status, headers, body }, or a list used one
+// request at a time, where { hang: true } never answers and times out) and
+// records the headers each request carried.
+function stubHttps(t, routes) {
+  const seen = [];
+  t.mock.method(https, 'get', (url, options, cb) => {
+    seen.push({ url: String(url), headers: { ...options.headers } });
+    const listed = routes[String(url)];
+    const route = (Array.isArray(listed) ? listed.shift() : listed) || { status: 404 };
+    const req = new EventEmitter();
+    req.destroy = (err) => process.nextTick(() => req.emit('error', err));
+    req.setTimeout = (ms, onTimeout) => { if (route.hang) process.nextTick(onTimeout); return req; };
+    if (route.hang) return req;
+    const res = new PassThrough();
+    res.statusCode = route.status;
+    res.headers = route.headers || {};
+    process.nextTick(() => { cb(res); res.end(route.body || ''); });
+    return req;
+  });
+  return seen;
+}
+
+let cacheDir;
+test.beforeEach(() => {
+  cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'df-http-'));
+  configureCache({ dir: cacheDir });
+});
+test.afterEach(() => fs.rmSync(cacheDir, { recursive: true, force: true }));
+
+test('redirects to another origin drop the auth headers', async (t) => {
+  const seen = stubHttps(t, {
+    'https://git.example.com/api/v4/projects/1/repository/archive.tar.gz': { status: 302, headers: { location: 'https://storage.example.net/blob?sig=1' } },
+    'https://storage.example.net/blob?sig=1': { status: 200, body: 'archive' },
+  });
+  const body = await httpGetBuffer('https://git.example.com/api/v4/projects/1/repository/archive.tar.gz', { 'PRIVATE-TOKEN': 'secret', Authorization: 'Bearer secret', Accept: '*/*' });
+  assert.strictEqual(body.toString(), 'archive');
+  assert.strictEqual(seen[0].headers['PRIVATE-TOKEN'], 'secret');
+  assert.strictEqual(seen[1].headers['PRIVATE-TOKEN'], undefined);
+  assert.strictEqual(seen[1].headers.Authorization, undefined);
+  assert.strictEqual(seen[1].headers.Accept, '*/*');
+});
+
+test('redirects within the origin keep the auth headers', async (t) => {
+  const seen = stubHttps(t, {
+    'https://ghe.example.com/api/v3/repos/o/r/tarball/main': { status: 301, headers: { location: '/api/v3/repos/o/r/tarball/abc' } },
+    'https://ghe.example.com/api/v3/repos/o/r/tarball/abc': { status: 200, body: 'archive' },
+  });
+  await httpGetBuffer('https://ghe.example.com/api/v3/repos/o/r/tarball/main', { Authorization: 'Bearer secret' });
+  assert.strictEqual(seen[1].headers.Authorization, 'Bearer secret');
+});
+
+test('a request that times out is retried', async (t) => {
+  const seen = stubHttps(t, {
+    'https://raw.githubusercontent.com/o/r/main/slow.md': [{ hang: true }, { status: 200, body: 'slow' }],
+  });
+  const body = await httpGetBuffer('https://raw.githubusercontent.com/o/r/main/slow.md', {});
+  assert.strictEqual(body.toString(), 'slow');
+  assert.strictEqual(seen.length, 2);
+});
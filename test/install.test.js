@@ -0,0 +1,125 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const df = require('../lib/index');
+const { mcpFilesDir } = require('../lib/mcp');
+const { computeMarketplacePlan } = require('../lib/marketplace-planner');
+
+function write(file, text) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text);
+}
+
+test('components skipped after a name collision are counted as skipped', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'df-install-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const mkt = path.join(root, 'mkt');
+  write(path.join(mkt, '.claude-plugin', 'marketplace.json'), JSON.stringify({
+    name: 'mkt',
+    plugins: [{ name: 'alpha', source: '../plugins/alpha' }, { name: 'beta', source: '../plugins/beta' }],
+  }));
+  for (const plugin of ['alpha', 'beta']) {
+    write(path.join(mkt, 'plugins', plugin, 'agents', 'reviewer.md'), `---\nname: reviewer\ndescription: ${plugin} reviewer\n---\nReview.\n`);
+  }
+  write(path.join(mkt, 'plugins', 'beta', 'agents', 'tester.md'), '---\nname: tester\ndescription: Tests\n---\nTest.\n');
+
+  const baseDir = path.join(root, 'project', '.factory');
+  const planned = await df.plan({ marketplace: mkt, baseDir, onCollision: 'skip' });
+  const report = await df.install(planned);
+  assert.deepStrictEqual(report.summary, { created: 2, overwritten: 0, unchanged: 0, skipped: 1, failed: 0 });
+  assert.deepStrictEqual(report.collisions[0].results, [{ plugin: 'beta', resolution: 'skip', name: null }]);
+});
+
+test('MCP servers whose name leaves .factory/mcp/ are left out of the plan', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'df-install-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const victim = path.join(root, 'victim');
+  write(path.join(victim, 'keep.txt'), 'keep');
+  const mkt = path.join(root, 'mkt');
+  write(path.join(mkt, '.claude-plugin', 'marketplace.json'), JSON.stringify({
+    name: 'mkt',
+    plugins: [{ name: 'alpha', source: '../plugins/alpha', mcpServers: { '../../../victim': { command: 'evil' }, ok: { command: 'fine' } } }],
+  }));
+  write(path.join(mkt, 'plugins', 'alpha', 'README.md'), 'alpha\n');
+
+  const baseDir = path.join(root, 'project', '.factory');
+  const planned = await df.plan({ marketplace: mkt, baseDir });
+  assert.deepStrictEqual(planned.mcp.map((item) => item.name), ['ok']);
+  assert.match(planned.unresolved[0].reason, /not a safe directory name/);
+  await df.install(planned);
+  assert.strictEqual(fs.readFileSync(path.join(victim, 'keep.txt'), 'utf8'), 'keep');
+  assert.deepStrictEqual(Object.keys(JSON.parse(fs.readFileSync(path.join(baseDir, 'mcp.json'), 'utf8')).mcpServers), ['ok']);
+});
+
+test('MCP file directories refuse unsafe server names', () => {
+  assert.throws(() => mcpFilesDir('/tmp/.factory', '../x'), /unsafe MCP server name/);
+  assert.strictEqual(mcpFilesDir('/tmp/.factory', 'web-1.0'), path.join('/tmp/.factory', 'mcp', 'web-1.0'));
+});
+
+test('plugins and components whose names leave .factory/ are left out of the plan', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'df-install-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const victim = path.join(root, 'victim2');
+  write(path.join(victim, 'keep.txt'), 'keep');
+  const mkt = path.join(root, 'mkt');
+  write(path.join(mkt, '.claude-plugin', 'marketplace.json'), JSON.stringify({
+    name: 'mkt',
+    plugins: [
+      { name: '../../../victim2', source: '../plugins/evil' },
+      { name: 'alpha', source: '../plugins/alpha' },
+    ],
+  }));
+  write(path.join(mkt, 'plugins', 'evil', 'hooks', 'hooks.json'), JSON.stringify({ hooks: {} }));
+  write(path.join(mkt, 'plugins', 'alpha', 'agents', 'reviewer.md'), '---\nname: reviewer\ndescription: Reviews\n---\nReview.\n');
+
+  const baseDir = path.join(root, 'project', '.factory');
+  const planned = await df.plan({ marketplace: mkt, baseDir, force: true });
+  assert.deepStrictEqual(planned.hooks, []);
+  assert.deepStrictEqual(planned.droids.map((item) => item.name), ['reviewer']);
+  assert.ok(planned.unresolved.some((u) => /plugin name .* is not a safe directory name/.test(u.reason)));
+  await df.install(planned, { force: true });
+  assert.strictEqual(fs.readFileSync(path.join(victim, 'keep.txt'), 'utf8'), 'keep');
+  assert.deepStrictEqual(fs.readdirSync(path.join(baseDir, 'droids')), ['reviewer.md']);
+});
+
+test('component names that climb out of their directory are left out', () => {
+  const root = '/srv/mkt/plugins/alpha';
+  const plan = computeMarketplacePlan({
+    selectedPlugins: 'all',
+    discovered: [{ name: 'alpha', root, roots: { agents: `${root}/agents` }, agents: [`${root}/agents/../../../escape.md`, `${root}/agents/reviewer.md`], resolved: { kind: 'local' } }],
+    destCommandsDir: '/p/.factory/commands',
+    destDroidsDir: '/p/.factory/droids',
+    destHooksDir: '/p/.factory/hooks',
+    destSkillsDir: '/p/.factory/skills',
+    baseDir: '/p/.factory',
+    flatten: 'preserve',
+  });
+  assert.deepStrictEqual(plan.droids.map((item) => item.name), ['reviewer']);
+  assert.match(plan.unresolved[0].reason, /droid '..\/..\/..\/escape' would be written outside/);
+});
+
+test('a droid that fails to render is reported as failed with the reason', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'df-install-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const mkt = path.join(root, 'mkt');
+  write(path.join(mkt, '.claude-plugin', 'marketplace.json'), JSON.stringify({ name: 'mkt', plugins: [{ name: 'alpha', source: '../plugins/alpha' }] }));
+  const agent = path.join(mkt, 'plugins', 'alpha', 'agents', 'reviewer.md');
+  write(agent, '---\nname: reviewer\ndescription: Reviews\n---\nReview.\n');
+  const baseDir = path.join(root, 'project', '.factory');
+  await df.install(await df.plan({ marketplace: mkt, baseDir }));
+
+  // The source disappears between discovery and rendering
+  const loaded = await df.loadMarketplace(mkt);
+  const discovered = await df.discoverPlugins(loaded);
+  fs.rmSync(agent);
+  const planned = await df.plan({ marketplace: loaded, discovered, baseDir });
+  assert.match(planned.droids[0].renderError, /source not found/);
+  const report = await df.install(planned);
+  assert.strictEqual(report.summary.failed, 1);
+  assert.strictEqual(report.items[0].result, 'failed');
+  assert.match(report.items[0].error, /source not found/);
+});
@@ -0,0 +1,69 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parse, modify } = require('../lib/jsonc');
+
+const SETTINGS = `{
+  // Droid settings
+  "model": "sonnet", // chosen model
+  /* hooks below */
+  "hooks": {
+    "PreToolUse": [1, 2,],
+  },
+  "enabled": true,
+}
+`;
+
+test('parse reads comments and trailing commas', () => {
+  assert.deepStrictEqual(parse(SETTINGS), { model: 'sonnet', hooks: { PreToolUse: [1, 2] }, enabled: true });
+});
+
+test('modify replaces a value and keeps comments and trailing commas', () => {
+  assert.strictEqual(modify(SETTINGS, ['model'], 'opus'), SETTINGS.replace('"sonnet"', '"opus"'));
+  assert.strictEqual(modify(SETTINGS, ['hooks', 'PreToolUse', 1], 3), SETTINGS.replace('[1, 2,]', '[1, 3,]'));
+});
+
+test('modify removes a property and keeps comments and trailing commas', () => {
+  assert.strictEqual(modify(SETTINGS, ['hooks'], undefined), `{
+  // Droid settings
+  "model": "sonnet", // chosen model
+  /* hooks below */
+  "enabled": true,
+}
+`);
+  assert.strictEqual(modify(SETTINGS, ['enabled'], undefined), `{
+  // Droid settings
+  "model": "sonnet", // chosen model
+  /* hooks below */
+  "hooks": {
+    "PreToolUse": [1, 2,],
+  },
+}
+`);
+});
+
+test('modify creates missing nested keys', () => {
+  assert.strictEqual(modify(SETTINGS, ['hooks', 'PostToolUse', 'matcher'], 'Edit'), `{
+  // Droid settings
+  "model": "sonnet", // chosen model
+  /* hooks below */
+  "hooks": {
+    "PreToolUse": [1, 2,],
+    "PostToolUse": {
+      "matcher": "Edit"
+    },
+  },
+  "enabled": true,
+}
+`);
+  assert.strictEqual(modify('', ['a', 'b'], 1), '{\n  "a": {\n    "b": 1\n  }\n}\n');
+  assert.strictEqual(modify('{\n  "a": 1 // one\n}\n', ['b'], 2), '{\n  "a": 1, // one\n  "b": 2\n}\n');
+});
+
+test('removing the last property leaves no dangling comma', () => {
+  assert.strictEqual(modify('{\n  "a": 1, // one\n  "b": 2 // two\n}\n', ['b'], undefined), '{\n  "a": 1 // one\n}\n');
+  assert.strictEqual(modify('{ "a": 1, "b": 2 }', ['b'], undefined), '{ "a": 1 }');
+  assert.strictEqual(modify('{\n  "a": 1\n}\n', ['a'], undefined), '{}\n');
+  assert.deepStrictEqual(parse(modify('{\n  "a": [1,\n    2]\n}\n', ['a', 1], undefined)), { a: [1] });
+});
@@ -0,0 +1,51 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readLockfile, writeLockfile, recordSelection, selectionAllows, lockMarketplace, marketplaceSource } = require('../lib/lockfile');
+
+test('a recorded selection keeps left-out components out of update', () => {
+  const lock = { items: {} };
+  recordSelection(lock, 'mkt', 'alpha', { droids: { include: ['reviewer'] }, hooks: { include: [] }, commands: { exclude: ['old'] } });
+  assert.strictEqual(selectionAllows(lock, 'mkt', 'alpha', 'droids', 'reviewer'), true);
+  assert.strictEqual(selectionAllows(lock, 'mkt', 'alpha', 'droids', 'planner'), false);
+  assert.strictEqual(selectionAllows(lock, 'mkt', 'alpha', 'hooks', 'alpha'), false);
+  assert.strictEqual(selectionAllows(lock, 'mkt', 'alpha', 'commands', 'old'), false);
+  // New upstream commands are covered by an exclude-only filter
+  assert.strictEqual(selectionAllows(lock, 'mkt', 'alpha', 'commands', 'new'), true);
+  // Plugins without a recorded selection cover everything
+  assert.strictEqual(selectionAllows(lock, 'mkt', 'beta', 'droids', 'planner'), true);
+});
+
+test('repeated installs widen the recorded selection', () => {
+  const lock = { items: {} };
+  recordSelection(lock, 'mkt', 'alpha', { droids: { include: ['a'] }, hooks: { include: [] } });
+  recordSelection(lock, 'mkt', 'alpha', { droids: { include: ['b'] } });
+  assert.deepStrictEqual(lock.selections.mkt.alpha, { droids: { include: ['a', 'b'] } });
+});
+
+test('selections are written only while their plugin has components', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'df-lock-'));
+  const lock = { items: { 'droids/a.md': { kind: 'droid', name: 'a', marketplace: 'mkt', plugin: 'alpha' } } };
+  recordSelection(lock, 'mkt', 'alpha', { droids: { include: ['a'] } });
+  recordSelection(lock, 'mkt', 'beta', { droids: { include: ['b'] } });
+  writeLockfile(dir, lock);
+  assert.deepStrictEqual(readLockfile(dir).selections, { mkt: { alpha: { droids: { include: ['a'] } } } });
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('local marketplaces inside the project are recorded relative to it', () => {
+  const root = path.join(os.tmpdir(), 'df-project');
+  const baseDir = path.join(root, '.factory');
+  assert.strictEqual(lockMarketplace(baseDir, path.join(root, 'tools', 'mp')), './tools/mp');
+  assert.strictEqual(lockMarketplace(baseDir, root), './');
+  assert.strictEqual(marketplaceSource(baseDir, './tools/mp'), path.join(root, 'tools', 'mp'));
+  assert.strictEqual(marketplaceSource(baseDir, './'), root);
+  const outside = path.join(os.tmpdir(), 'elsewhere', 'mp');
+  assert.strictEqual(lockMarketplace(baseDir, outside), outside);
+  assert.strictEqual(lockMarketplace(baseDir, 'owner/repo'), 'owner/repo');
+  assert.strictEqual(lockMarketplace(path.join(os.homedir(), '.factory'), path.join(os.homedir(), 'mp')), path.join(os.homedir(), 'mp'));
+});
@@ -0,0 +1,24 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadMarketplace } = require('../lib/marketplace');
+
+test('local directories win over the owner/repo shorthand', async (t) => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'df-mkt-'));
+  const cwd = process.cwd();
+  t.after(() => { process.chdir(cwd); fs.rmSync(root, { recursive: true, force: true }); });
+  for (const dir of ['mp', path.join('team', 'plugins')]) {
+    fs.mkdirSync(path.join(root, dir, '.claude-plugin'), { recursive: true });
+    fs.writeFileSync(path.join(root, dir, '.claude-plugin', 'marketplace.json'), JSON.stringify({ name: dir, plugins: [] }));
+  }
+  process.chdir(root);
+  for (const input of ['./mp', 'team/plugins']) {
+    const loaded = await loadMarketplace(input);
+    assert.strictEqual(loaded.context.kind, 'local', input);
+    assert.strictEqual(fs.realpathSync(loaded.context.rootDir), fs.realpathSync(path.join(root, input)));
+  }
+});
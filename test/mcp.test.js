@@ -0,0 +1,21 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { resolveMcpEnv, projectSecrets } = require('../lib/mcp');
+
+const SERVER = { type: 'stdio', command: 'demo', env: { TOKEN: '${DEMO_TOKEN}', REGION: '${DEMO_REGION:-eu}' } };
+
+test('values filled from the environment are reported, defaults are not', () => {
+  const { server, missing, filled } = resolveMcpEnv(SERVER, { DEMO_TOKEN: 'secret' });
+  assert.deepStrictEqual(server.env, { TOKEN: 'secret', REGION: 'eu' });
+  assert.deepStrictEqual(missing, []);
+  assert.deepStrictEqual(filled, ['DEMO_TOKEN']);
+});
+
+test('filled values count as secrets in a project scope only', () => {
+  assert.deepStrictEqual(projectSecrets(path.join(os.tmpdir(), 'repo', '.factory'), ['DEMO_TOKEN']), ['DEMO_TOKEN']);
+  assert.deepStrictEqual(projectSecrets(path.join(os.homedir(), '.factory'), ['DEMO_TOKEN']), []);
+});
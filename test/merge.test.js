@@ -0,0 +1,64 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeMarkdown } = require('../lib/merge');
+
+const BASE = '---\nname: reviewer\ndescription: Reviews code\n---\none\ntwo\nthree\nfour\nfive\n';
+const edit = (text, from, to) => text.replace(from, to);
+const crlf = (text) => text.replace(/\n/g, '\r\n');
+
+test('edits on both sides in separate places merge cleanly', () => {
+  const local = edit(BASE, 'two', 'TWO');
+  const remote = edit(edit(BASE, 'four', 'FOUR'), 'Reviews code', 'Reviews all code');
+  const result = mergeMarkdown(BASE, local, remote);
+  assert.deepStrictEqual(result.conflicts, []);
+  assert.strictEqual(result.text, '---\nname: reviewer\ndescription: Reviews all code\n---\none\nTWO\nthree\nFOUR\nfive\n');
+  assert.strictEqual(result.marked, result.text);
+});
+
+test('overlapping edits keep the local lines and mark the conflict', () => {
+  const local = edit(BASE, 'three', 'local three');
+  const remote = edit(BASE, 'three', 'upstream three');
+  const result = mergeMarkdown(BASE, local, remote);
+  assert.deepStrictEqual(result.conflicts, ['1 body hunk']);
+  assert.strictEqual(result.text, local);
+  assert.strictEqual(result.marked, '---\nname: reviewer\ndescription: Reviews code\n---\none\ntwo\n<<<<<<< local\nlocal three\n=======\nupstream three\n>>>>>>> upstream\nfour\nfive\n');
+});
+
+test('conflicting frontmatter values are reported by key', () => {
+  const result = mergeMarkdown(BASE, edit(BASE, 'Reviews code', 'Mine'), edit(BASE, 'Reviews code', 'Theirs'));
+  assert.deepStrictEqual(result.conflicts, ["frontmatter key 'description'"]);
+  assert.match(result.text, /^description: Mine$/m);
+});
+
+test('edits at the start and the end of the body merge cleanly', () => {
+  const local = edit(BASE, '---\none\n', '---\nzero\none\n');
+  const remote = edit(BASE, 'five\n', 'five\nsix\n');
+  const result = mergeMarkdown(BASE, local, remote);
+  assert.deepStrictEqual(result.conflicts, []);
+  assert.strictEqual(result.text, '---\nname: reviewer\ndescription: Reviews code\n---\nzero\none\ntwo\nthree\nfour\nfive\nsix\n');
+
+  const swapped = mergeMarkdown(BASE, edit(BASE, 'five', 'FIVE'), edit(BASE, '---\none', '---\nONE'));
+  assert.deepStrictEqual(swapped.conflicts, []);
+  assert.strictEqual(swapped.text, '---\nname: reviewer\ndescription: Reviews code\n---\nONE\ntwo\nthree\nfour\nFIVE\n');
+});
+
+test('the same change on both sides is applied once', () => {
+  const changed = edit(edit(BASE, 'three', 'THREE'), 'Reviews code', 'Reviews everything');
+  const result = mergeMarkdown(BASE, changed, changed);
+  assert.deepStrictEqual(result.conflicts, []);
+  assert.strictEqual(result.text, changed);
+});
+
+test('CRLF line endings do not count as edits and are kept for the local file', () => {
+  const local = crlf(edit(BASE, 'two', 'TWO'));
+  const remote = edit(BASE, 'four', 'FOUR');
+  const result = mergeMarkdown(BASE, local, remote);
+  assert.deepStrictEqual(result.conflicts, []);
+  assert.strictEqual(result.text, crlf('---\nname: reviewer\ndescription: Reviews code\n---\none\nTWO\nthree\nFOUR\nfive\n'));
+
+  const all = mergeMarkdown(crlf(BASE), crlf(edit(BASE, 'one', 'ONE')), crlf(edit(BASE, 'five', 'FIVE')));
+  assert.deepStrictEqual(all.conflicts, []);
+  assert.strictEqual(all.text, crlf(edit(edit(BASE, 'one', 'ONE'), 'five', 'FIVE')));
+});
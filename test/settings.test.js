@@ -0,0 +1,19 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { editSettings } = require('../lib/settings');
+
+test('the previous settings.json is backed up under .droid-factory/', (t) => {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'df-settings-'));
+  t.after(() => fs.rmSync(baseDir, { recursive: true, force: true }));
+  const original = '{\n  // keep me\n  "theme": "dark"\n}\n';
+  fs.writeFileSync(path.join(baseDir, 'settings.json'), original);
+  const res = editSettings(baseDir, [{ keys: ['enableCustomDroids'], value: true }]);
+  assert.strictEqual(res.backup, path.join(baseDir, '.droid-factory', 'backup', 'settings.json.bak'));
+  assert.strictEqual(fs.readFileSync(res.backup, 'utf8'), original);
+  assert.deepStrictEqual(fs.readdirSync(baseDir).sort(), ['.droid-factory', 'settings.json']);
+});
@@ -0,0 +1,109 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const df = require('../lib/index');
+const { readConfig, applyArgOverrides } = require('../lib/config');
+const { readLockfile } = require('../lib/lockfile');
+const { planSync } = require('../lib/sync');
+
+function write(file, text) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, text);
+}
+
+// A project with marketplaces ./a (droid "da") and ./b (droid "db"), both
+// declared in droid-factory.json and installed.
+async function project(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'df-sync-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  for (const name of ['a', 'b']) {
+    write(path.join(root, name, '.claude-plugin', 'marketplace.json'), JSON.stringify({ name, plugins: [{ name: `p${name}`, source: `../plugins/p${name}` }] }));
+    write(path.join(root, name, 'plugins', `p${name}`, 'agents', `d${name}.md`), `---\nname: d${name}\ndescription: From ${name}\n---\nBody.\n`);
+  }
+  const baseDir = path.join(root, '.factory');
+  write(path.join(baseDir, 'droid-factory.json'), JSON.stringify({ marketplaces: [{ source: './a' }, { source: './b' }] }));
+  for (const name of ['a', 'b']) await df.install(await df.plan({ marketplace: path.join(root, name), baseDir }));
+  return { root, baseDir };
+}
+
+const removals = (report) => report.actions.filter((a) => a.action === 'remove').map((a) => a.key);
+
+test('sync --marketplace only prunes entries of that marketplace', async (t) => {
+  const { baseDir } = await project(t);
+  fs.rmSync(path.join(path.dirname(baseDir), 'a', 'plugins', 'pa', 'agents', 'da.md'));
+  write(path.join(path.dirname(baseDir), 'a', 'plugins', 'pa', 'agents', 'dz.md'), '---\nname: dz\ndescription: New\n---\nBody.\n');
+  const declared = applyArgOverrides(readConfig(baseDir), { marketplace: './a' });
+  const report = await planSync({ baseDir, lock: readLockfile(baseDir), ...declared });
+  assert.deepStrictEqual(removals(report), ['droids/da.md']);
+});
+
+test('a full sync prunes entries of marketplaces no longer declared', async (t) => {
+  const { baseDir } = await project(t);
+  write(path.join(baseDir, 'droid-factory.json'), JSON.stringify({ marketplaces: [{ source: './a' }] }));
+  const report = await planSync({ baseDir, lock: readLockfile(baseDir), ...applyArgOverrides(readConfig(baseDir), {}) });
+  assert.deepStrictEqual(removals(report), ['droids/db.md']);
+});
+
+// The CLI against a project at `root`, with HOME there so the download cache
+// stays inside it. Returns the --json document.
+function cli(root, ...args) {
+  const bin = path.join(__dirname, '..', 'bin', 'droid-factory.js');
+  const out = execFileSync(process.execPath, [bin, 'sync', '--path', root, '--json', ...args], { env: { ...process.env, HOME: root, USERPROFILE: root }, encoding: 'utf8', timeout: 60000 });
+  return JSON.parse(out);
+}
+
+// A project declaring marketplace ./m whose plugin ships droid "one" and command "go".
+function declared(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'df-sync-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  write(path.join(root, 'm', '.claude-plugin', 'marketplace.json'), JSON.stringify({ name: 'm', plugins: [{ name: 'p', source: '../plugins/p' }] }));
+  write(path.join(root, 'm', 'plugins', 'p', 'agents', 'one.md'), '---\nname: one\ndescription: One\n---\nBody.\n');
+  write(path.join(root, 'm', 'plugins', 'p', 'commands', 'go.md'), '---\ndescription: Go\n---\nGo.\n');
+  write(path.join(root, '.factory', 'droid-factory.json'), JSON.stringify({ marketplaces: [{ source: './m' }] }));
+  return root;
+}
+
+const actions = (doc) => doc.actions.map((a) => `${a.action} ${a.key}`);
+
+test('sync --dry-run prints the plan and writes nothing', (t) => {
+  const root = declared(t);
+  const doc = cli(root, '--dry-run');
+  assert.strictEqual(doc.dryRun, true);
+  assert.deepStrictEqual(actions(doc), ['add commands/go.md', 'add droids/one.md']);
+  assert.deepStrictEqual(fs.readdirSync(path.join(root, '.factory')), ['droid-factory.json']);
+});
+
+test('sync installs what is declared and then has nothing to do', (t) => {
+  const root = declared(t);
+  const first = cli(root);
+  assert.deepStrictEqual(first.installs[0].items.map((it) => `${it.result} ${it.name}`), ['written go', 'written one']);
+  assert.ok(fs.existsSync(path.join(root, '.factory', 'droids', 'one.md')));
+  assert.deepStrictEqual(Object.keys(readLockfile(path.join(root, '.factory')).items).sort(), ['commands/go.md', 'droids/one.md']);
+  assert.deepStrictEqual(actions(cli(root, '--dry-run')), ['unchanged commands/go.md', 'unchanged droids/one.md']);
+});
+
+test('sync keeps components no longer declared until --prune, which spares local edits', (t) => {
+  const root = declared(t);
+  const baseDir = path.join(root, '.factory');
+  cli(root);
+  fs.rmSync(path.join(root, 'm', 'plugins', 'p', 'commands', 'go.md'));
+  fs.rmSync(path.join(root, 'm', 'plugins', 'p', 'agents', 'one.md'));
+  write(path.join(root, 'm', 'plugins', 'p', 'agents', 'two.md'), '---\nname: two\ndescription: Two\n---\nBody.\n');
+  fs.appendFileSync(path.join(baseDir, 'droids', 'one.md'), 'Local note.\n');
+
+  const kept = cli(root);
+  assert.deepStrictEqual(actions(kept), ['add droids/two.md', 'remove commands/go.md', 'remove droids/one.md']);
+  assert.strictEqual(kept.removals, null);
+  assert.ok(fs.existsSync(path.join(baseDir, 'commands', 'go.md')));
+
+  const pruned = cli(root, '--prune');
+  assert.deepStrictEqual(pruned.removals.map((r) => `${r.result} ${r.key}`), ['removed commands/go.md', 'kept droids/one.md']);
+  assert.ok(!fs.existsSync(path.join(baseDir, 'commands', 'go.md')));
+  assert.ok(fs.existsSync(path.join(baseDir, 'droids', 'one.md')));
+  assert.deepStrictEqual(Object.keys(readLockfile(baseDir).items).sort(), ['droids/one.md', 'droids/two.md']);
+});
@@ -0,0 +1,53 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readLockfile, writeLockfile } = require('../lib/lockfile');
+const { computeUninstallPlan, applyUninstall } = require('../lib/uninstall');
+
+function project(t) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'df-uninstall-'));
+  t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+  const baseDir = path.join(root, '.factory');
+  fs.mkdirSync(path.join(baseDir, 'droids'), { recursive: true });
+  return { root, baseDir };
+}
+
+test('uninstall leaves lockfile keys outside .factory/ alone', (t) => {
+  const { root, baseDir } = project(t);
+  fs.mkdirSync(path.join(root, 'victim'));
+  fs.writeFileSync(path.join(root, 'victim', 'keep.txt'), 'keep');
+  fs.writeFileSync(path.join(baseDir, 'droids', 'ok.md'), 'ok');
+  writeLockfile(baseDir, { version: 1, items: {
+    '../victim': { kind: 'droid', name: 'victim' },
+    'droids': { kind: 'droid', name: 'all' },
+    'droids/ok.md': { kind: 'droid', name: 'ok' },
+  } });
+  const lock = readLockfile(baseDir);
+  const plan = computeUninstallPlan({ baseDir, lock, selection: { all: true } });
+  assert.deepStrictEqual(plan.items.map((it) => it.key), ['droids/ok.md']);
+  assert.deepStrictEqual(plan.skipped, ['../victim', 'droids']);
+  applyUninstall(plan, { baseDir, lock });
+  assert.ok(fs.existsSync(path.join(root, 'victim', 'keep.txt')));
+  assert.ok(!fs.existsSync(path.join(baseDir, 'droids', 'ok.md')));
+  assert.deepStrictEqual(Object.keys(lock.items).sort(), ['../victim', 'droids']);
+});
+
+test('uninstall reports an item that cannot be removed and goes on', (t) => {
+  const { baseDir } = project(t);
+  fs.writeFileSync(path.join(baseDir, 'droids', 'ok.md'), 'ok');
+  const lock = { version: 1, items: {
+    'droids/ok.md': { kind: 'droid', name: 'ok' },
+    'mcp.json#bad name': { kind: 'mcp', name: 'bad name' },
+  } };
+  const plan = computeUninstallPlan({ baseDir, lock, selection: { all: true } });
+  const results = applyUninstall(plan, { baseDir, lock });
+  const byKey = Object.fromEntries(results.map((r) => [r.key, r]));
+  assert.strictEqual(byKey['droids/ok.md'].result, 'removed');
+  assert.strictEqual(byKey['mcp.json#bad name'].result, 'failed');
+  assert.match(byKey['mcp.json#bad name'].error, /unsafe MCP server name/);
+  assert.deepStrictEqual(Object.keys(lock.items), ['mcp.json#bad name']);
+});
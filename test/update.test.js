@@ -0,0 +1,25 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { applyUpdate } = require('../lib/update');
+
+test('applyUpdate reports an entry that fails to write and applies the rest', (t) => {
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'df-update-'));
+  t.after(() => fs.rmSync(baseDir, { recursive: true, force: true }));
+  const lock = { version: 1, items: {} };
+  const entry = (kind, name, staged) => ({ kind, key: `${kind}s/${name}`, status: 'added', marketplace: './m', item: { name, plugin: 'p', dest: path.join(baseDir, `${kind}s`, name) }, staged });
+  const report = { items: [
+    entry('skill', 'gone', { path: path.join(baseDir, 'no-such-staging-dir') }),
+    entry('droid', 'ok.md', { content: 'ok\n' }),
+  ] };
+  applyUpdate(report, { baseDir, lock });
+  assert.strictEqual(report.items[0].result, 'failed');
+  assert.match(report.items[0].error, /no-such-staging-dir/);
+  assert.strictEqual(report.items[1].result, 'written');
+  assert.strictEqual(fs.readFileSync(path.join(baseDir, 'droids', 'ok.md'), 'utf8'), 'ok\n');
+  assert.deepStrictEqual(Object.keys(lock.items), ['droids/ok.md']);
+});